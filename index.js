@@ -1,22 +1,171 @@
 const express = require('express');
 const cors =require('cors');
-const puppeteer = require('puppeteer');
 const dns = require('dns').promises;
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const { BrowserPool } = require('./lib/browser-pool');
+const { JobManager } = require('./lib/jobs');
+const { ResultCache, createStore } = require('./lib/cache');
+const { UrlRejectedError, assertUrlAllowed, guardPage, startSafeProxy } = require('./lib/network-safety');
+const { ApiKeyAuth } = require('./lib/api-keys');
+const { createProvenance, stripProvenance, toVerboseShape } = require('./lib/provenance');
+const { discoverCompanyPages, crawlPages } = require('./lib/crawler');
+const { findEmailsInText, findPhonesInText, buildContactDetails, mergeContactDetails } = require('./lib/contact');
+const { extractImageColors } = require('./lib/logo-colors');
+const { buildIconSet, fetchManifest, pickBestIcon } = require('./lib/icons');
+const { fetchAsset, stripEmbeddedAssets } = require('./lib/assets');
+const { buildFontInventory, buildTypeScale, parseFontFaceRules } = require('./lib/typography');
+const { TOKEN_FORMATS, renderDesignTokens } = require('./lib/design-tokens');
+const { DEFAULT_VIEWPORT, ScreenshotStore, captureScreenshots, normalizeScreenshotOptions } = require('./lib/screenshots');
+const { ExtractorRegistry } = require('./lib/extractor-registry');
+const { pickSocialLinks } = require('./lib/social');
+const { cleanLogoAlt, parseCopyrightHolder, resolveCompanyName } = require('./lib/company-name');
+const { acceptLanguageHeader, baseLanguage, detectTextLanguage, normalizeLocale, pickAlternate, readPageLanguageSignals, resolvePageLanguage } = require('./lib/language');
+const { isLinkedInOrganizationUrl, parseLinkedInCount, unwrapLinkedInRedirect, websiteMatchesSite } = require('./lib/linkedin');
+const { dismissOverlays } = require('./lib/consent');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Simple in-memory cache for performance optimization
-const extractionCache = new Map();
-const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes cache
+// Extraction result cache - in-memory LRU by default, or on disk (CACHE_BACKEND=file) so results survive restarts
+const HOUR = 60 * 60 * 1000;
+// Brand assets rarely change, company info (descriptions, LinkedIn data) more often. Each group is
+// refreshed on its own, by re-running only the extractors that produce its fields.
+const CACHE_GROUPS = [
+    { name: 'brand', fields: ['Logo', 'Colors', 'Palette', 'Fonts', 'Typography', 'Images', '_assets', '_screenshots'], ttlMs: parseInt(process.env.CACHE_TTL_BRAND_MS, 10) || 24 * HOUR },
+    { name: 'company', fields: ['Company', 'Language', '_crawl'], ttlMs: parseInt(process.env.CACHE_TTL_COMPANY_MS, 10) || 6 * HOUR }
+];
+const resultCache = new ResultCache({
+    store: createStore(process.env.CACHE_BACKEND, {
+        // Counted in results; the store holds one entry per field group of each (plus the default group)
+        maxEntries: (parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 100) * (CACHE_GROUPS.length + 1),
+        directory: process.env.CACHE_DIR || path.join(os.tmpdir(), 'company-extraction-cache')
+    }),
+    groups: CACHE_GROUPS,
+    defaultTtlMs: parseInt(process.env.CACHE_TTL_DEFAULT_MS, 10) || 6 * HOUR,
+    staleTtlMs: parseInt(process.env.CACHE_STALE_TTL_MS, 10) || 24 * HOUR, // Served stale (and refreshed) for this long after expiry
+    pathMapFields: ['_provenance']
+});
+
+// Screenshot images, served by id - kept as long as the cached brand fields that point at them
+const screenshotStore = new ScreenshotStore({
+    store: createStore(process.env.CACHE_BACKEND, {
+        maxEntries: parseInt(process.env.SCREENSHOT_MAX_ENTRIES, 10) || 60, // Images are large, keep fewer of them in memory
+        directory: path.join(process.env.CACHE_DIR || path.join(os.tmpdir(), 'company-extraction-cache'), 'screenshots')
+    }),
+    ttlMs: resultCache.groups.find(group => group.name === 'brand').ttlMs + resultCache.staleTtlMs
+});
+
+// Chromium flags shared by every pooled browser
+const BASE_BROWSER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--disable-gpu',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--disable-extensions',
+];
+
+// Every browser connects through the network-safety proxy, which only connects to addresses it
+// checked (see startSafeProxy). Loopback URLs go through it too, instead of Chromium's implicit bypass.
+let safeProxy = null;
+const getSafeProxyArgs = async () => {
+    safeProxy = safeProxy || startSafeProxy().catch(error => {
+        safeProxy = null; // Try again with the next launch
+        throw error;
+    });
+    const { url } = await safeProxy;
+    return [`--proxy-server=${url}`, '--proxy-bypass-list=<-loopback>'];
+};
+
+// Warm browser pools - every request gets an isolated context instead of launching its own browser
+const browserPool = new BrowserPool({
+    name: 'Browser',
+    size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+    maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 50,
+    launchOptions: async () => ({
+        args: [...BASE_BROWSER_ARGS, ...await getSafeProxyArgs()],
+        headless: true,
+        timeout: 60000, // Browser launch timeout (1 minute) - faster startup
+        protocolTimeout: 180000 // CDP command timeout (3 minutes) - reduced but still reasonable
+    })
+});
+
+const linkedInBrowserPool = new BrowserPool({
+    name: 'LinkedIn Browser',
+    size: parseInt(process.env.LINKEDIN_BROWSER_POOL_SIZE, 10) || 1,
+    maxPagesPerBrowser: parseInt(process.env.BROWSER_MAX_PAGES, 10) || 50,
+    launchOptions: async () => {
+        const launchOptions = {
+            headless: true,
+            args: [
+                ...BASE_BROWSER_ARGS,
+                ...await getSafeProxyArgs(),
+                // LinkedIn-specific arguments to avoid detection
+                '--disable-blink-features=AutomationControlled',
+                '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.0.0 Safari/537.36'
+            ],
+            timeout: 60000, // Reduced browser launch timeout for LinkedIn
+            protocolTimeout: 180000 // Reduced protocol timeout for LinkedIn
+        };
+        // Only set executablePath if we found a specific browser, otherwise Puppeteer uses its bundled Chromium
+        const browserPath = getBrowserExecutablePathForLinkedIn();
+        if (browserPath) {
+            launchOptions.executablePath = browserPath;
+        }
+        return launchOptions;
+    }
+});
 
 // Enable CORS and JSON parsing
-app.use(cors());
+app.use(cors({
+    // Let browser clients read the rate-limit and quota headers
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset']
+}));
 app.use(express.json());
 
+// API key authentication with per-key rate limits and monthly quotas for every /api/* route
+const apiKeyAuth = new ApiKeyAuth({
+    keys: ApiKeyAuth.loadKeys({ file: process.env.API_KEYS_FILE, json: process.env.API_KEYS }),
+    defaultRateLimitPerMinute: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 30,
+    defaultMonthlyQuota: parseInt(process.env.API_MONTHLY_QUOTA, 10) || 1000,
+    usageFile: process.env.API_USAGE_FILE,
+    // Only requests that start extractions consume quota; polling and usage checks are free
+    quotaCost: (req) => {
+        if (req.method === 'POST' && req.path === '/extract-company-details/batch') {
+            return Array.isArray(req.body?.urls) ? req.body.urls.length : 1;
+        }
+        if (req.method === 'POST' || req.path === '/extract-company-details/stream') return 1;
+        if (/^\/extract-company-details\/[^/]+\/tokens$/.test(req.path)) return 1;
+        return 0;
+    }
+});
+if (apiKeyAuth.enabled) {
+    app.use('/api', apiKeyAuth.middleware());
+} else if (process.env.API_KEYS_DISABLED === '1') {
+    console.warn('[API Keys] API_KEYS_DISABLED=1, /api routes are NOT authenticated');
+} else {
+    // Refuse rather than serve everyone: a missing config must not leave the service open
+    console.error('[API Keys] No API keys configured (API_KEYS_FILE / API_KEYS), /api routes answer 503. Set API_KEYS_DISABLED=1 to run without authentication.');
+    app.use('/api', (req, res) => {
+        res.status(503).json({ error: 'API keys are not configured on this server' });
+    });
+}
+
+// ✅ Usage of the calling API key
+app.get('/api/usage', (req, res) => {
+    if (!req.apiKey) {
+        return res.status(404).json({ error: 'API keys are not configured on this server' });
+    }
+    res.json(apiKeyAuth.getUsage(req.apiKey));
+});
+
 // ✅ Example test endpoint
 app.get('/test', (req, res) => {
   res.send('test completed');
@@ -34,6 +183,10 @@ app.get('/test-browser', (req, res) => {
       generalBrowser: generalBrowserPath || 'Puppeteer bundled Chromium',
       linkedinBrowser: linkedinBrowserPath || 'Puppeteer bundled Chromium',
       platform: os.platform(),
+      pools: {
+        general: browserPool.getStats(),
+        linkedin: linkedInBrowserPool.getStats(),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -46,8 +199,20 @@ app.get('/test-browser', (req, res) => {
 // ✅ Start the server
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
+    // Warm the general pool in the background; LinkedIn browsers launch on first use
+    browserPool.warm();
 });
 
+// Close pooled browsers on shutdown so no Chromium processes are left behind, and save the quota
+// usage of the last second
+const shutdown = async (signal) => {
+    console.log(`[Server] ${signal} received, closing browser pools...`);
+    await Promise.all([browserPool.close(), linkedInBrowserPool.close(), apiKeyAuth.flush()]);
+    process.exit(0);
+};
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 
 /* 
 PERFORMANCE OPTIMIZATIONS IMPLEMENTED:
@@ -67,8 +232,8 @@ PERFORMANCE OPTIMIZATIONS IMPLEMENTED:
    - Each extraction type has optimized timeout (15-30s)
 
 4. SMART CACHING:
-   - 10-minute in-memory cache for repeated requests
-   - Automatic cache cleanup to prevent memory leaks
+   - Pluggable result cache (in-memory LRU or on-disk) with per-field-group TTLs
+   - Stale entries are served instantly while a background extraction refreshes them
    - Cache hit returns results instantly
 
 5. OPTIMIZED DATA EXTRACTION:
@@ -228,7 +393,15 @@ const utils = {
             'yellow': [255, 255, 0], 'cyan': [0, 255, 255], 'magenta': [255, 0, 255],
             'white': [255, 255, 255], 'black': [0, 0, 0], 'gray': [128, 128, 128],
             'orange': [255, 165, 0], 'purple': [128, 0, 128], 'brown': [165, 42, 42],
-            'pink': [255, 192, 203]
+            'pink': [255, 192, 203],
+            // Shades common in brand palettes, so e.g. #0a66c2 isn't just "blue"
+            'navy': [0, 0, 128], 'dark blue': [0, 51, 153], 'royal blue': [65, 105, 225], 'sky blue': [135, 206, 235],
+            'teal': [0, 128, 128], 'turquoise': [64, 224, 208], 'dark green': [0, 100, 0], 'forest green': [34, 139, 34],
+            'lime': [50, 205, 50], 'olive': [128, 128, 0], 'maroon': [128, 0, 0], 'crimson': [220, 20, 60],
+            'coral': [255, 127, 80], 'salmon': [250, 128, 114], 'gold': [255, 215, 0], 'amber': [255, 191, 0],
+            'beige': [245, 245, 220], 'cream': [255, 253, 208], 'tan': [210, 180, 140], 'indigo': [75, 0, 130],
+            'violet': [143, 0, 255], 'lavender': [230, 230, 250], 'charcoal': [54, 69, 79], 'dark gray': [64, 64, 64],
+            'silver': [192, 192, 192], 'light gray': [230, 230, 230], 'off-white': [248, 248, 245]
         };
         let minDistance = Infinity;
         let closestColor = 'unknown';
@@ -243,33 +416,81 @@ const utils = {
     },
 
     /**
-     * Generates lighter, darker, and complementary variations of a given RGB color.
+     * Generates lighter, darker, and complementary variations of a given RGB color, plus tints
+     * (mixed with white) and shades (mixed with black) in 20% steps.
      * @param {number} r - Red component of the color.
      * @param {number} g - Green component of the color.
      * @param {number} b - Blue component of the color.
-     * @returns {{lighter: string, darker: string, complementary: string}} An object with RGB strings for lighter, darker, and complementary colors.
+     * @returns {{lighter: string, darker: string, complementary: string, tints: string[], shades: string[]}} RGB strings for
+     *   lighter, darker, and complementary colors; hex strings for tints and shades, closest to the color first.
      */
     getColorVariations(r, g, b) {
+        const mix = (target, amount) => this.rgbToHex(
+            Math.round(r + (target - r) * amount),
+            Math.round(g + (target - g) * amount),
+            Math.round(b + (target - b) * amount)
+        );
+        const steps = [0.2, 0.4, 0.6, 0.8];
         return {
             lighter: `rgb(${Math.min(255, r + 30)}, ${Math.min(255, g + 30)}, ${Math.min(255, b + 30)})`,
             darker: `rgb(${Math.max(0, r - 30)}, ${Math.max(0, g - 30)}, ${Math.max(0, b - 30)})`,
-            complementary: `rgb(${255 - r}, ${255 - g}, ${255 - b})`
+            complementary: `rgb(${255 - r}, ${255 - g}, ${255 - b})`,
+            tints: steps.map(step => mix(255, step)),
+            shades: steps.map(step => mix(0, step))
         };
     },
 
     /**
-     * Calculates the contrast ratio between two RGB colors.
+     * Calculates the WCAG relative luminance of an RGB color.
+     * @param {number} r - Red component (0-255).
+     * @param {number} g - Green component (0-255).
+     * @param {number} b - Blue component (0-255).
+     * @returns {number} Luminance from 0 (black) to 1 (white).
+     */
+    getRelativeLuminance(r, g, b) {
+        const [lr, lg, lb] = [r, g, b].map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+    },
+
+    /**
+     * Converts RGB color components to HSL.
+     * @param {number} r - Red component (0-255).
+     * @param {number} g - Green component (0-255).
+     * @param {number} b - Blue component (0-255).
+     * @returns {{h: number, s: number, l: number}} Hue in degrees (0-360), saturation and lightness (0-1).
+     */
+    rgbToHsl(r, g, b) {
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const l = (max + min) / 2;
+        if (max === min) return { h: 0, s: 0, l };
+
+        const d = max - min;
+        const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        let h;
+        if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+        else if (max === gn) h = (bn - rn) / d + 2;
+        else h = (rn - gn) / d + 4;
+        return { h: Math.round(h * 60), s, l };
+    },
+
+    /**
+     * Calculates the WCAG 2 contrast ratio between two RGB colors.
      * @param {number} r1 - Red component of the first color.
      * @param {number} g1 - Green component of the first color.
      * @param {number} b1 - Blue component of the first color.
      * @param {number} r2 - Red component of the second color.
      * @param {number} g2 - Green component of the second color.
      * @param {number} b2 - Blue component of the second color.
-     * @returns {number} The contrast ratio.
+     * @returns {number} The contrast ratio, from 1 (no contrast) to 21 (black on white).
      */
     calculateContrast(r1, g1, b1, r2, g2, b2) {
-        const l1 = 0.2126 * r1 + 0.7152 * g1 + 0.0722 * b1;
-        const l2 = 0.2126 * r2 + 0.7152 * g2 + 0.0722 * b2;
+        const l1 = this.getRelativeLuminance(r1, g1, b1);
+        const l2 = this.getRelativeLuminance(r2, g2, b2);
         const lighter = Math.max(l1, l2);
         const darker = Math.min(l1, l2);
         return (lighter + 0.05) / (darker + 0.05);
@@ -287,95 +508,385 @@ const utils = {
             const hex = x.toString(16);
             return hex.length === 1 ? '0' + hex : hex;
         }).join('');
+    },
+
+    /**
+     * Runs an async worker over every item with at most `limit` workers in flight at once.
+     * Items are started in order; a worker's rejection is not caught here.
+     * @param {Array<any>} items - The items to process.
+     * @param {number} limit - The maximum number of concurrent workers.
+     * @param {function(any, number): Promise<void>} worker - Called with each item and its index.
+     * @returns {Promise<void>} Resolves once every item has been processed.
+     */
+    async runWithConcurrency(items, limit, worker) {
+        let nextIndex = 0;
+        const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                await worker(items[index], index);
+            }
+        });
+        await Promise.all(runners);
     }
 };
 
+// Palette roles in output order; `neutral` may be held by several colors
+const PALETTE_ROLES = ['primary', 'secondary', 'accent', 'background', 'text', 'neutral'];
+const PALETTE_MAX_COLORS = 8;
+
+/**
+ * Builds a role-based brand palette from the colors collected on a page.
+ * Near-duplicate colors are clustered first. Then the largest background area becomes
+ * `background`, the most used text color `text`, and the chromatic colors rank for
+ * `primary`, `secondary` and `accent` by their share of the logo, the manifest theme color,
+ * interactive use, headings, area and matching CSS variable names. Left-over grays are `neutral`.
+ * @param {Array<object>} colors - Per-color usage collected in the page (hex, rgb, count, backgroundArea, textLength, interactive, heading, variables, sources).
+ * @param {Array<{foreground: string, background: string, textLength: number}>} [pairs=[]] - Text colors on their effective backgrounds.
+ * @param {Array<{hex: string, rgb: string, share: number}>} [logoColors=[]] - Dominant colors of the logo image.
+ * @param {Array<{hex: string, rgb: string, field: string}>} [manifestColors=[]] - `theme_color` and `background_color` of the Web App Manifest.
+ * @returns {{colors: Array<object>, roles: object, contrastPairs: Array<object>}} Palette colors (with role, name, tints and shades),
+ *   a role -> hex map, and the most used text/background pairs with their WCAG contrast.
+ */
+function buildBrandPalette(colors, pairs = [], logoColors = [], manifestColors = []) {
+    const manifestCandidates = manifestColors.map(color => ({
+        hex: color.hex,
+        rgb: color.rgb,
+        brightness: null,
+        sources: [`manifest:${color.field}`],
+        variables: [],
+        count: 0,
+        backgroundArea: 0,
+        textLength: 0,
+        interactive: 0,
+        heading: 0,
+        manifestTheme: color.field === 'theme_color' ? 1 : 0
+    }));
+    const logoCandidates = logoColors.map(color => ({
+        hex: color.hex,
+        rgb: color.rgb,
+        brightness: null,
+        sources: ['logo_pixels'],
+        variables: [],
+        count: 0,
+        backgroundArea: 0,
+        textLength: 0,
+        interactive: 0,
+        heading: 0,
+        logoShare: color.share
+    }));
+
+    // Most used first, so each cluster is represented by its most used member
+    const weighted = [...colors, ...logoCandidates, ...manifestCandidates]
+        .map(color => ({ logoShare: 0, manifestTheme: 0, ...color, color: color.rgb }))
+        .sort((a, b) => (b.count + b.textLength / 50) - (a.count + a.textLength / 50));
+    const groups = utils.groupSimilarColors(weighted, 30);
+
+    const clusters = groups.map(group => {
+        const representative = group.colors[0];
+        const rgb = utils.getRGBFromString(representative.rgb);
+        const hsl = utils.rgbToHsl(rgb.r, rgb.g, rgb.b);
+        const brightness = Math.round(0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b);
+        const sum = (field) => group.colors.reduce((total, color) => total + color[field], 0);
+        const variables = group.colors.flatMap(color => color.variables).join(' ').toLowerCase();
+        return {
+            ...representative,
+            brightness,
+            rgbValues: rgb,
+            members: group.colors.map(color => color.hex),
+            chromatic: hsl.s >= 0.25 && hsl.l > 0.12 && hsl.l < 0.92,
+            hsl,
+            sources: [...new Set(group.colors.flatMap(color => color.sources))],
+            usage: {
+                count: sum('count'),
+                backgroundArea: sum('backgroundArea'),
+                textLength: sum('textLength'),
+                interactive: sum('interactive')
+            },
+            heading: sum('heading'),
+            logoShare: sum('logoShare'),
+            manifestTheme: sum('manifestTheme'),
+            variables,
+            role: null
+        };
+    });
+
+    const unassigned = () => clusters.filter(cluster => !cluster.role);
+    const pick = (candidates, score) => candidates.reduce((best, cluster) => (!best || score(cluster) > score(best) ? cluster : best), null);
+    // Usage counts are capped so a site with many links can't outvote the logo
+    const brandScore = (cluster) => Math.min(cluster.usage.interactive, 10) * 2 +
+        Math.min(cluster.heading, 5) * 2 +
+        Math.log1p(cluster.usage.backgroundArea / 1000) +
+        Math.min(cluster.usage.count, 20) * 0.5 +
+        (cluster.logoShare > 0 ? 20 + cluster.logoShare * 20 : 0) +
+        (cluster.manifestTheme > 0 ? 10 : 0) +
+        (/primary|brand/.test(cluster.variables) ? 10 : 0);
+
+    const background = pick(clusters.filter(cluster => cluster.usage.backgroundArea > 0), cluster => cluster.usage.backgroundArea) ||
+        pick(clusters, cluster => cluster.hsl.l);
+    if (background) background.role = 'background';
+
+    const text = pick(unassigned().filter(cluster => cluster.usage.textLength > 0), cluster => cluster.usage.textLength) ||
+        pick(unassigned(), cluster => -cluster.hsl.l);
+    if (text) text.role = 'text';
+
+    const primary = pick(unassigned().filter(cluster => cluster.chromatic), brandScore);
+    if (primary) primary.role = 'primary';
+    const secondary = pick(unassigned().filter(cluster => cluster.chromatic), cluster => brandScore(cluster) + (/secondary/.test(cluster.variables) ? 10 : 0));
+    if (secondary) secondary.role = 'secondary';
+    // Accents are used sparingly, so saturation counts for more than area
+    const accent = pick(unassigned().filter(cluster => cluster.chromatic), cluster => brandScore(cluster) + cluster.hsl.s * 3 + (/accent|highlight/.test(cluster.variables) ? 10 : 0));
+    if (accent) accent.role = 'accent';
+
+    unassigned().filter(cluster => !cluster.chromatic).forEach(cluster => { cluster.role = 'neutral'; });
+
+    const roleOrder = (cluster) => (cluster.role ? PALETTE_ROLES.indexOf(cluster.role) : PALETTE_ROLES.length);
+    const paletteColors = clusters
+        .sort((a, b) => roleOrder(a) - roleOrder(b) || b.usage.count - a.usage.count)
+        .slice(0, PALETTE_MAX_COLORS)
+        .map(cluster => {
+            const { r, g, b } = cluster.rgbValues;
+            const { tints, shades } = utils.getColorVariations(r, g, b);
+            return { ...cluster, name: utils.getColorName(r, g, b), tints, shades };
+        });
+
+    const roles = {};
+    for (const cluster of paletteColors) {
+        if (cluster.role === 'neutral') {
+            (roles.Neutral = roles.Neutral || []).push(cluster.hex);
+        } else if (cluster.role) {
+            roles[cluster.role.charAt(0).toUpperCase() + cluster.role.slice(1)] = cluster.hex;
+        }
+    }
+
+    // Pairs are reported in palette colors, so near-duplicates of the same pair add up
+    const clusterHex = (hex) => (clusters.find(cluster => cluster.members.includes(hex)) || { hex }).hex;
+    const contrastByPair = new Map();
+    for (const pair of pairs) {
+        const foreground = clusterHex(pair.foreground);
+        const background = clusterHex(pair.background);
+        if (foreground === background) continue;
+        const key = `${foreground}|${background}`;
+        const existing = contrastByPair.get(key) || { foreground, background, textLength: 0 };
+        existing.textLength += pair.textLength;
+        contrastByPair.set(key, existing);
+    }
+    if (roles.Text && roles.Background && !contrastByPair.has(`${roles.Text}|${roles.Background}`)) {
+        contrastByPair.set(`${roles.Text}|${roles.Background}`, { foreground: roles.Text, background: roles.Background, textLength: 0 });
+    }
+    const hexToRgb = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+    const contrastPairs = [...contrastByPair.values()]
+        .sort((a, b) => b.textLength - a.textLength)
+        .slice(0, 6)
+        .map(pair => {
+            const ratio = Math.round(utils.calculateContrast(...hexToRgb(pair.foreground), ...hexToRgb(pair.background)) * 100) / 100;
+            return {
+                foreground: pair.foreground,
+                background: pair.background,
+                ratio,
+                AA: ratio >= 4.5,
+                AALarge: ratio >= 3,
+                AAA: ratio >= 7,
+                textLength: pair.textLength
+            };
+        });
+
+    return { colors: paletteColors, roles, contrastPairs };
+}
+
+// Asset downloads run a few at a time in the extraction's browser context
+const ASSET_CONCURRENCY = 3;
+const ASSET_TIMEOUT_MS = 10000;
+const LOGO_ASSET_FIELDS = ['Logo', 'Symbol', 'Icon', 'Banner', 'LinkedInLogo', 'LinkedInBanner'];
+
 /**
- * Sets up a Puppeteer browser instance and a new page, then navigates to the given URL.
- * Includes error handling for browser launch and page navigation.
+ * Downloads every logo, icon and image of an extraction result and keeps only the ones that load
+ * as real images. Failed single-value fields become null, failed icons and images are removed, and
+ * `Icon` is picked again from the icons that loaded, using their actual dimensions.
+ * @param {{newPage: function(): Promise<import('puppeteer').Page>}} lease - Browser context lease (see BrowserPool).
+ * @param {object} logoData - The `Logo` object of the result; updated in place.
+ * @param {Array<{src: string}>} imageData - The `Images` of the result; updated in place.
+ * @param {object} options
+ * @param {string} options.referer - URL of the extracted page.
+ * @param {boolean} [options.embed=false] - Include each asset as a data URI.
+ * @param {object} options.provenance - Provenance recorder; entries of dropped or moved values are updated.
+ * @returns {Promise<{resolved: object, failed: Array<object>, embedded: boolean}>} Asset details by field path, and the assets that were dropped.
+ */
+async function resolveExtractionAssets(lease, logoData, imageData, { referer, embed = false, provenance }) {
+    const targets = []; // { path, url }
+    LOGO_ASSET_FIELDS.forEach(field => {
+        if (logoData[field]) targets.push({ path: `Logo.${field}`, url: logoData[field] });
+    });
+    (logoData.Icons || []).forEach((icon, index) => targets.push({ path: `Logo.Icons.${index}`, url: icon.url }));
+    imageData.forEach((image, index) => targets.push({ path: `Images.${index}`, url: image.src }));
+
+    // Each URL is downloaded once, however many fields point at it
+    const urls = [...new Set(targets.map(target => target.url))];
+    const assetsByUrl = new Map();
+    await utils.runWithConcurrency(urls, ASSET_CONCURRENCY, async (assetUrl) => {
+        assetsByUrl.set(assetUrl, await fetchAsset(lease, assetUrl, { referer, embed, timeoutMs: ASSET_TIMEOUT_MS }));
+    });
+
+    const failed = targets
+        .filter(target => !assetsByUrl.get(target.url).ok)
+        .map(({ path, url }) => {
+            const { status, error } = assetsByUrl.get(url);
+            return { path, url, status, error };
+        });
+    const loaded = (assetUrl) => assetUrl && assetsByUrl.has(assetUrl) && assetsByUrl.get(assetUrl).ok;
+
+    // Icons: keep the ones that loaded, with their real size where none was declared
+    if (logoData.Icons) {
+        logoData.Icons = logoData.Icons.filter(icon => loaded(icon.url)).map(icon => {
+            const asset = assetsByUrl.get(icon.url);
+            return icon.width || !asset.width ? icon : { ...icon, width: asset.width, height: asset.height };
+        });
+        const bestIcon = pickBestIcon(logoData.Icons);
+        logoData.Icon = bestIcon ? bestIcon.url : null;
+        if (bestIcon) provenance.record('Logo.Icon', bestIcon.source);
+    }
+    for (const field of LOGO_ASSET_FIELDS) {
+        if (logoData[field] && !loaded(logoData[field])) {
+            console.warn(`[Assets] Dropping Logo.${field} ${logoData[field]}: ${assetsByUrl.get(logoData[field]).error}`);
+            logoData[field] = null;
+        }
+        if (!logoData[field]) provenance.remove(`Logo.${field}`);
+    }
+    if (!logoData.Logo) logoData.LogoSvg = null;
+    if (!logoData.Symbol) logoData.SymbolSvg = null;
+
+    // Images: keep the ones that loaded and move their provenance to their new index
+    const imageProvenance = imageData.map((image, index) => provenance.entries[`Images.${index}`]);
+    imageData.forEach((image, index) => provenance.remove(`Images.${index}`));
+    const keptImages = imageData
+        .map((image, index) => ({ image, entry: imageProvenance[index] }))
+        .filter(({ image }) => loaded(image.src));
+    keptImages.forEach(({ entry }, index) => {
+        if (entry) provenance.record(`Images.${index}`, entry.source, entry);
+    });
+    imageData.splice(0, imageData.length, ...keptImages.map(({ image }) => image));
+
+    // Describe what is left, by its final field path
+    const resolved = {};
+    LOGO_ASSET_FIELDS.forEach(field => {
+        if (logoData[field]) resolved[`Logo.${field}`] = assetsByUrl.get(logoData[field]);
+    });
+    (logoData.Icons || []).forEach((icon, index) => { resolved[`Logo.Icons.${index}`] = assetsByUrl.get(icon.url); });
+    imageData.forEach((image, index) => { resolved[`Images.${index}`] = assetsByUrl.get(image.src); });
+    for (const [path, asset] of Object.entries(resolved)) {
+        const { ok, error, ...details } = asset;
+        resolved[path] = details;
+    }
+
+    console.log(`[Assets] Resolved ${urls.length} asset URL(s), dropped ${failed.length} field value(s)`);
+    return { resolved, failed, embedded: embed };
+}
+
+/**
+ * Captures the screenshots of a loaded page and stores them, so responses only carry their ids.
+ * @param {import('puppeteer').Page} page - The loaded page, scrolled to the top when possible.
+ * @param {object} screenshotOptions - See getScreenshotOptions.
+ * @returns {Promise<{format: string, quality: number|null, fullPage: boolean, viewport: object, capturedAt: string,
+ *   shots: Array<{id: string, url: string, kind: string, contentType: string, width: number|null, height: number|null, bytes: number}>}>}
+ *   `url` is the path the image is served from, see GET /api/screenshots/:id.
+ */
+async function captureAndStoreScreenshots(page, screenshotOptions) {
+    const capturedAt = new Date().toISOString();
+    const captured = await captureScreenshots(page, screenshotOptions);
+    const shots = [];
+    for (const shot of captured) {
+        const descriptor = await screenshotStore.save(shot, { pageUrl: page.url(), capturedAt });
+        shots.push({ ...descriptor, url: `/api/screenshots/${descriptor.id}` });
+    }
+    console.log(`[Screenshots] Captured ${shots.map(shot => shot.kind).join(', ')} of ${page.url()}`);
+    const { format, quality, fullPage, viewport } = screenshotOptions;
+    return { format, quality, fullPage, viewport, capturedAt, shots };
+}
+
+/**
+ * Whether a cached screenshot report can answer a request: same format, quality and viewport,
+ * a full-page shot if one is asked for, and every image still in the store.
+ * @param {object} [report] - The `_screenshots` report of a cached result.
+ * @param {object} screenshotOptions - See getScreenshotOptions.
+ * @returns {Promise<boolean>}
+ */
+async function screenshotsSatisfy(report, screenshotOptions) {
+    if (!report || !Array.isArray(report.shots)) return false;
+    if (report.format !== screenshotOptions.format || report.quality !== screenshotOptions.quality) return false;
+    if (report.viewport.width !== screenshotOptions.viewport.width || report.viewport.height !== screenshotOptions.viewport.height) return false;
+    if (screenshotOptions.fullPage && !report.fullPage) return false;
+    const stored = await Promise.all(report.shots.map(shot => screenshotStore.has(shot.id)));
+    return stored.every(Boolean);
+}
+
+/**
+ * Heavy and non-essential requests that extraction pages skip for faster loading.
+ * @param {import('puppeteer').HTTPRequest} req
+ * @returns {boolean} True if the request should be aborted.
+ */
+function isHeavyResourceRequest(req) {
+    const resourceType = req.resourceType();
+    const url = req.url();
+
+    // Block heavy and non-essential resources for faster loading
+    return resourceType === 'media' || 
+        (resourceType === 'font' && !url.includes('woff2')) || // Keep woff2 fonts only
+        url.includes('analytics') ||
+        url.includes('tracking') ||
+        url.includes('ads') ||
+        url.includes('facebook.com') ||
+        url.includes('google-analytics') ||
+        url.includes('googletagmanager') ||
+        url.includes('doubleclick') ||
+        url.includes('youtube.com') ||
+        url.includes('vimeo.com') ||
+        url.includes('tiktok.com') ||
+        url.includes('instagram.com') ||
+        url.includes('twitter.com');
+}
+
+/**
+ * Leases an isolated browser context from the shared pool, opens a new page, then navigates to the given URL.
+ * Includes error handling for context creation and page navigation.
  * This version is specifically for the /api/extract-company-details endpoint.
  * @param {string} url - The URL to navigate to.
- * @returns {Promise<{browser: import('puppeteer').Browser, page: import('puppeteer').Page}>} A promise that resolves to an object containing the browser and page objects.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting closes the leased context, which stops navigation and extraction.
+ * @param {function(object): void} [options.onProgress] - Receives `{ stage: 'navigation', status, ... }` events, one `attempt` event per navigation try.
+ * @param {{width: number, height: number}} [options.viewport] - Defaults to 1280x800.
+ * @param {string} [options.locale] - Sent as Accept-Language; when the page links a translation for it
+ *   (`hreflang`), that page is loaded instead.
+ * @returns {Promise<{lease: object, page: import('puppeteer').Page, contentLanguage: string|null, localeUrl: string|null, overlays: object[]}>}
+ *   A promise that resolves to the pool lease and the page, with the Content-Language header of the page, the URL
+ *   of the translation switched to, if any, and the consent banners and overlays dismissed (see lib/consent.js).
+ *   The caller must call `lease.release()`.
  * @throws Will throw an error if Puppeteer setup or navigation fails.
  */
-async function setupPuppeteerPageForCompanyDetails(url) {
-    const launchOptions = {
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--single-process',
-            '--disable-web-security',
-            '--disable-features=IsolateOrigins,site-per-process',
-            '--disable-gpu',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-renderer-backgrounding',
-            '--no-first-run',
-            '--no-default-browser-check',
-            '--disable-extensions',
-        ],
-        headless: true,
-        timeout: 60000, // Browser launch timeout (1 minute) - faster startup
-        protocolTimeout: 180000 // CDP command timeout (3 minutes) - reduced but still reasonable
-    };
-    
-    // Browser launch with optimized retry logic
-    let browser;
-    let lastError;
-    
-    for (let attempt = 1; attempt <= 2; attempt++) { // Reduced from 3 to 2 attempts
-        try {
-            console.log(`[Browser] Launch attempt ${attempt}/2...`);
-            browser = await puppeteer.launch(launchOptions);
-            console.log(`[Browser] Launch successful on attempt ${attempt}`);
-            break;
-        } catch (error) {
-            lastError = error;
-            console.log(`[Browser] Launch attempt ${attempt} failed:`, error.message);
-            
-            if (attempt < 2) {
-                console.log(`[Browser] Waiting 1 second before retry...`); // Reduced from 3 seconds
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+async function setupPuppeteerPageForCompanyDetails(url, options = {}) {
+    const { signal, onProgress = () => {}, viewport = DEFAULT_VIEWPORT, locale } = options;
+    const lease = await browserPool.acquireContext();
+
+    if (signal) {
+        if (signal.aborted) {
+            await lease.release();
+            signal.throwIfAborted();
         }
-    }
-    
-    if (!browser) {
-        throw new Error(`Browser launch failed after 2 attempts. Last error: ${lastError.message}`);
+        signal.addEventListener('abort', () => lease.release(), { once: true });
     }
 
     try {
-        const page = await browser.newPage();
-        page.setDefaultNavigationTimeout(180000); // Default navigation timeout (3 minutes)
-        await page.setViewport({ width: 1280, height: 800 }); // Standard viewport
-        
-      // Smart resource blocking - block heavy resources but keep essential ones
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-            const resourceType = req.resourceType();
-            const url = req.url();
-            
-            // Block heavy and non-essential resources for faster loading
-            if (resourceType === 'media' || 
-                (resourceType === 'font' && !url.includes('woff2')) || // Keep woff2 fonts only
-                url.includes('analytics') ||
-                url.includes('tracking') ||
-                url.includes('ads') ||
-                url.includes('facebook.com') ||
-                url.includes('google-analytics') ||
-                url.includes('googletagmanager') ||
-                url.includes('doubleclick') ||
-                url.includes('youtube.com') ||
-                url.includes('vimeo.com') ||
-                url.includes('tiktok.com') ||
-                url.includes('instagram.com') ||
-                url.includes('twitter.com')) {
-                req.abort();
-            } else {
-                req.continue();
-            }
-        });
+        onProgress({ stage: 'navigation', status: 'started' });
+        const openPage = async () => {
+            const newPage = await lease.newPage();
+            newPage.setDefaultNavigationTimeout(180000); // Default navigation timeout (3 minutes)
+            await newPage.setViewport(viewport);
+
+            // Smart resource blocking - block heavy resources but keep essential ones.
+            // Everything else is checked against the SSRF rules, including every redirect hop.
+            const newGuard = await guardPage(newPage, { shouldAbort: isHeavyResourceRequest });
+            if (locale) await newPage.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguageHeader(locale) });
+            return { page: newPage, guard: newGuard };
+        };
+        let { page, guard } = await openPage();
 
         // Navigation with retry logic and progressive wait conditions
         let response;
@@ -395,6 +906,7 @@ async function setupPuppeteerPageForCompanyDetails(url) {
                 
                 try {
                     console.log(`[Navigation] Attempt ${attempt}/2 with '${waitCondition}' (${timeout/1000}s timeout) for ${url}`);
+                    onProgress({ stage: 'navigation', status: 'attempt', attempt, waitUntil: waitCondition, timeout });
                     
                     response = await page.goto(url, {
                         waitUntil: waitCondition,
@@ -405,6 +917,10 @@ async function setupPuppeteerPageForCompanyDetails(url) {
                     console.log(`[Navigation] Success with '${waitCondition}' on attempt ${attempt}`);
                     break;
                 } catch (error) {
+                    // Retrying is pointless if the URL (or a redirect) was rejected as unsafe
+                    if (guard.blockedNavigation) {
+                        throw new UrlRejectedError(guard.blockedNavigation.reason, guard.blockedNavigation.url);
+                    }
                     lastError = error;
                     console.log(`[Navigation] Failed with '${waitCondition}':`, error.message);
                     
@@ -426,6 +942,7 @@ async function setupPuppeteerPageForCompanyDetails(url) {
         if (!navigationSuccess) {
             // Final fallback attempt with minimal requirements
             console.log(`[Navigation] Final fallback attempt with minimal timeout...`);
+            onProgress({ stage: 'navigation', status: 'attempt', attempt: 'fallback', waitUntil: 'domcontentloaded', timeout: 30000 });
             try {
                 response = await page.goto(url, {
                     waitUntil: 'domcontentloaded',
@@ -434,6 +951,9 @@ async function setupPuppeteerPageForCompanyDetails(url) {
                 navigationSuccess = true;
                 console.log(`[Navigation] Fallback attempt succeeded`);
             } catch (fallbackError) {
+                if (guard.blockedNavigation) {
+                    throw new UrlRejectedError(guard.blockedNavigation.reason, guard.blockedNavigation.url);
+                }
                 throw new Error(`Navigation failed completely. Last error: ${lastError.message}, Fallback error: ${fallbackError.message}`);
             }
         }
@@ -446,16 +966,46 @@ async function setupPuppeteerPageForCompanyDetails(url) {
             console.warn(`[Navigation] HTTP ${response.status()} for ${url}, but continuing...`);
             // Don't throw error for non-2xx status codes, many sites work despite this
         }
+
+        // Many sites serve one language whatever the Accept-Language; switch to their translation for the locale
+        let localeUrl = null;
+        if (locale) {
+            const { alternates } = await readPageLanguageSignals(page);
+            const alternate = pickAlternate(alternates, locale);
+            if (alternate && alternate.url !== page.url()) {
+                console.log(`[Navigation] Switching to the ${alternate.locale} page ${alternate.url}`);
+                onProgress({ stage: 'navigation', status: 'attempt', attempt: 'locale', waitUntil: 'load', timeout: 45000 });
+                // Loaded in a second page, so the page we already have stays usable if it fails
+                let localePage = null;
+                try {
+                    ({ page: localePage } = await openPage());
+                    const localeResponse = await localePage.goto(alternate.url, { waitUntil: 'load', timeout: 45000 });
+                    if (!localeResponse) throw new Error('No response received');
+                    await page.close().catch(() => {});
+                    page = localePage;
+                    response = localeResponse;
+                    localeUrl = page.url();
+                } catch (error) {
+                    if (localePage) await localePage.close().catch(() => {});
+                    console.warn(`[Navigation] Could not load the ${alternate.locale} page, staying on ${url}:`, error.message);
+                }
+            }
+        }
         
         // Give the page a moment to settle after navigation (reduced delay)
         await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced from 2000ms to 1000ms
-        return { browser, page };
+
+        // Cookie banners and popups would end up in screenshots and colors, and cover the hero images
+        const overlays = await dismissOverlays(page);
+        onProgress({ stage: 'navigation', status: 'completed', result: { httpStatus: response.status(), finalUrl: page.url(), localeUrl, overlays } });
+        return { lease, page, contentLanguage: response.headers()['content-language'] || null, localeUrl, overlays };
     } catch (error) {
-        if (browser) {
-            await browser.close(); // Ensure browser is closed on error during setup
-        }
+        onProgress({ stage: 'navigation', status: 'failed', error: error.message });
+        await lease.release(); // Ensure the context is closed on error during setup
         // Re-throw the error to be caught by the endpoint's main try-catch block
-        if (error.message && error.message.includes(url)) {
+        if (error instanceof UrlRejectedError) {
+            throw error; // Keep the type so the endpoint can answer with a 4xx
+        } else if (error.message && error.message.includes(url)) {
             throw error; // Error message already contains URL and potentially status
         } else {
             // Add URL context if not present
@@ -562,49 +1112,27 @@ function getBrowserExecutablePathForLinkedIn() {
 }
 
 /**
- * Use Edge (local) or Chrome (production) to scrape company details from a LinkedIn company page
+ * Use Edge (local) or Chrome (production) from the LinkedIn browser pool to scrape company details from a LinkedIn
+ * company, showcase or school page: name, logo, tagline, follower and employee counts, website, banner and the
+ * labelled details of its About section
  */
 //this is been used to fetch the data from linkedin
 async function extractCompanyDataFromLinkedIn(linkedinUrl) {
-    const browserPath = getBrowserExecutablePathForLinkedIn();
-
-    const launchOptions = {
-        headless: true,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--single-process',
-            '--disable-web-security',
-            '--disable-features=IsolateOrigins,site-per-process',
-            '--disable-gpu',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-renderer-backgrounding',
-            '--no-first-run',
-            '--no-default-browser-check',
-            '--disable-extensions',
-            // LinkedIn-specific arguments to avoid detection
-            '--disable-blink-features=AutomationControlled',
-            '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.0.0 Safari/537.36'
-        ],
-        timeout: 60000, // Reduced browser launch timeout for LinkedIn
-        protocolTimeout: 180000 // Reduced protocol timeout for LinkedIn
-    };
-
-    // Only set executablePath if we found a specific browser
-    if (browserPath) {
-        launchOptions.executablePath = browserPath;
-    }
-    // If browserPath is null, Puppeteer will use its bundled Chromium
-
-    const browser = await puppeteer.launch(launchOptions);
-
-    const context = await browser.createBrowserContext();
-    const page = await context.newPage();
+    // Isolated context on a pooled browser (Edge locally, Chrome in production)
+    const lease = await linkedInBrowserPool.acquireContext();
+    let evaluationTimer;
 
     try {
+        // Inside the try: a context closed by recycling must still give its lease back
+        const page = await lease.newPage();
         const cleanUrl = normalizeLinkedInUrl(linkedinUrl);
+
+        // The link comes from the scraped site, so make sure it really points at LinkedIn
+        const linkedInHost = new URL(cleanUrl).hostname;
+        if (linkedInHost !== 'linkedin.com' && !linkedInHost.endsWith('.linkedin.com')) {
+            throw new UrlRejectedError(`Not a LinkedIn URL: ${cleanUrl}`, cleanUrl);
+        }
+        await guardPage(page);
         
         // Enhanced stealth measures for LinkedIn
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.0.0 Safari/537.36');
@@ -828,8 +1356,48 @@ const getImageFromBanner = () => {
             console.log('[LinkedIn Eval] Extracting banner...');
             const bannerUrl = getImageFromBanner();
             console.log('[LinkedIn Eval] Banner extracted, getting company details...');
-            
+
+            // The page describes the organization in JSON-LD: name, logo, employee count and website
+            let organization = null;
+            for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+                try {
+                    const json = JSON.parse(script.textContent);
+                    const nodes = [json, ...(Array.isArray(json) ? json : []), ...(json['@graph'] || [])];
+                    organization = nodes.find(node => node && /Organization|CollegeOrUniversity|School/.test([].concat(node['@type']).join(' ')));
+                    if (organization) break;
+                } catch (e) {
+                    // Ignore malformed JSON-LD
+                }
+            }
+            const jsonLdLogo = organization && [].concat(organization.logo || [])[0];
+            const jsonLdWebsite = organization && [].concat(organization.sameAs || []).find(value => !/linkedin\.com/i.test(value));
+
+            // Lazy-loaded images keep their URL in data-delayed-url until they scroll into view
+            const imageUrl = (selector) => {
+                const img = document.querySelector(selector);
+                const src = img && (img.getAttribute('data-delayed-url') || img.getAttribute('src'));
+                return src && /^(https?:)?\/\//.test(src) ? src : null;
+            };
+            const textOf = (selectors) => {
+                for (const selector of selectors) {
+                    const text = document.querySelector(selector)?.innerText?.trim();
+                    if (text) return text;
+                }
+                return null;
+            };
+            const topCard = textOf(['.top-card-layout', 'section.org-top-card', '.org-top-card-summary-info-list']) || '';
+            const websiteLink = document.querySelector('[data-test-id="about-us__website"] a, .org-page-details__definition-text a[href*="redir"]');
+
             const result = {
+                name: textOf(['h1.top-card-layout__title', 'h1.org-top-card-summary__title', 'main h1']) || (organization && organization.name) || null,
+                logoUrl: (jsonLdLogo && (jsonLdLogo.contentUrl || jsonLdLogo.url || (typeof jsonLdLogo === 'string' ? jsonLdLogo : null))) ||
+                    imageUrl('img.top-card-layout__entity-image') || imageUrl('img.org-top-card-primary-content__logo') || null,
+                tagline: textOf(['.top-card-layout__headline', 'p.org-top-card-summary__tagline']) || (organization && organization.slogan) || null,
+                followersText: topCard.match(/\d[\d,.]*[KMB]?\s+followers/i)?.[0] || null,
+                employeesOnLinkedIn: organization?.numberOfEmployees?.value ??
+                    (topCard.match(/(?:all|view)\s+\d[\d,.]*[KMB]?\s+employees/i)?.[0] ||
+                        textOf(['a[data-tracking-control-name*="employees"]', 'a[href*="/search/results/people/"]'])),
+                website: websiteLink?.href || getByLabel('Website') || jsonLdWebsite || null,
                 bannerUrl: bannerUrl,
                 description: description, // Use the potentially populated description variable
                 industry: getByLabel('Industry'),
@@ -845,15 +1413,19 @@ const getImageFromBanner = () => {
             console.log('[LinkedIn Eval] Data extraction completed');
             return result;
         }),
-        new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('LinkedIn page evaluation timeout after 45 seconds')), 45000) // Balanced timeout - not too fast, not too slow
-        )
+        new Promise((_, reject) => {
+            evaluationTimer = setTimeout(() => reject(new Error('LinkedIn page evaluation timeout after 45 seconds')), 45000); // Balanced timeout - not too fast, not too slow
+        })
     ]);
         
         console.log('[LinkedIn] Page evaluation completed successfully');
-        await context.close();
-        await browser.close();
-        return data;
+        const { followersText, employeesOnLinkedIn, ...details } = data;
+        return {
+            ...details,
+            followers: parseLinkedInCount(followersText),
+            employeesOnLinkedIn: parseLinkedInCount(employeesOnLinkedIn),
+            website: unwrapLinkedInRedirect(details.website)
+        };
     } catch (err) {
         console.error('[LinkedIn Scrape Error]', err.message);
         
@@ -866,912 +1438,2698 @@ const getImageFromBanner = () => {
             console.error('[LinkedIn] Protocol error - browser communication issue');
         }
         
-        try {
-            await context.close();
-            await browser.close();
-        } catch (closeError) {
-            console.error('[LinkedIn] Error closing browser:', closeError.message);
-        }
-        
         return { 
             error: `LinkedIn scraping failed: ${err.message}`,
             errorType: err.name || 'UnknownError'
         };
+    } finally {
+        clearTimeout(evaluationTimer);
+        await lease.release();
     }
 }
 
-async function extractCompanyDetailsFromPage(page, url, browser) { // Added browser argument here
-    const startTime = Date.now();
-    console.log(`[Performance] Starting extraction for ${url}`);
-    // Helper to get content from meta tags more reliably
-    const getMetaContent = async (page, selectors) => { // Added page argument
-        for (const selector of selectors) {
-            try {
-                const content = await page.$eval(selector, el => el.content.trim());
-                if (content) return content;
-            } catch (e) { /* Selector not found or element has no content, try next */ }
-        }
-        return null;
-    };
+// Company fields the crawler tries to fill from about/company/contact/imprint pages
+const CRAWL_FIELDS = ['Description', 'Industry', 'Location', 'Founded', 'CompanyType', 'Employees'];
+// Server limits for the crawl; requests may only lower them
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES, 10);
+const CRAWL_BUDGET_MS = parseInt(process.env.CRAWL_BUDGET_MS, 10) || 30000;
 
-    // Helper to get text, preferring more specific selectors first
-    const getTextFromSelectors = async (page, selectors) => { // Added page argument
-        for (const selector of selectors) {
-            try {
-                const text = await page.$eval(selector, el => el.textContent.trim());
-                if (text) return text;
-            } catch (e) { /* Selector not found, try next */ }
-        }
-        return null;
-    };
+/**
+ * @returns {{maxPages: number, budgetMs: number}} The server's crawl limits (CRAWL_MAX_PAGES=0 disables crawling).
+ */
+function getDefaultCrawlOptions() {
+    return { maxPages: Number.isFinite(CRAWL_MAX_PAGES) ? CRAWL_MAX_PAGES : 4, budgetMs: CRAWL_BUDGET_MS };
+}
 
-    // Helper to get an attribute, preferring more specific selectors first
-    const getAttributeFromSelectors = async (page, selectors, attribute) => { // Added page argument
-         for (const selector of selectors) {
-            try {
-                const attrVal = await page.$eval(selector, (el, attr) => el.getAttribute(attr), attribute);
-                if (attrVal) return attrVal.trim();
-            } catch (e) { /* Selector not found, try next */ }
-        }
-        return null;
-    };
+// The selector helpers below return { value, source } so callers know which selector matched
 
-    // Helper to resolve a URL against a base URL
-    const resolveUrl = (relativeOrAbsoluteUrl, baseUrl) => {
-        if (!relativeOrAbsoluteUrl) return null;
-        if (relativeOrAbsoluteUrl.startsWith('http')) return relativeOrAbsoluteUrl;
+// Helper to get content from meta tags more reliably
+const getMetaContent = async (page, selectors) => { // Added page argument
+    for (const selector of selectors) {
         try {
-            return new URL(relativeOrAbsoluteUrl, baseUrl).href;
-        } catch (e) {
-            console.warn(`Invalid URL to resolve: ${relativeOrAbsoluteUrl} against base ${baseUrl}`);
-            return null;
-        }
-    };
+            const content = await page.$eval(selector, el => el.content.trim());
+            if (content) return { value: content, source: selector };
+        } catch (e) { /* Selector not found or element has no content, try next */ }
+    }
+    return null;
+};
 
-    // 3a. Extract Logo URLs
-    const getLogoDetails = async (page, baseUrl) => {
-        console.log(`[getLogoDetails] Starting extraction for ${baseUrl}`);
-
-        let primaryLogoUrl = null;
-        let iconUrl = null;
-        let bannerUrl = null;
-        let symbolUrl = null; // Keep trying for symbol, though hard
-
-        // --- Evaluation within page context ---
-        const extractedAssets = await page.evaluate((pageBaseUrl) => {
-            const results = {
-                metaLogo: null,
-                metaIcon: null,
-                metaBanner: null,
-                imgLogo: null,
-                linkIcon: null,
-                svgLogo: null, // For linked SVG files or <use> tags
-            };
-            const consoleMessages = []; // For debugging inside evaluate
+// Helper to get text, preferring more specific selectors first
+const getTextFromSelectors = async (page, selectors) => { // Added page argument
+    for (const selector of selectors) {
+        try {
+            const text = await page.$eval(selector, el => el.textContent.trim());
+            if (text) return { value: text, source: selector };
+        } catch (e) { /* Selector not found, try next */ }
+    }
+    return null;
+};
 
-            const makeAbsolute = (url) => {
-                if (!url || typeof url !== 'string') return null;
-                try {
-                    return new URL(url, pageBaseUrl).href;
-                } catch (e) {
-                    consoleMessages.push(`Invalid URL for new URL(url, pageBaseUrl): ${url}, ${pageBaseUrl}`);
-                    return null;
-                }
-            };
+// Helper to get an attribute, preferring more specific selectors first
+const getAttributeFromSelectors = async (page, selectors, attribute) => { // Added page argument
+     for (const selector of selectors) {
+        try {
+            const attrVal = await page.$eval(selector, (el, attr) => el.getAttribute(attr), attribute);
+            if (attrVal) return { value: attrVal.trim(), source: selector };
+        } catch (e) { /* Selector not found, try next */ }
+    }
+    return null;
+};
 
-            // 1. Meta tags for primary logo (most reliable)
-            const ogLogo = document.querySelector('meta[property="og:logo"]');
-            if (ogLogo && ogLogo.content) results.metaLogo = makeAbsolute(ogLogo.content);
-            else {
-                const itemPropLogo = document.querySelector('meta[itemprop="logo"]');
-                if (itemPropLogo && itemPropLogo.content) results.metaLogo = makeAbsolute(itemPropLogo.content);
-                else {
-                    const twitterImage = document.querySelector('meta[name="twitter:image"]');
-                    if (twitterImage && twitterImage.content && (twitterImage.content.includes('logo') || twitterImage.content.includes('brand'))) { // Heuristic for twitter image as logo
-                        results.metaLogo = makeAbsolute(twitterImage.content);
-                    }
+// Helper to resolve a URL against a base URL
+const resolveUrl = (relativeOrAbsoluteUrl, baseUrl) => {
+    if (!relativeOrAbsoluteUrl) return null;
+    if (relativeOrAbsoluteUrl.startsWith('http')) return relativeOrAbsoluteUrl;
+    try {
+        return new URL(relativeOrAbsoluteUrl, baseUrl).href;
+    } catch (e) {
+        console.warn(`Invalid URL to resolve: ${relativeOrAbsoluteUrl} against base ${baseUrl}`);
+        return null;
+    }
+};
+
+// 3a. Extract Logo URLs
+const getLogoDetails = async (page, baseUrl, sources = {}, lease = null) => { // sources receives field -> selector; lease loads the manifest
+    console.log(`[getLogoDetails] Starting extraction for ${baseUrl}`);
+
+    let primaryLogoUrl = null;
+    let iconUrl = null;
+    let bannerUrl = null;
+    let symbolUrl = null; // Only found in SVG sprites
+
+    // --- Evaluation within page context ---
+    const extractedAssets = await page.evaluate((pageBaseUrl) => {
+        const results = {
+            metaLogo: null,
+            metaIcon: null,
+            metaBanner: null,
+            imgLogo: null,
+            linkIcon: null,
+            iconLinks: [], // Every icon link with its rel, sizes and type
+            manifestUrl: null,
+            svgLogo: null, // For linked SVG files or <use> tags
+            inlineSvgLogo: null, // Standalone markup of an inline or sprite SVG logo
+            inlineSvgSymbol: null, // Standalone markup of a brand-mark symbol from a sprite
+            sources: {} // Which selector produced each candidate
+        };
+        const consoleMessages = []; // For debugging inside evaluate
+
+        const makeAbsolute = (url) => {
+            if (!url || typeof url !== 'string') return null;
+            try {
+                return new URL(url, pageBaseUrl).href;
+            } catch (e) {
+                consoleMessages.push(`Invalid URL for new URL(url, pageBaseUrl): ${url}, ${pageBaseUrl}`);
+                return null;
+            }
+        };
+
+        // 1. Meta tags for primary logo (most reliable)
+        const ogLogo = document.querySelector('meta[property="og:logo"]');
+        if (ogLogo && ogLogo.content) {
+            results.metaLogo = makeAbsolute(ogLogo.content);
+            results.sources.metaLogo = 'meta[property="og:logo"]';
+        } else {
+            const itemPropLogo = document.querySelector('meta[itemprop="logo"]');
+            if (itemPropLogo && itemPropLogo.content) {
+                results.metaLogo = makeAbsolute(itemPropLogo.content);
+                results.sources.metaLogo = 'meta[itemprop="logo"]';
+            } else {
+                const twitterImage = document.querySelector('meta[name="twitter:image"]');
+                if (twitterImage && twitterImage.content && (twitterImage.content.includes('logo') || twitterImage.content.includes('brand'))) { // Heuristic for twitter image as logo
+                    results.metaLogo = makeAbsolute(twitterImage.content);
+                    results.sources.metaLogo = 'meta[name="twitter:image"]';
                 }
             }
-            consoleMessages.push(`Meta Logo candidates: og: ${ogLogo?.content}, itemprop: ${document.querySelector('meta[itemprop="logo"]')?.content}, twitter: ${document.querySelector('meta[name="twitter:image"]')?.content}`);
+        }
+        consoleMessages.push(`Meta Logo candidates: og: ${ogLogo?.content}, itemprop: ${document.querySelector('meta[itemprop="logo"]')?.content}, twitter: ${document.querySelector('meta[name="twitter:image"]')?.content}`);
 
 
-            // 2. Meta tags for banner (often og:image)
-            const ogImage = document.querySelector('meta[property="og:image"]');
-            if (ogImage && ogImage.content) results.metaBanner = makeAbsolute(ogImage.content);
-            else {
-                 const twitterImageSrc = document.querySelector('meta[name="twitter:image:src"]');
-                 if (twitterImageSrc && twitterImageSrc.content) results.metaBanner = makeAbsolute(twitterImageSrc.content);
-            }
-             consoleMessages.push(`Meta Banner candidates: og: ${ogImage?.content}, twitter:src: ${document.querySelector('meta[name="twitter:image:src"]')?.content}`);
+        // 2. Meta tags for banner (often og:image)
+        const ogImage = document.querySelector('meta[property="og:image"]');
+        if (ogImage && ogImage.content) {
+            results.metaBanner = makeAbsolute(ogImage.content);
+            results.sources.metaBanner = 'meta[property="og:image"]';
+        } else {
+             const twitterImageSrc = document.querySelector('meta[name="twitter:image:src"]');
+             if (twitterImageSrc && twitterImageSrc.content) {
+                 results.metaBanner = makeAbsolute(twitterImageSrc.content);
+                 results.sources.metaBanner = 'meta[name="twitter:image:src"]';
+             }
+        }
+         consoleMessages.push(`Meta Banner candidates: og: ${ogImage?.content}, twitter:src: ${document.querySelector('meta[name="twitter:image:src"]')?.content}`);
 
 
-            // 3. Link tags for icons (favicon, apple-touch-icon)
-            const iconSelectors = [
-                'link[rel="icon"]',
-                'link[rel="shortcut icon"]',
-                'link[rel="apple-touch-icon"]',
-                'link[rel="apple-touch-icon-precomposed"]',
-                'link[itemprop="image"]' // Less common for icon but possible
+        // 3. Link tags for icons (favicon, apple-touch-icon, mask-icon), all of them with their sizes
+        const iconSelectors = [
+            'link[rel="icon"]',
+            'link[rel="shortcut icon"]',
+            'link[rel="apple-touch-icon"]',
+            'link[rel="apple-touch-icon-precomposed"]',
+            'link[rel="mask-icon"]',
+            'link[itemprop="image"]' // Less common for icon but possible
+        ];
+        for (const selector of iconSelectors) {
+            for (const el of document.querySelectorAll(selector)) {
+                const href = makeAbsolute(el.getAttribute('href'));
+                if (!href) continue;
+                results.iconLinks.push({
+                    href,
+                    rel: el.getAttribute('rel') || 'icon',
+                    sizes: el.getAttribute('sizes') || null,
+                    type: el.getAttribute('type') || null,
+                    color: el.getAttribute('color') || null,
+                    selector
+                });
+                if (!results.linkIcon) { // The first valid one, kept for the log
+                    results.linkIcon = href;
+                    results.sources.linkIcon = selector;
+                }
+            }
+        }
+        consoleMessages.push(`Link Icon candidates: ${results.iconLinks.length}, first: ${results.linkIcon}`);
+
+        const manifestLink = document.querySelector('link[rel="manifest"][href]');
+        results.manifestUrl = manifestLink ? makeAbsolute(manifestLink.getAttribute('href')) : null;
+        consoleMessages.push(`Manifest: ${results.manifestUrl}`);
+
+        // 4. Image tags for primary logo (fallback if meta tags fail)
+        if (!results.metaLogo) {
+            const imgSelectors = [
+                'img[itemprop="logo"][src]', // Prioritize itemprop on img
+                'img[alt*="logo"i][src]',
+                'img[class*="logo"i][src]',
+                'img[id*="logo"i][src]',
+                'header img[src]',
+                'a[href="/"] img[src]', // Logo linked to homepage
+                'div[class*="logo"i] img[src]'
             ];
-            for (const selector of iconSelectors) {
+            for (const selector of imgSelectors) {
                 const el = document.querySelector(selector);
-                if (el && el.href) {
-                    results.linkIcon = makeAbsolute(el.href);
-                    if(results.linkIcon) break; // Take the first valid one
+                if (el && el.src) {
+                    // Basic check to avoid tiny images / tracking pixels if possible from attributes
+                    const width = parseInt(el.getAttribute('width') || '0', 10) || el.naturalWidth || 0;
+                    const height = parseInt(el.getAttribute('height') || '0', 10) || el.naturalHeight || 0;
+                    consoleMessages.push(`Img candidate: ${el.src}, w:${width}, h:${height}`);
+                    if (width === 1 && height === 1) continue; // Skip 1x1 pixels
+
+                    results.imgLogo = makeAbsolute(el.src);
+                    results.sources.imgLogo = selector;
+                    if(results.imgLogo) break;
                 }
             }
-            consoleMessages.push(`Link Icon candidate: ${results.linkIcon}`);
-
-            // 4. Image tags for primary logo (fallback if meta tags fail)
-            if (!results.metaLogo) {
-                const imgSelectors = [
-                    'img[itemprop="logo"][src]', // Prioritize itemprop on img
-                    'img[alt*="logo"i][src]',
-                    'img[class*="logo"i][src]',
-                    'img[id*="logo"i][src]',
-                    'header img[src]',
-                    'a[href="/"] img[src]', // Logo linked to homepage
-                    'div[class*="logo"i] img[src]'
-                ];
-                for (const selector of imgSelectors) {
-                    const el = document.querySelector(selector);
-                    if (el && el.src) {
-                        // Basic check to avoid tiny images / tracking pixels if possible from attributes
-                        const width = parseInt(el.getAttribute('width') || '0', 10) || el.naturalWidth || 0;
-                        const height = parseInt(el.getAttribute('height') || '0', 10) || el.naturalHeight || 0;
-                        consoleMessages.push(`Img candidate: ${el.src}, w:${width}, h:${height}`);
-                        if (width === 1 && height === 1) continue; // Skip 1x1 pixels
-
-                        results.imgLogo = makeAbsolute(el.src);
-                        if(results.imgLogo) break;
-                    }
+        }
+         consoleMessages.push(`Img Logo candidate: ${results.imgLogo}`);
+
+        // 5. SVG specific search (basic: linked SVGs or <use>)
+        const svgUseElements = document.querySelectorAll('svg use');
+        let foundSvgHref = null;
+        for (const svgUseEl of svgUseElements) {
+            let href = svgUseEl.getAttribute('href');
+            // If href is null or an internal fragment, try xlink:href
+            if (!href || href.startsWith('#')) {
+                const xlinkHref = svgUseEl.getAttribute('xlink:href');
+                if (xlinkHref && !xlinkHref.startsWith('#')) {
+                    href = xlinkHref; // Use xlink:href if it's external
+                } else if (xlinkHref && xlinkHref.startsWith('#') && (!href || href.startsWith('#'))) {
+                    // Both are internal, or href was null and xlink:href is internal
+                    consoleMessages.push(`Found internal SVG <use> reference (href: ${href}, xlink:href: ${xlinkHref}), resolved with the inline SVGs below.`);
+                    href = null; // Don't use internal fragments as a direct src
+                } else if (!href && !xlinkHref) {
+                    href = null; // Neither attribute exists
                 }
             }
-             consoleMessages.push(`Img Logo candidate: ${results.imgLogo}`);
-
-            // 5. SVG specific search (basic: linked SVGs or <use>)
-            const svgUseElements = document.querySelectorAll('svg use');
-            let foundSvgHref = null;
-            for (const svgUseEl of svgUseElements) {
-                let href = svgUseEl.getAttribute('href');
-                // If href is null or an internal fragment, try xlink:href
-                if (!href || href.startsWith('#')) {
-                    const xlinkHref = svgUseEl.getAttribute('xlink:href');
-                    if (xlinkHref && !xlinkHref.startsWith('#')) {
-                        href = xlinkHref; // Use xlink:href if it's external
-                    } else if (xlinkHref && xlinkHref.startsWith('#') && (!href || href.startsWith('#'))) {
-                        // Both are internal, or href was null and xlink:href is internal
-                        consoleMessages.push(`Found internal SVG <use> reference (href: ${href}, xlink:href: ${xlinkHref}). Symbol extraction from sprites not implemented.`);
-                        href = null; // Don't use internal fragments as a direct src
-                    } else if (!href && !xlinkHref) {
-                        href = null; // Neither attribute exists
-                    }
-                }
 
-                if (href && !href.startsWith('#')) { // Ensure it's an external link
-                    foundSvgHref = href;
-                    consoleMessages.push(`Found external SVG <use> href: ${foundSvgHref}`);
-                    break;
-                } else if (href && href.startsWith('#')) { // Log internal references if not already logged
-                     consoleMessages.push(`Found internal SVG <use> reference: ${href}. Symbol extraction from sprites not implemented.`);
-                }
-            }
-            if (foundSvgHref) {
-                results.svgLogo = makeAbsolute(foundSvgHref);
+            if (href && !href.startsWith('#')) { // Ensure it's an external link
+                foundSvgHref = href;
+                consoleMessages.push(`Found external SVG <use> href: ${foundSvgHref}`);
+                break;
+            } else if (href && href.startsWith('#')) { // Log internal references if not already logged
+                 consoleMessages.push(`Found internal SVG <use> reference: ${href}, resolved with the inline SVGs below.`);
             }
-             consoleMessages.push(`SVG Logo candidate from <use>: ${results.svgLogo || 'null'}`);
-             console.log('Puppeteer evaluate console:', consoleMessages.join('\\n')); // Log messages from within evaluate
-
-            return results;
-        }, baseUrl); // Pass baseUrl to page.evaluate
-
-        console.log('[getLogoDetails] Extracted assets from page:', JSON.stringify(extractedAssets, null, 2));
-
-        // Prioritize sources for primaryLogoUrl
-        primaryLogoUrl = extractedAssets.metaLogo || extractedAssets.imgLogo || extractedAssets.svgLogo;
-
-        // Icon URL
-        iconUrl = extractedAssets.linkIcon;
-
-        // Banner URL (don't use logo as banner if they are the same)
-        if (extractedAssets.metaBanner && extractedAssets.metaBanner !== primaryLogoUrl) {
-            bannerUrl = extractedAssets.metaBanner;
         }
-
-        // Symbol: still hard. If svgLogo was found and it's different from primaryLogo, maybe it's a symbol?
-        if (extractedAssets.svgLogo && extractedAssets.svgLogo !== primaryLogoUrl) {
-            // This is a weak heuristic. A true symbol is often part of a combined logo.
-            // For now, we don't have a strong way to identify it.
+        if (foundSvgHref) {
+            results.svgLogo = makeAbsolute(foundSvgHref);
+            results.sources.svgLogo = 'svg use[href]';
         }
+         consoleMessages.push(`SVG Logo candidate from <use>: ${results.svgLogo || 'null'}`);
+
+        // 6. Inline SVG logos, including <use href="#id"> references into sprites.
+        // The live SVG is serialized into standalone markup: <use> references are replaced by
+        // the referenced symbol, referenced gradients/clip paths are copied into <defs>, and the
+        // computed paint of every element is inlined so the markup renders without the page's CSS.
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const MAX_SVG_MARKUP = 100 * 1024;
+        const PAINT_PROPERTIES = ['fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'stop-color', 'stop-opacity'];
+
+        const internalRef = (useEl) => {
+            const href = useEl.getAttribute('href') || useEl.getAttribute('xlink:href') || '';
+            return href.startsWith('#') ? href.slice(1) : null;
+        };
 
-        return {
-            Logo: primaryLogoUrl,
-            Symbol: symbolUrl, // Remains null for now mostly
-            Icon: iconUrl,
-            Banner: bannerUrl
+        // Copies computed paint from a live element onto its clone. Inside a symbol, only values that
+        // differ from what the symbol itself computes were set on the element; the rest are inherited
+        // from the <use> and come from the wrapper instead.
+        const pageUrl = location.href.split('#')[0];
+        const inlinePaint = (liveEl, cloneEl, inheritedStyle) => {
+            const style = getComputedStyle(liveEl);
+            const declarations = [];
+            for (const property of PAINT_PROPERTIES) {
+                const value = style.getPropertyValue(property);
+                if (!value || (inheritedStyle && inheritedStyle.getPropertyValue(property) === value)) continue;
+                // Computed url() references are absolute; the standalone markup needs plain fragments
+                declarations.push(`${property}:${value.split(`url("${pageUrl}#`).join('url("#')}`);
+            }
+            if (style.display === 'none') declarations.push('display:none');
+            cloneEl.removeAttribute('class');
+            cloneEl.removeAttribute('style');
+            if (declarations.length) cloneEl.setAttribute('style', declarations.join(';'));
         };
-    };
 
-    // 3b. Extract Brand Colors
-    const getBrandColors = async (page) => {
-        console.log(`[getBrandColors] Starting color extraction.`);
-        try {
-            const colorsData = await page.evaluate(() => {
-                const collectedColors = new Map(); // Use a Map to store unique colors and their sources/counts
-
-                // Helper to parse color string "rgb(r, g, b)" or "rgba(r, g, b, a)" to {r, g, b}
-                const parseRgb = (colorStr) => {
-                    if (!colorStr || typeof colorStr !== 'string') return null;
-                    const match = colorStr.match(/rgba?\((\d+)\s*,\s*(\d+)\s*,\s*(\d+)(?:\s*,\s*[\d.]+)?\)/);
-                    if (match) return { r: parseInt(match[1]), g: parseInt(match[2]), b: parseInt(match[3]) };
-                    return null;
-                };
-
-                // Helper to convert {r, g, b} to hex #RRGGBB
-                const rgbToHex = (r, g, b) => {
-                    return '#' + [r, g, b].map(x => {
-                        const hex = x.toString(16);
-                        return hex.length === 1 ? '0' + hex : hex;
-                    }).join('');
-                };
-
-                // Helper to calculate brightness (0-255)
-                const calculateBrightness = (r, g, b) => Math.round((0.299 * r + 0.587 * g + 0.114 * b));
-
-                // Helper to add color to map if it's significant
-                const addColor = (rgbString, sourceHint) => {
-                    if (!rgbString || rgbString === 'transparent' || rgbString === 'rgba(0, 0, 0, 0)') return;
-
-                    const rgb = parseRgb(rgbString);
-                    if (!rgb) return;
-
-                    // Filter out pure white and black unless they are from very specific sources, or very dark/light grays
-                    const brightness = calculateBrightness(rgb.r, rgb.g, rgb.b);
-                    if ((brightness > 250 && !(sourceHint.includes('variable') && sourceHint.toLowerCase().includes('background'))) && // Allow very light bg from vars
-                        (brightness < 10 && !(sourceHint.includes('variable') && sourceHint.toLowerCase().includes('text')))) { // Allow very dark text from vars
-                        // Heuristic: avoid near white/black unless explicitly defined or contextually important
-                        // This needs refinement based on how "brand" colors are defined vs utility colors
-                         if (!sourceHint.toLowerCase().includes('primary') && !sourceHint.toLowerCase().includes('accent') && !sourceHint.toLowerCase().includes('brand')) {
-                           // return; // Commented out to be more inclusive initially
-                         }
-                    }
+        // Builds the standalone replacement for a <use> that points at a symbol or element in the page
+        const resolveUse = (useEl, depth) => {
+            const id = internalRef(useEl);
+            const target = id && document.getElementById(id);
+            if (!target || depth > 3) return null;
+            const wrapper = document.createElementNS(SVG_NS, target.tagName.toLowerCase() === 'symbol' ? 'svg' : 'g');
+            if (target.getAttribute('viewBox')) wrapper.setAttribute('viewBox', target.getAttribute('viewBox'));
+            for (const attribute of ['x', 'y', 'width', 'height']) {
+                if (useEl.getAttribute(attribute)) wrapper.setAttribute(attribute, useEl.getAttribute(attribute));
+            }
+            // What the symbol's children inherit is the paint of the <use>, not of the hidden sprite
+            inlinePaint(useEl, wrapper);
+            const useStyle = getComputedStyle(useEl);
+            wrapper.setAttribute('style', `${wrapper.getAttribute('style') || ''};color:${useStyle.color}`.replace(/^;/, ''));
+            const targetChildren = target.tagName.toLowerCase() === 'symbol' ? Array.from(target.children) : [target];
+            for (const child of targetChildren) {
+                wrapper.appendChild(cloneWithPaint(child, getComputedStyle(target), depth + 1));
+            }
+            return wrapper;
+        };
 
-                    const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
-                    if (!collectedColors.has(hex)) {
-                        collectedColors.set(hex, {
-                            hex: hex,
-                            rgb: `rgb(${rgb.r},${rgb.g},${rgb.b})`,
-                            brightness: brightness,
-                            sources: [sourceHint],
-                            count: 1
-                        });
-                    } else {
-                        const existing = collectedColors.get(hex);
-                        existing.sources.push(sourceHint);
-                        existing.count++;
-                    }
-                };
-
-                // 1. Scan CSS Custom Properties on :root
-                const rootStyle = window.getComputedStyle(document.documentElement);
-                for (let i = 0; i < rootStyle.length; i++) {
-                    const propName = rootStyle[i];
-                    if (propName.startsWith('--') && (propName.toLowerCase().includes('color') || propName.toLowerCase().includes('brand') || propName.toLowerCase().includes('primary') || propName.toLowerCase().includes('accent') || propName.toLowerCase().includes('secondary'))) {
-                        const propValue = rootStyle.getPropertyValue(propName).trim();
-                        addColor(propValue, `css_variable: ${propName}`);
-                    }
+        const cloneWithPaint = (liveEl, inheritedStyle, depth = 0) => {
+            if (liveEl.tagName.toLowerCase() === 'use' && internalRef(liveEl)) {
+                const resolved = resolveUse(liveEl, depth);
+                if (resolved) return resolved;
+            }
+            const cloneEl = liveEl.cloneNode(false);
+            inlinePaint(liveEl, cloneEl, inheritedStyle);
+            for (const child of liveEl.childNodes) {
+                if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (child.tagName.toLowerCase() === 'script') continue;
+                    cloneEl.appendChild(cloneWithPaint(child, inheritedStyle, depth));
+                } else if (child.nodeType === Node.TEXT_NODE) {
+                    cloneEl.appendChild(child.cloneNode(false));
                 }
+            }
+            return cloneEl;
+        };
 
-                // 2. Collect colors from key UI elements
-                const keySelectors = [
-                    { selector: 'button, [role="button"], .button, .btn', purpose: 'button_bg', prop: 'backgroundColor' },
-                    { selector: 'button, [role="button"], .button, .btn', purpose: 'button_text', prop: 'color' },
-                    { selector: 'a', purpose: 'link_text', prop: 'color' },
-                    { selector: 'h1, .h1', purpose: 'h1_text', prop: 'color' },
-                    { selector: 'h2, .h2', purpose: 'h2_text', prop: 'color' },
-                    { selector: 'header, [role="banner"]', purpose: 'header_bg', prop: 'backgroundColor'},
-                    { selector: '[class*="primary-bg"], [class*="accent-bg"]', purpose: 'primary_accent_bg', prop: 'backgroundColor'},
-                    { selector: '[class*="primary-text"], [class*="accent-text"]', purpose: 'primary_accent_text', prop: 'color'}
-                ];
-
-                keySelectors.forEach(item => {
-                    try {
-                        const elements = Array.from(document.querySelectorAll(item.selector)).slice(0, 3); // Reduced from 5 to 3 elements per selector for speed
-                        elements.forEach(el => {
-                            const style = window.getComputedStyle(el);
-                            addColor(style[item.prop], item.purpose);
-                        });
-                    } catch (e) { /* ignore selector errors */ }
-                });
+        const serializeSvg = (rootEl) => {
+            const root = rootEl.tagName.toLowerCase() === 'svg' ? cloneWithPaint(rootEl) : resolveUse(rootEl, 0);
+            if (!root) return null;
+            root.setAttribute('xmlns', SVG_NS);
+            root.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+            const box = rootEl.getBoundingClientRect();
+            if (!root.getAttribute('width') && box.width) root.setAttribute('width', String(Math.round(box.width)));
+            if (!root.getAttribute('height') && box.height) root.setAttribute('height', String(Math.round(box.height)));
+            if (!root.getAttribute('viewBox') && box.width && box.height) root.setAttribute('viewBox', `0 0 ${Math.round(box.width)} ${Math.round(box.height)}`);
+
+            // Gradients, clip paths and masks the markup points at but doesn't contain
+            const referencedIds = new Set();
+            const markupSoFar = new XMLSerializer().serializeToString(root);
+            for (const match of markupSoFar.matchAll(/url\((?:&quot;|["'])?#([^"')&]+)/g)) referencedIds.add(match[1]);
+            const missing = [...referencedIds].filter(id => !root.querySelector(`[id="${CSS.escape(id)}"]`) && document.getElementById(id));
+            if (missing.length) {
+                const defs = document.createElementNS(SVG_NS, 'defs');
+                missing.forEach(id => defs.appendChild(cloneWithPaint(document.getElementById(id))));
+                root.insertBefore(defs, root.firstChild);
+            }
 
-                // Convert Map to Array for easier processing/sorting later if needed
-                return Array.from(collectedColors.values());
-            });
+            const markup = new XMLSerializer().serializeToString(root);
+            return markup.length <= MAX_SVG_MARKUP ? markup : null;
+        };
 
-            // Post-processing: Sort by brightness or count, select top N, etc.
-            // For now, just take them as found, up to a limit.
-            // A more sophisticated selection would involve frequency, source priority, contrast checks, etc.
-            let finalColors = colorsData;
+        const isVisibleLogoSize = (el) => {
+            const box = el.getBoundingClientRect();
+            return box.width >= 24 && box.height >= 12; // Skips menu, search and social icons
+        };
 
-            // Sort by brightness (desc) then by count (desc) as a simple heuristic for "importance"
-            finalColors.sort((a, b) => {
-                if (a.brightness !== b.brightness) {
-                    return b.brightness - a.brightness; // Darker colors first, then lighter
-                }
-                return b.count - a.count; // Then by how many times it was found
-            });
-
-            // Filter out very similar colors if too many are found (complex, skip for now)
-            // Limit to a reasonable number, reduced for speed
-            finalColors = finalColors.slice(0, 4); // Reduced from 6 to 4 colors for faster processing
-
-            console.log(`[getBrandColors] Found ${finalColors.length} potential brand colors.`);
-            return finalColors.map(c => ({
-                hex: c.hex,
-                rgb: c.rgb,
-                brightness: c.brightness,
-                // name: c.sources.join(', ').substring(0,50) // Use first source as a hint for name
-                name: c.sources[0] // Simpler name from first source
-            }));
-
-        } catch (e) {
-            console.warn("[getBrandColors] Error during color extraction:", e.message);
-            return [];
+        const inlineSvgSelectors = [
+            'svg[aria-label*="logo"i]',
+            'svg[class*="logo"i]',
+            'svg[id*="logo"i]',
+            'a[href="/"] svg',
+            '[class*="logo"i] svg',
+            'header svg'
+        ];
+        for (const selector of inlineSvgSelectors) {
+            const el = Array.from(document.querySelectorAll(selector)).find(isVisibleLogoSize);
+            if (!el) continue;
+            const markup = serializeSvg(el);
+            if (!markup) continue;
+            const use = el.querySelector('use');
+            results.inlineSvgLogo = markup;
+            results.sources.inlineSvgLogo = use && internalRef(use) ? `svg:sprite ${selector} use[href="#${internalRef(use)}"]` : `svg:inline ${selector}`;
+            results.inlineSvgLogoSymbolId = use && internalRef(use);
+            break;
         }
-    };
+        consoleMessages.push(`Inline SVG Logo candidate: ${results.sources.inlineSvgLogo || 'null'}`);
+
+        // A brand mark in a sprite (logo-mark, brand-symbol...) that isn't the full logo
+        const markSymbol = Array.from(document.querySelectorAll('symbol[id]'))
+            .filter(symbol => /logo|brand/i.test(symbol.id) && symbol.id !== results.inlineSvgLogoSymbolId)
+            .find(symbol => /mark|symbol|icon|glyph|emblem/i.test(symbol.id));
+        if (markSymbol) {
+            // Unused symbols have no rendered <use> to read sizes and paint from, so mount one briefly
+            const host = document.createElementNS(SVG_NS, 'svg');
+            host.setAttribute('style', 'position:absolute;left:-9999px;top:0;width:64px;height:64px');
+            const use = document.createElementNS(SVG_NS, 'use');
+            use.setAttribute('href', `#${markSymbol.id}`);
+            host.appendChild(use);
+            document.body.appendChild(host);
+            try {
+                const markup = serializeSvg(host);
+                if (markup) {
+                    results.inlineSvgSymbol = markup;
+                    results.sources.inlineSvgSymbol = `svg:sprite symbol#${markSymbol.id}`;
+                }
+            } finally {
+                host.remove();
+            }
+        }
+        consoleMessages.push(`Sprite Symbol candidate: ${results.sources.inlineSvgSymbol || 'null'}`);
+        delete results.inlineSvgLogoSymbolId;
+
+         console.log('Puppeteer evaluate console:', consoleMessages.join('\\n')); // Log messages from within evaluate
+
+        return results;
+    }, baseUrl); // Pass baseUrl to page.evaluate
+
+    // Markup can be long; log its size only
+    const svgMarkupSize = (markup) => (markup ? `<${markup.length} chars of SVG>` : null);
+    console.log('[getLogoDetails] Extracted assets from page:', JSON.stringify({
+        ...extractedAssets,
+        inlineSvgLogo: svgMarkupSize(extractedAssets.inlineSvgLogo),
+        inlineSvgSymbol: svgMarkupSize(extractedAssets.inlineSvgSymbol)
+    }, null, 2));
+
+    const svgDataUri = (markup) => `data:image/svg+xml;base64,${Buffer.from(markup, 'utf8').toString('base64')}`;
+    let logoSvg = null;
+    let symbolSvg = null;
+
+    // Prioritize sources for primaryLogoUrl; an inline SVG is only used when no image file was found
+    const logoCandidate = ['metaLogo', 'imgLogo', 'svgLogo'].find(candidate => extractedAssets[candidate]);
+    if (logoCandidate) {
+        primaryLogoUrl = extractedAssets[logoCandidate];
+        sources.Logo = extractedAssets.sources[logoCandidate];
+    } else if (extractedAssets.inlineSvgLogo) {
+        primaryLogoUrl = svgDataUri(extractedAssets.inlineSvgLogo);
+        logoSvg = extractedAssets.inlineSvgLogo;
+        sources.Logo = extractedAssets.sources.inlineSvgLogo;
+        sources.LogoSvg = extractedAssets.sources.inlineSvgLogo;
+    }
 
-    // 3c. Extract Key Fonts
-    const getKeyFonts = async (page) => {
-        console.log(`[getKeyFonts] Starting font extraction.`);
+    // Web App Manifest: more icons, the app name and the colors the site chose for its app
+    let manifest = null;
+    let manifestData = null;
+    if (extractedAssets.manifestUrl && lease) {
         try {
-            // Helper function to parse the primary font name from a CSS font-family stack
-            const parsePrimaryFont = (fontStack) => {
-                if (!fontStack || typeof fontStack !== 'string') return null;
-                // Split by comma, take the first part, remove quotes and trim
-                const firstFont = fontStack.split(',')[0].trim();
-                return firstFont.replace(/^['"]|['"]$/g, ''); // Remove surrounding quotes
+            manifest = await fetchManifest(lease, extractedAssets.manifestUrl);
+            // Manifest colors can be any CSS color; let the page resolve them to rgb()
+            const [themeColor, backgroundColor] = await page.evaluate((values) => values.map(value => {
+                if (typeof value !== 'string' || !value.trim()) return null;
+                const probe = document.createElement('span');
+                probe.style.color = value;
+                if (!probe.style.color) return null; // Not a valid color
+                document.body.appendChild(probe);
+                const computed = getComputedStyle(probe).color;
+                probe.remove();
+                return computed;
+            }), [manifest.theme_color, manifest.background_color]);
+            const toHex = (rgbString) => {
+                const rgb = utils.getRGBFromString(rgbString);
+                return rgb ? utils.rgbToHex(rgb.r, rgb.g, rgb.b) : null;
+            };
+            manifestData = {
+                Url: extractedAssets.manifestUrl,
+                Name: typeof manifest.name === 'string' ? manifest.name.trim() || null : null,
+                ShortName: typeof manifest.short_name === 'string' ? manifest.short_name.trim() || null : null,
+                ThemeColor: toHex(themeColor),
+                BackgroundColor: toHex(backgroundColor)
             };
+            sources.Manifest = 'link[rel="manifest"]';
+            console.log(`[getLogoDetails] Manifest ${extractedAssets.manifestUrl} declares ${Array.isArray(manifest.icons) ? manifest.icons.length : 0} icon(s)`);
+        } catch (error) {
+            console.warn(`[getLogoDetails] Could not read manifest ${extractedAssets.manifestUrl}:`, error.message);
+        }
+    }
 
-            const fontsInfo = await page.evaluate(() => {
-                const getFontFamily = (selectors) => {
-                    for (const selector of selectors) {
-                        const element = document.querySelector(selector);
-                        if (element) {
-                            const ff = window.getComputedStyle(element).fontFamily;
-                            if (ff) return ff;
-                        }
-                    }
-                    return null;
-                };
-
-                // More targeted selectors for headings
-                const headingSelectors = [
-                    'h1', 'h2', 'h3', // Prioritize actual heading tags
-                    '.h1', '.h2', '.h3', // Common heading classes
-                    '[class*="headline"]', '[class*="heading"]', '[class*="title"]', // Class names indicating headings
-                    '[role="heading"][aria-level="1"]', '[role="heading"][aria-level="2"]' // ARIA roles
-                ];
-                const headingFontStack = getFontFamily(headingSelectors);
-
-                // More targeted selectors for body text
-                const bodySelectors = [
-                    'p', // Standard paragraph
-                    'article p', 'main p', 'section p', // Paragraphs within semantic content areas
-                    '.content p', '.text-block p', '[class*="body-text"] p', '[class*="content-text"] p', // Paragraphs within common content divs
-                    'body' // Fallback to body itself if no specific p text found
-                ];
-                let bodyFontStack = getFontFamily(bodySelectors);
-
-                // If body font is same as heading, try a more generic body selector as a last resort for differentiation
-                if (bodyFontStack === headingFontStack) {
-                    bodyFontStack = window.getComputedStyle(document.body).fontFamily;
-                }
+    // Icon URL: the highest-resolution icon from the links, the manifest and /favicon.ico
+    const icons = buildIconSet({
+        links: extractedAssets.iconLinks,
+        manifest,
+        manifestUrl: extractedAssets.manifestUrl,
+        baseUrl
+    });
+    const bestIcon = pickBestIcon(icons);
+    if (bestIcon) {
+        iconUrl = bestIcon.url;
+        sources.Icon = bestIcon.source;
+    }
 
-                return { headingFontStack, bodyFontStack };
-            });
+    // Banner URL (don't use logo as banner if they are the same)
+    if (extractedAssets.metaBanner && extractedAssets.metaBanner !== primaryLogoUrl) {
+        bannerUrl = extractedAssets.metaBanner;
+        sources.Banner = extractedAssets.sources.metaBanner;
+    }
 
-            const headingFontName = parsePrimaryFont(fontsInfo.headingFontStack);
-            const bodyFontName = parsePrimaryFont(fontsInfo.bodyFontStack);
+    // Symbol: a brand-mark symbol from the page's SVG sprite
+    if (extractedAssets.inlineSvgSymbol) {
+        symbolUrl = svgDataUri(extractedAssets.inlineSvgSymbol);
+        symbolSvg = extractedAssets.inlineSvgSymbol;
+        sources.Symbol = extractedAssets.sources.inlineSvgSymbol;
+        sources.SymbolSvg = extractedAssets.sources.inlineSvgSymbol;
+    }
 
-            const resultFonts = [];
-            if (headingFontName) {
-                resultFonts.push({
-                    name: headingFontName,
-                    type: 'heading', // Heuristic type
-                    stack: fontsInfo.headingFontStack || ''
-                });
-            }
-            if (bodyFontName) {
-                // Avoid adding the same font entry if body font resolves to the same as heading
-                if (!headingFontName || (headingFontName && bodyFontName !== headingFontName) ||
-                    (bodyFontName === headingFontName && fontsInfo.bodyFontStack !== fontsInfo.headingFontStack)) {
-                    resultFonts.push({
-                        name: bodyFontName,
-                        type: 'body', // Heuristic type
-                        stack: fontsInfo.bodyFontStack || ''
-                    });
-                } else if (!headingFontName && bodyFontName) { // Only body font was found
-                     resultFonts.push({
-                        name: bodyFontName,
-                        type: 'body',
-                        stack: fontsInfo.bodyFontStack || ''
-                    });
-                }
-            }
+    return {
+        Logo: primaryLogoUrl,
+        Symbol: symbolUrl,
+        Icon: iconUrl,
+        Banner: bannerUrl,
+        LogoSvg: logoSvg, // Raw markup when Logo is an inline SVG
+        SymbolSvg: symbolSvg,
+        Icons: icons,
+        Manifest: manifestData
+    };
+};
 
-            console.log(`[getKeyFonts] Extracted fonts:`, JSON.stringify(resultFonts));
-            return resultFonts; // Return array structure
+// 3b. Extract Brand Colors
+const getBrandColors = async (page, sources = {}, palette = {}, logoColorsPromise = Promise.resolve([]), manifestColors = []) => { // sources receives color index -> source; palette receives roles and contrast pairs
+    console.log(`[getBrandColors] Starting color extraction.`);
+    try {
+        const colorsData = await page.evaluate(() => {
+            const collectedColors = new Map(); // Use a Map to store unique colors and their sources/usage
+            const collectedPairs = new Map(); // "fg|bg" -> text color on its effective background
+
+            // Helper to parse color string "rgb(r, g, b)" or "rgba(r, g, b, a)" to {r, g, b, a}
+            const parseRgb = (colorStr) => {
+                if (!colorStr || typeof colorStr !== 'string') return null;
+                const match = colorStr.match(/rgba?\((\d+)\s*,\s*(\d+)\s*,\s*(\d+)(?:\s*,\s*([\d.]+))?\)/);
+                if (match) return { r: parseInt(match[1]), g: parseInt(match[2]), b: parseInt(match[3]), a: match[4] === undefined ? 1 : parseFloat(match[4]) };
+                return null;
+            };
 
-        } catch (e) {
-            console.warn("[getKeyFonts] Error during font extraction:", e.message);
-            return []; // Return empty array on error
-        }
-    };
+            // Helper to convert {r, g, b} to hex #RRGGBB
+            const rgbToHex = (r, g, b) => {
+                return '#' + [r, g, b].map(x => {
+                    const hex = x.toString(16);
+                    return hex.length === 1 ? '0' + hex : hex;
+                }).join('');
+            };
 
-    // 3d. Extract General Images (e.g., a hero image, more illustrative)
-    const getGeneralImages = async (page, baseUrl, existingLogoUrls = {}) => { // Added existingLogoUrls to avoid duplicates
-        console.log(`[getGeneralImages] Starting image extraction for ${baseUrl}. Excluding known logos:`, existingLogoUrls);
-        let images = await page.evaluate((pageBaseUrl, knownLogoSrcs) => {
-            const collectedImages = new Map(); // Use Map to ensure unique src easily
+            // Helper to calculate brightness (0-255)
+            const calculateBrightness = (r, g, b) => Math.round((0.299 * r + 0.587 * g + 0.114 * b));
+
+            // Custom properties come back as authored (#0a66c2, hsl(...)); let the browser resolve them to rgb()
+            const probe = document.createElement('span');
+            probe.style.display = 'none';
+            document.body.appendChild(probe);
+            const resolveColor = (value) => {
+                probe.style.color = '';
+                probe.style.color = value;
+                return probe.style.color ? window.getComputedStyle(probe).color : null;
+            };
 
-            const resolveImgUrl = (imgSrc) => {
-                if (!imgSrc || typeof imgSrc !== 'string') return null;
-                try { return new URL(imgSrc, pageBaseUrl).href; }
-                catch (e) { console.warn(`Invalid image URL to resolve: ${imgSrc} on base ${pageBaseUrl}`); return null; }
+            // Records one use of a color; `usage` says how it was used so roles can be assigned later
+            const addColor = (rgbString, sourceHint, usage = {}) => {
+                if (!rgbString || rgbString === 'transparent') return null;
+
+                const rgb = parseRgb(rgbString);
+                if (!rgb || rgb.a < 0.5) return null; // Mostly transparent colors show whatever is behind them
+
+                const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+                if (!collectedColors.has(hex)) {
+                    collectedColors.set(hex, {
+                        hex: hex,
+                        rgb: `rgb(${rgb.r},${rgb.g},${rgb.b})`,
+                        brightness: calculateBrightness(rgb.r, rgb.g, rgb.b),
+                        sources: [],
+                        variables: [],
+                        count: 0,
+                        backgroundArea: 0,
+                        textLength: 0,
+                        interactive: 0,
+                        heading: 0
+                    });
+                }
+                const existing = collectedColors.get(hex);
+                if (!existing.sources.includes(sourceHint)) existing.sources.push(sourceHint);
+                existing.count++;
+                existing.backgroundArea += usage.backgroundArea || 0;
+                existing.textLength += usage.textLength || 0;
+                existing.interactive += usage.interactive ? 1 : 0;
+                existing.heading += usage.heading ? 1 : 0;
+                if (usage.variable) existing.variables.push(usage.variable);
+                return hex;
             };
 
-            const addImage = (src, alt, typeHint = 'Page Image') => {
-                const resolvedSrc = resolveImgUrl(src);
-                if (resolvedSrc && !knownLogoSrcs.includes(resolvedSrc) && !collectedImages.has(resolvedSrc)) {
-                    collectedImages.set(resolvedSrc, { src: resolvedSrc, alt: (alt || typeHint).trim() });
+            // Visible area of an element in px², the weight of its background color
+            const visibleArea = (el) => {
+                const rect = el.getBoundingClientRect();
+                const width = Math.max(0, Math.min(rect.right, document.documentElement.scrollWidth) - Math.max(rect.left, 0));
+                return Math.round(width * Math.max(0, rect.height));
+            };
+            // Text directly inside an element (not its descendants), the weight of its text color
+            const ownTextLength = (el) => Array.from(el.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .reduce((length, node) => length + node.textContent.trim().length, 0);
+            // The first sufficiently opaque background behind an element; the canvas defaults to white
+            const effectiveBackground = (el) => {
+                for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+                    const bg = parseRgb(window.getComputedStyle(node).backgroundColor);
+                    if (bg && bg.a >= 0.5) return `rgb(${bg.r}, ${bg.g}, ${bg.b})`;
                 }
+                return 'rgb(255, 255, 255)';
             };
 
-            // 1. Prioritize Open Graph images and Twitter card images (if not already used as main logo/banner)
-            document.querySelectorAll('meta[property^="og:image"], meta[name^="twitter:image"]').forEach(meta => {
-                if (meta.content) {
-                    addImage(meta.content, meta.getAttribute('property') || meta.getAttribute('name'), 'Social Preview Image');
+            // 1. Scan CSS Custom Properties on :root
+            const rootStyle = window.getComputedStyle(document.documentElement);
+            for (let i = 0; i < rootStyle.length; i++) {
+                const propName = rootStyle[i];
+                if (propName.startsWith('--') && (propName.toLowerCase().includes('color') || propName.toLowerCase().includes('brand') || propName.toLowerCase().includes('primary') || propName.toLowerCase().includes('accent') || propName.toLowerCase().includes('secondary'))) {
+                    const propValue = rootStyle.getPropertyValue(propName).trim();
+                    addColor(resolveColor(propValue), `css_variable: ${propName}`, { variable: propName });
                 }
+            }
+
+            // 2. Backgrounds of large layout areas, weighted by their visible size
+            const backgroundSelectors = 'body, header, [role="banner"], nav, main, section, footer, [class*="hero"], [class*="banner"]';
+            Array.from(document.querySelectorAll(backgroundSelectors)).slice(0, 30).forEach(el => {
+                addColor(window.getComputedStyle(el).backgroundColor, `${el.tagName.toLowerCase()}_bg`, { backgroundArea: visibleArea(el) });
             });
 
-            // 2. Look for hero/banner images or significant images in main content areas
-            // Enhanced selectors for typical hero/banner sections
-            const mainContentSelectors = [
-                'header img[src]', // Image directly in header (might be a banner)
-                'main img[src]',    // Images within main content
-                'article img[src]',
-                'section[role="banner"] img[src]', 'section[class*="banner"i] img[src]', // Banner sections
-                'figure img[src]', // Images within figure tags
-                '.hero img[src]', '.hero-image img[src]', '[class*="hero"i] img[src]', // Common hero classes
-                '.carousel img[src]', '.slider img[src]', // Images in carousels/sliders
-                'div[data-hero] img[src]'
+            // 3. Interactive elements - buttons and links carry the brand's action colors
+            const interactiveSelectors = [
+                { selector: 'button, [role="button"], .button, .btn, a[class*="btn"], input[type="submit"]', purpose: 'button', limit: 10 },
+                { selector: 'a', purpose: 'link', limit: 15 }
             ];
-
-            for (const contentSelector of mainContentSelectors) {
-                if (collectedImages.size >= 3) break; // Reduced from 5 to 3 for faster processing
+            interactiveSelectors.forEach(item => {
                 try {
-                    const imgElements = Array.from(document.querySelectorAll(contentSelector));
-                    for (const img of imgElements) {
-                        if (collectedImages.size >= 3) break; // Reduced from 5 to 3
-                        const imgSrc = img.getAttribute('src'); // Get attribute directly to resolve later
-                        if (!imgSrc) continue;
-
-                        const width = img.naturalWidth || parseInt(img.getAttribute('width') || '0', 10);
-                        const height = img.naturalHeight || parseInt(img.getAttribute('height') || '0', 10);
-
-                        // Filter for significant images:
-                        // - Not too small (e.g., larger than 200px in one dimension, or area > 30000px)
-                        // - Aspect ratio not extremely skewed (e.g., not a very thin line, unless very long)
-                        const area = width * height;
-                        const isSignificantSize = (width > 200 || height > 200) || (area > 30000);
-                        const isNotASpacer = (width > 1 && height > 1); // Avoid 1x1 tracking pixels
-                        // Avoid very narrow/short images unless they are very long/wide (potential banners)
-                        const reasonableAspectRatio = (width > 0 && height > 0) ?
-                                                    (Math.max(width,height) / Math.min(width,height) < 10) || (width > 400 || height > 400)
-                                                    : false;
-
-                        if (isSignificantSize && isNotASpacer && reasonableAspectRatio) {
-                            addImage(imgSrc, img.alt, 'Content Image');
+                    Array.from(document.querySelectorAll(item.selector)).slice(0, item.limit).forEach(el => {
+                        const style = window.getComputedStyle(el);
+                        if (item.purpose === 'button') {
+                            addColor(style.backgroundColor, 'button_bg', { interactive: true, backgroundArea: visibleArea(el) });
                         }
-                    }
-                } catch (e) { console.warn(`Error with selector ${contentSelector} in getGeneralImages: ${e.message}`); }
-            }
+                        addColor(style.color, `${item.purpose}_text`, { interactive: true });
+                    });
+                } catch (e) { /* ignore selector errors */ }
+            });
+
+            // 4. Text colors, weighted by how much text uses them, and the backgrounds they sit on
+            const textSelectors = [
+                { selector: 'h1, .h1', purpose: 'h1_text', heading: true },
+                { selector: 'h2, .h2', purpose: 'h2_text', heading: true },
+                { selector: 'h3', purpose: 'h3_text', heading: true },
+                { selector: 'p, li, td, span, label, button, a', purpose: 'body_text', heading: false }
+            ];
+            textSelectors.forEach(item => {
+                try {
+                    Array.from(document.querySelectorAll(item.selector)).slice(0, item.heading ? 5 : 60).forEach(el => {
+                        const textLength = ownTextLength(el);
+                        if (textLength === 0) return;
+                        const style = window.getComputedStyle(el);
+                        const foreground = addColor(style.color, item.purpose, { textLength, heading: item.heading });
+                        const background = addColor(effectiveBackground(el), 'text_bg');
+                        if (!foreground || !background || foreground === background) return;
+                        const key = `${foreground}|${background}`;
+                        const pair = collectedPairs.get(key) || { foreground, background, textLength: 0 };
+                        pair.textLength += textLength;
+                        collectedPairs.set(key, pair);
+                    });
+                } catch (e) { /* ignore selector errors */ }
+            });
 
-            // Convert Map values to Array
-            return Array.from(collectedImages.values());
-        }, baseUrl, [existingLogoUrls.Logo, existingLogoUrls.Icon, existingLogoUrls.Banner].filter(Boolean));
+            // 5. Explicit utility classes
+            [
+                { selector: '[class*="primary-bg"], [class*="accent-bg"]', purpose: 'primary_accent_bg', prop: 'backgroundColor' },
+                { selector: '[class*="primary-text"], [class*="accent-text"]', purpose: 'primary_accent_text', prop: 'color' }
+            ].forEach(item => {
+                try {
+                    Array.from(document.querySelectorAll(item.selector)).slice(0, 3).forEach(el => {
+                        addColor(window.getComputedStyle(el)[item.prop], item.purpose, { interactive: true });
+                    });
+                } catch (e) { /* ignore selector errors */ }
+            });
 
-        // Limit to max 2-3 images for faster processing
-        return (images || []).slice(0, 2); // Reduced from 4 to 2
-    };
+            probe.remove();
+            // Convert Maps to Arrays for processing in Node
+            return { colors: Array.from(collectedColors.values()), pairs: Array.from(collectedPairs.values()) };
+        });
 
-    // 3e. Extract Company Information (Name, Description, etc.)
-    const getCompanyInfo = async (page, inputUrl) => { // Added page argument
-        let name = await getMetaContent(page, ['meta[property="og:site_name"]', 'meta[name="application-name"]', 'meta[name="twitter:title"]', 'meta[itemprop="name"]']);
-        if (!name) name = await getTextFromSelectors(page, ['title']);
+        const logoColors = await logoColorsPromise;
+        const { colors: finalColors, roles, contrastPairs } = buildBrandPalette(colorsData.colors, colorsData.pairs, logoColors, manifestColors);
+        Object.assign(palette, roles, { ContrastPairs: contrastPairs });
+
+        console.log(`[getBrandColors] Built a palette of ${finalColors.length} colors.`);
+        finalColors.forEach((c, index) => {
+            const hint = c.sources[0];
+            if (hint === 'logo_pixels') sources[index] = 'logo-pixels';
+            else if (hint.startsWith('manifest:')) sources[index] = hint;
+            else sources[index] = hint.startsWith('css_variable: ')
+                ? `css-variable:${hint.slice('css_variable: '.length)}`
+                : `computed-style:${hint}`;
+        });
+        return finalColors.map(c => ({
+            hex: c.hex,
+            rgb: c.rgb,
+            brightness: c.brightness,
+            name: c.name,
+            role: c.role,
+            tints: c.tints,
+            shades: c.shades,
+            usage: c.usage
+        }));
+
+    } catch (e) {
+        console.warn("[getBrandColors] Error during color extraction:", e.message);
+        return [];
+    }
+};
 
-        let description = await getMetaContent(page, ['meta[property="og:description"]', 'meta[name="description"]', 'meta[name="twitter:description"]', 'meta[itemprop="description"]']);
+// 3c. Extract Key Fonts
+const getKeyFonts = async (page, sources = {}) => { // sources receives font index -> selector
+    console.log(`[getKeyFonts] Starting font extraction.`);
+    try {
+        // Helper function to parse the primary font name from a CSS font-family stack
+        const parsePrimaryFont = (fontStack) => {
+            if (!fontStack || typeof fontStack !== 'string') return null;
+            // Split by comma, take the first part, remove quotes and trim
+            const firstFont = fontStack.split(',')[0].trim();
+            return firstFont.replace(/^['"]|['"]$/g, ''); // Remove surrounding quotes
+        };
 
-        let website = await getMetaContent(page, ['meta[property="og:url"]']);
-        if(!website) website = await getAttributeFromSelectors(page, ['link[rel="canonical"]'], 'href');
-        website = resolveUrl(website, inputUrl) || inputUrl;
+        const fontsInfo = await page.evaluate(() => {
+            const matchedSelectors = {}; // Stack -> selector it was read from
+            const getFontFamily = (selectors) => {
+                for (const selector of selectors) {
+                    const element = document.querySelector(selector);
+                    if (element) {
+                        const ff = window.getComputedStyle(element).fontFamily;
+                        if (ff) {
+                            matchedSelectors[ff] = matchedSelectors[ff] || selector;
+                            return ff;
+                        }
+                    }
+                }
+                return null;
+            };
 
+            // More targeted selectors for headings
+            const headingSelectors = [
+                'h1', 'h2', 'h3', // Prioritize actual heading tags
+                '.h1', '.h2', '.h3', // Common heading classes
+                '[class*="headline"]', '[class*="heading"]', '[class*="title"]', // Class names indicating headings
+                '[role="heading"][aria-level="1"]', '[role="heading"][aria-level="2"]' // ARIA roles
+            ];
+            const headingFontStack = getFontFamily(headingSelectors);
+
+            // More targeted selectors for body text
+            const bodySelectors = [
+                'p', // Standard paragraph
+                'article p', 'main p', 'section p', // Paragraphs within semantic content areas
+                '.content p', '.text-block p', '[class*="body-text"] p', '[class*="content-text"] p', // Paragraphs within common content divs
+                'body' // Fallback to body itself if no specific p text found
+            ];
+            let bodyFontStack = getFontFamily(bodySelectors);
 
-        let industry = null, location = null, founded = null, companyType = null, employees = null;
-        let keywords = [];
+            // If body font is same as heading, try a more generic body selector as a last resort for differentiation
+            if (bodyFontStack === headingFontStack) {
+                bodyFontStack = window.getComputedStyle(document.body).fontFamily;
+                matchedSelectors[bodyFontStack] = matchedSelectors[bodyFontStack] || 'body';
+            }
 
-        try {
-            const jsonLdData = await page.evaluate(() => {
-                const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-                const allJson = [];
-                scripts.forEach(script => {
-                    try { allJson.push(JSON.parse(script.textContent || '{}')); }
-                    catch (e) { console.warn("Error parsing individual JSON-LD script:", e.message); }
-                });
-                return allJson;
+            return {
+                headingFontStack,
+                bodyFontStack,
+                headingSelector: matchedSelectors[headingFontStack] || null,
+                bodySelector: bodyFontStack === headingFontStack ? 'body' : (matchedSelectors[bodyFontStack] || null)
+            };
+        });
+
+        const headingFontName = parsePrimaryFont(fontsInfo.headingFontStack);
+        const bodyFontName = parsePrimaryFont(fontsInfo.bodyFontStack);
+
+        const resultFonts = [];
+        if (headingFontName) {
+            resultFonts.push({
+                name: headingFontName,
+                type: 'heading', // Heuristic type
+                stack: fontsInfo.headingFontStack || ''
             });
+        }
+        if (bodyFontName) {
+            // Avoid adding the same font entry if body font resolves to the same as heading
+            if (!headingFontName || (headingFontName && bodyFontName !== headingFontName) ||
+                (bodyFontName === headingFontName && fontsInfo.bodyFontStack !== fontsInfo.headingFontStack)) {
+                resultFonts.push({
+                    name: bodyFontName,
+                    type: 'body', // Heuristic type
+                    stack: fontsInfo.bodyFontStack || ''
+                });
+            } else if (!headingFontName && bodyFontName) { // Only body font was found
+                 resultFonts.push({
+                    name: bodyFontName,
+                    type: 'body',
+                    stack: fontsInfo.bodyFontStack || ''
+                });
+            }
+        }
 
-            const processJsonLdObject = (obj) => {
-                if (!obj || typeof obj !== 'object') return;
+        resultFonts.forEach((font, index) => {
+            const selector = font.type === 'heading' ? fontsInfo.headingSelector : fontsInfo.bodySelector;
+            if (selector) sources[index] = `computed-style:${selector}`;
+        });
 
-                const type = obj['@type'];
-                const isOrg = type === 'Organization' || type === 'Corporation' || (Array.isArray(type) && (type.includes('Organization') || type.includes('Corporation')));
+        console.log(`[getKeyFonts] Extracted fonts:`, JSON.stringify(resultFonts));
+        return resultFonts; // Return array structure
 
-                if (isOrg) {
-                    if (!name && obj.name) name = typeof obj.name === 'string' ? obj.name.trim() : String(obj.name).trim();
-                    if (!description && obj.description) description = String(obj.description).trim();
-                    if (!description && obj.disambiguatingDescription) description = String(obj.disambiguatingDescription).trim();
+    } catch (e) {
+        console.warn("[getKeyFonts] Error during font extraction:", e.message);
+        return []; // Return empty array on error
+    }
+};
 
-                    if (!industry && obj.industry) {
-                        industry = Array.isArray(obj.industry) ? obj.industry.map(String).join(', ') : String(obj.industry);
-                    }
+// 3c-2. Type scale: computed size, leading, weight, tracking and case of headings, body and UI text
+const getTypeScale = async (page, sources = {}) => { // sources receives role -> selector
+    console.log(`[getTypeScale] Starting type scale extraction.`);
+    try {
+        const roleStyles = await page.evaluate(() => {
+            const roleSelectors = {
+                h1: ['h1', '[role="heading"][aria-level="1"]'],
+                h2: ['h2', '[role="heading"][aria-level="2"]'],
+                h3: ['h3', '[role="heading"][aria-level="3"]'],
+                h4: ['h4'],
+                h5: ['h5'],
+                h6: ['h6'],
+                body: ['main p', 'article p', 'p'],
+                button: ['button', '[role="button"]', 'a[class*="btn"i]', 'a[class*="button"i]'],
+                nav: ['nav a', '[role="navigation"] a', 'header a'],
+                small: ['small', 'figcaption', 'footer p', '[class*="caption"i]', '[class*="disclaimer"i]', '[class*="legal"i]']
+            };
+            const px = (value) => {
+                const number = parseFloat(value);
+                return Number.isFinite(number) ? number : null;
+            };
 
-                    if (!location && obj.address) {
-                        const addr = obj.address;
-                        let locParts = [];
-                        if (addr.streetAddress) locParts.push(addr.streetAddress);
-                        if (addr.addressLocality) locParts.push(addr.addressLocality);
-                        if (addr.addressRegion) locParts.push(addr.addressRegion);
-                        if (addr.postalCode) locParts.push(addr.postalCode);
-                        if (addr.addressCountry) locParts.push(typeof addr.addressCountry === 'string' ? addr.addressCountry : addr.addressCountry.name);
-                        if (locParts.length > 0) location = locParts.join(', ');
-                        else if (typeof addr === 'string') location = addr;
-                    }
-                     if (!location && obj.location?.address) { // Nested location
-                        const addr = obj.location.address;
-                        let locParts = [];
-                        if (addr.streetAddress) locParts.push(addr.streetAddress);
-                        if (addr.addressLocality) locParts.push(addr.addressLocality);
-                        // ... (similar address parsing as above)
-                        if (locParts.length > 0) location = locParts.join(', ');
-                        else if (typeof addr === 'string') location = addr;
+            const results = {};
+            for (const [role, selectors] of Object.entries(roleSelectors)) {
+                // The most common style among up to 20 visible elements, weighted by their text
+                const variants = new Map();
+                let sampled = 0;
+                for (const selector of selectors) {
+                    for (const element of document.querySelectorAll(selector)) {
+                        if (sampled >= 20) break;
+                        const text = (element.innerText || '').trim();
+                        if (!text || element.getClientRects().length === 0) continue;
+                        const style = window.getComputedStyle(element);
+                        if (style.visibility === 'hidden') continue;
+                        sampled++;
+                        const variant = {
+                            fontSize: px(style.fontSize),
+                            lineHeight: style.lineHeight === 'normal' ? null : px(style.lineHeight),
+                            fontWeight: parseInt(style.fontWeight, 10) || 400,
+                            letterSpacing: style.letterSpacing === 'normal' ? 0 : px(style.letterSpacing) || 0,
+                            textTransform: style.textTransform,
+                            fontFamily: style.fontFamily.split(',')[0].trim().replace(/^['"]|['"]$/g, '')
+                        };
+                        const key = JSON.stringify(variant);
+                        const existing = variants.get(key) || { ...variant, textLength: 0, samples: 0, selector };
+                        existing.textLength += Math.min(text.length, 500); // One long paragraph shouldn't outvote the rest
+                        existing.samples++;
+                        variants.set(key, existing);
                     }
+                    if (sampled >= 20) break;
+                }
+                const best = [...variants.values()].sort((a, b) => b.textLength - a.textLength)[0];
+                if (best) results[role] = best;
+            }
+            return results;
+        });
 
+        const scale = buildTypeScale(roleStyles);
+        Object.entries(roleStyles).forEach(([role, style]) => {
+            if (scale.roles[role]) sources[role] = `computed-style:${style.selector}`;
+        });
+        console.log(`[getTypeScale] Built a type scale of ${scale.steps.length} steps from ${Object.keys(scale.roles).length} roles.`);
+        return scale;
+    } catch (e) {
+        console.warn("[getTypeScale] Error during type scale extraction:", e.message);
+        return { baseFontSize: null, ratio: null, steps: [], roles: {} };
+    }
+};
 
-                    if (!founded && obj.foundingDate) founded = String(obj.foundingDate);
+// 3d. Extract General Images (e.g., a hero image, more illustrative)
+const getGeneralImages = async (page, baseUrl, existingLogoUrls = {}, sources = {}) => { // Added existingLogoUrls to avoid duplicates; sources receives image index -> selector
+    console.log(`[getGeneralImages] Starting image extraction for ${baseUrl}. Excluding known logos:`, existingLogoUrls);
+    let images = await page.evaluate((pageBaseUrl, knownLogoSrcs) => {
+        const collectedImages = new Map(); // Use Map to ensure unique src easily
 
-                    if (!employees && obj.numberOfEmployees) {
-                        const emp = obj.numberOfEmployees;
-                        if (emp.value) employees = String(emp.value);
-                        else if (emp.minValue && emp.maxValue) employees = `${emp.minValue}-${emp.maxValue}`;
-                        else if (typeof emp === 'string' || typeof emp === 'number') employees = String(emp);
-                    }
-                    if (!website && obj.url && typeof obj.url === 'string' && obj.url.startsWith('http')) website = obj.url;
-                    if (obj.keywords) {
-                        const kw = typeof obj.keywords === 'string' ? obj.keywords.split(',') : (Array.isArray(obj.keywords) ? obj.keywords : []);
-                        keywords.push(...kw.map(k => String(k).trim()));
-                    }
-                    if (obj.knowsAbout) {
-                         const ka = Array.isArray(obj.knowsAbout) ? obj.knowsAbout : [obj.knowsAbout];
-                         ka.forEach(item => {
-                             if(typeof item === 'string') keywords.push(item.trim());
-                             else if (item && item.name && typeof item.name === 'string') keywords.push(item.name.trim());
-                         });
-                    }
-                }
-                // Recursively search in properties if it's an object or array
-                Object.values(obj).forEach(value => {
-                    if (typeof value === 'object' || Array.isArray(value)) {
-                        processJsonLdObject(value);
-                    }
-                });
-            };
+        const resolveImgUrl = (imgSrc) => {
+            if (!imgSrc || typeof imgSrc !== 'string') return null;
+            try { return new URL(imgSrc, pageBaseUrl).href; }
+            catch (e) { console.warn(`Invalid image URL to resolve: ${imgSrc} on base ${pageBaseUrl}`); return null; }
+        };
 
-            if (Array.isArray(jsonLdData)) {
-                jsonLdData.forEach(processJsonLdObject);
-            } else if (typeof jsonLdData === 'object') {
-                processJsonLdObject(jsonLdData);
+        const addImage = (src, alt, typeHint = 'Page Image', source = null) => {
+            const resolvedSrc = resolveImgUrl(src);
+            if (resolvedSrc && !knownLogoSrcs.includes(resolvedSrc) && !collectedImages.has(resolvedSrc)) {
+                collectedImages.set(resolvedSrc, { src: resolvedSrc, alt: (alt || typeHint).trim(), source });
             }
+        };
 
-        } catch(e) {
-            console.warn("Error processing JSON-LD for company info:", e.message);
-        }
+        // 1. Prioritize Open Graph images and Twitter card images (if not already used as main logo/banner)
+        document.querySelectorAll('meta[property^="og:image"], meta[name^="twitter:image"]').forEach(meta => {
+            if (meta.content) {
+                const metaKey = meta.getAttribute('property') ? 'property' : 'name';
+                addImage(meta.content, meta.getAttribute('property') || meta.getAttribute('name'), 'Social Preview Image', `meta[${metaKey}="${meta.getAttribute(metaKey)}"]`);
+            }
+        });
 
-        // Fallback for name if still not found
-        if (!name) name = await getTextFromSelectors(page, ['h1', '.site-title', 'header [class*="title"]', 'meta[name="title"]']);
-        // Fallback for description
-        if (!description) description = await getMetaContent(page, ['meta[name="abstract"]', 'meta[name="subject"]']);
+        // 2. Look for hero/banner images or significant images in main content areas
+        // Enhanced selectors for typical hero/banner sections
+        const mainContentSelectors = [
+            'header img[src]', // Image directly in header (might be a banner)
+            'main img[src]',    // Images within main content
+            'article img[src]',
+            'section[role="banner"] img[src]', 'section[class*="banner"i] img[src]', // Banner sections
+            'figure img[src]', // Images within figure tags
+            '.hero img[src]', '.hero-image img[src]', '[class*="hero"i] img[src]', // Common hero classes
+            '.carousel img[src]', '.slider img[src]', // Images in carousels/sliders
+            'div[data-hero] img[src]'
+        ];
 
-        if (keywords.length > 0 && !industry) { // Use keywords as a fallback for industry
-            industry = [...new Set(keywords)].slice(0, 3).join(', '); // Take unique keywords, up to 3
+        for (const contentSelector of mainContentSelectors) {
+            if (collectedImages.size >= 3) break; // Reduced from 5 to 3 for faster processing
+            try {
+                const imgElements = Array.from(document.querySelectorAll(contentSelector));
+                for (const img of imgElements) {
+                    if (collectedImages.size >= 3) break; // Reduced from 5 to 3
+                    const imgSrc = img.getAttribute('src'); // Get attribute directly to resolve later
+                    if (!imgSrc) continue;
+
+                    const width = img.naturalWidth || parseInt(img.getAttribute('width') || '0', 10);
+                    const height = img.naturalHeight || parseInt(img.getAttribute('height') || '0', 10);
+
+                    // Filter for significant images:
+                    // - Not too small (e.g., larger than 200px in one dimension, or area > 30000px)
+                    // - Aspect ratio not extremely skewed (e.g., not a very thin line, unless very long)
+                    const area = width * height;
+                    const isSignificantSize = (width > 200 || height > 200) || (area > 30000);
+                    const isNotASpacer = (width > 1 && height > 1); // Avoid 1x1 tracking pixels
+                    // Avoid very narrow/short images unless they are very long/wide (potential banners)
+                    const reasonableAspectRatio = (width > 0 && height > 0) ?
+                                                (Math.max(width,height) / Math.min(width,height) < 10) || (width > 400 || height > 400)
+                                                : false;
+
+                    if (isSignificantSize && isNotASpacer && reasonableAspectRatio) {
+                        addImage(imgSrc, img.alt, 'Content Image', contentSelector);
+                    }
+                }
+            } catch (e) { console.warn(`Error with selector ${contentSelector} in getGeneralImages: ${e.message}`); }
         }
 
+        // Convert Map values to Array
+        return Array.from(collectedImages.values());
+    }, baseUrl, [existingLogoUrls.Logo, existingLogoUrls.Icon, existingLogoUrls.Banner].filter(Boolean));
 
-        return {
-            Name: name ? name.substring(0, 255) : null, // Max length
-            Description: description ? description.substring(0, 1000) : null, // Max length
-            Industry: industry, Location: location,
-            Founded: founded, CompanyType: companyType, Employees: employees, Website: website
-        };
+    // Limit to max 2-3 images for faster processing
+    return (images || []).slice(0, 2).map(({ source, ...image }, index) => { // Reduced from 4 to 2
+        if (source) sources[index] = source;
+        return image;
+    });
+};
+
+// 3e. Extract Company Information (Name, Description, etc.)
+// sources receives field -> source; nameCandidates receives everything that names the company (see lib/company-name)
+const getCompanyInfo = async (page, inputUrl, sources = {}, nameCandidates = []) => { // Added page argument
+    // Unwraps a { value, source } match from the selector helpers, remembering the source
+    const pick = (field, match) => {
+        if (!match) return null;
+        sources[field] = match.source;
+        return match.value;
     };
 
-    // 3f. Extract Social Media Links
-    const getSocialLinks = async (page, baseUrl) => { // Added page, baseUrl arguments
-        let links = await page.evaluate((pageBaseUrl) => { // Renamed for clarity
-            const foundLinks = {};
-            const socialSelectors = { // More comprehensive selectors
-                Twitter: [
-                    'a[href*="twitter.com/"][href*="intent/"]', // Less likely to be the main profile
-                    'a[href*="twitter.com/"]',
-                    'a[aria-label*="Twitter"i]',
-                    'meta[property="og:see_also"][content*="twitter.com"]',
-                    'meta[name="twitter:site"]' // Content is often @handle
-                ],
-                LinkedIn: [
-                    'a[href*="linkedin.com/company/"]', 'a[href*="linkedin.com/school/"]', 'a[href*="linkedin.com/showcase/"]', 'a[href*="linkedin.com/in/"]',
-                    'a[aria-label*="LinkedIn"i]',
-                    'meta[property="og:see_also"][content*="linkedin.com"]'
-                ],
-                Facebook: [
-                    'a[href*="facebook.com/"]', 'a[href*="fb.me/"]',
-                    'a[aria-label*="Facebook"i]',
-                    'meta[property="og:see_also"][content*="facebook.com"]'
-                ],
-                YouTube: [
-                    'a[href*="youtube.com/channel/"]', 'a[href*="youtube.com/user/"]', 'a[href*="youtube.com/c/"]',
-                    'a[aria-label*="YouTube"i]',
-                    'meta[property="og:see_also"][content*="youtube.com"]'
-                ],
-                Instagram: [
-                    'a[href*="instagram.com/"]',
-                    'a[aria-label*="Instagram"i]',
-                    'meta[property="og:see_also"][content*="instagram.com"]'
-                ],
-            };
+    // Every place a site names itself; lib/company-name weighs them against each other
+    const nameSignals = await page.evaluate(() => {
+        const metaSelectors = ['meta[property="og:site_name"]', 'meta[name="application-name"]', 'meta[itemprop="name"]', 'meta[name="twitter:title"]', 'meta[property="og:title"]'];
+        const metas = metaSelectors
+            .map(selector => ({ value: document.querySelector(selector)?.getAttribute('content')?.trim(), source: selector, kind: /title/.test(selector) ? 'title' : 'name' }))
+            .filter(meta => meta.value);
+
+        let logoAlt = null;
+        for (const selector of ['img[alt*="logo" i]', 'header img[alt]', 'a[href="/"] img[alt]']) {
+            const alt = document.querySelector(selector)?.getAttribute('alt')?.trim();
+            if (alt) {
+                logoAlt = { value: alt, source: selector };
+                break;
+            }
+        }
+
+        // The copyright line of the footer; the last one in the page when there is no footer element
+        const footers = document.querySelectorAll('footer, [role="contentinfo"], [class*="footer" i]');
+        const copyrightLines = Array.from(footers.length ? footers : [document.body])
+            .flatMap(el => (el.innerText || '').split('\n'))
+            .filter(line => /©|\(c\)|copyright/i.test(line) && line.length < 300);
+
+        return { metas, title: document.title.trim(), logoAlt, copyright: copyrightLines[copyrightLines.length - 1] || null };
+    }).catch(e => {
+        console.warn('[getCompanyInfo] Could not read name signals:', e.message);
+        return { metas: [], title: null, logoAlt: null, copyright: null };
+    });
+    nameCandidates.push(...nameSignals.metas, { value: nameSignals.title, source: 'title', kind: 'title' });
+    if (nameSignals.logoAlt) nameCandidates.push({ value: cleanLogoAlt(nameSignals.logoAlt.value), source: nameSignals.logoAlt.source });
+    nameCandidates.push({ value: parseCopyrightHolder(nameSignals.copyright), source: 'text:copyright' });
+
+    let description = pick('Description', await getMetaContent(page, ['meta[property="og:description"]', 'meta[name="description"]', 'meta[name="twitter:description"]', 'meta[itemprop="description"]']));
+
+    let website = pick('Website', await getMetaContent(page, ['meta[property="og:url"]']));
+    if(!website) website = pick('Website', await getAttributeFromSelectors(page, ['link[rel="canonical"]'], 'href'));
+    website = resolveUrl(website, inputUrl);
+    if (!website) {
+        website = inputUrl;
+        sources.Website = 'input:url';
+    }
 
-            const resolveSocialUrl = (link, platform) => {
-                if (!link) return null;
-                if (platform === 'Twitter' && link.startsWith('@')) {
-                    return `https://twitter.com/${link.substring(1)}`;
+
+    let industry = null, location = null, founded = null, companyType = null, employees = null;
+    let keywords = [];
+    let keywordSource = null;
+    let jsonLdNamed = false;
+
+    try {
+        const jsonLdData = await page.evaluate(() => {
+            const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+            const allJson = [];
+            scripts.forEach(script => {
+                try { allJson.push(JSON.parse(script.textContent || '{}')); }
+                catch (e) { console.warn("Error parsing individual JSON-LD script:", e.message); }
+            });
+            return allJson;
+        });
+
+        const processJsonLdObject = (obj) => {
+            if (!obj || typeof obj !== 'object') return;
+
+            const type = obj['@type'];
+            const typeName = Array.isArray(type) ? type.join(',') : type;
+            const jsonLdSource = (property) => `json-ld:${typeName}.${property}`;
+            const isOrg = type === 'Organization' || type === 'Corporation' || (Array.isArray(type) && (type.includes('Organization') || type.includes('Corporation')));
+
+            if (isOrg) {
+                // Names only from the first organization; nested ones are parents, brands or publishers
+                if (!jsonLdNamed) {
+                    jsonLdNamed = true;
+                    if (obj.name) nameCandidates.push({ value: String(obj.name).trim(), source: jsonLdSource('name') });
+                    if (obj.legalName) nameCandidates.push({ value: String(obj.legalName).trim(), source: jsonLdSource('legalName'), kind: 'legal' });
+                    [].concat(obj.alternateName || []).forEach(alternateName => {
+                        nameCandidates.push({ value: String(alternateName).trim(), source: jsonLdSource('alternateName'), kind: 'alternate' });
+                    });
+                }
+                if (!description && obj.description) {
+                    description = String(obj.description).trim();
+                    sources.Description = jsonLdSource('description');
+                }
+                if (!description && obj.disambiguatingDescription) {
+                    description = String(obj.disambiguatingDescription).trim();
+                    sources.Description = jsonLdSource('disambiguatingDescription');
                 }
-                try { return new URL(link, pageBaseUrl).href; }
-                catch (e) { return null; }
-            };
 
-            for (const [socialName, selectors] of Object.entries(socialSelectors)) {
-                if (foundLinks[socialName]) continue; // Already found a good one
+                if (!industry && obj.industry) {
+                    industry = Array.isArray(obj.industry) ? obj.industry.map(String).join(', ') : String(obj.industry);
+                    sources.Industry = jsonLdSource('industry');
+                }
 
-                for (const selector of selectors) {
-                    try {
-                        if (selector.startsWith('meta[')) { // Handle meta tags
-                            const metaElement = document.querySelector(selector);
-                            if (metaElement && metaElement.content) {
-                                const resolved = resolveSocialUrl(metaElement.content, socialName);
-                                if (resolved) { foundLinks[socialName] = resolved; break; }
-                            }
-                        } else { // Handle anchor tags
-                            const elements = Array.from(document.querySelectorAll(selector));
-                            for (const el of elements) {
-                                const href = el.href;
-                                // Basic filter to avoid share links, mailto, etc.
-                                if (href && !href.startsWith('mailto:') && !href.includes('share') && !href.includes('intent')) {
-                                     const resolved = resolveSocialUrl(href, socialName);
-                                     if (resolved) {foundLinks[socialName] = resolved; break;}
-                                }
-                            }
-                        }
-                    } catch (e) { /* ignore selector errors */ }
-                    if (foundLinks[socialName]) break;
+                if (!location && obj.address) {
+                    const addr = obj.address;
+                    let locParts = [];
+                    if (addr.streetAddress) locParts.push(addr.streetAddress);
+                    if (addr.addressLocality) locParts.push(addr.addressLocality);
+                    if (addr.addressRegion) locParts.push(addr.addressRegion);
+                    if (addr.postalCode) locParts.push(addr.postalCode);
+                    if (addr.addressCountry) locParts.push(typeof addr.addressCountry === 'string' ? addr.addressCountry : addr.addressCountry.name);
+                    if (locParts.length > 0) location = locParts.join(', ');
+                    else if (typeof addr === 'string') location = addr;
+                    if (location) sources.Location = jsonLdSource('address');
+                }
+                 if (!location && obj.location?.address) { // Nested location
+                    const addr = obj.location.address;
+                    let locParts = [];
+                    if (addr.streetAddress) locParts.push(addr.streetAddress);
+                    if (addr.addressLocality) locParts.push(addr.addressLocality);
+                    // ... (similar address parsing as above)
+                    if (locParts.length > 0) location = locParts.join(', ');
+                    else if (typeof addr === 'string') location = addr;
+                    if (location) sources.Location = jsonLdSource('location.address');
+                }
+
+
+                if (!founded && obj.foundingDate) {
+                    founded = String(obj.foundingDate);
+                    sources.Founded = jsonLdSource('foundingDate');
+                }
+
+                if (!employees && obj.numberOfEmployees) {
+                    const emp = obj.numberOfEmployees;
+                    if (emp.value) employees = String(emp.value);
+                    else if (emp.minValue && emp.maxValue) employees = `${emp.minValue}-${emp.maxValue}`;
+                    else if (typeof emp === 'string' || typeof emp === 'number') employees = String(emp);
+                    if (employees) sources.Employees = jsonLdSource('numberOfEmployees');
+                }
+                if (!website && obj.url && typeof obj.url === 'string' && obj.url.startsWith('http')) website = obj.url;
+                if (obj.keywords) {
+                    const kw = typeof obj.keywords === 'string' ? obj.keywords.split(',') : (Array.isArray(obj.keywords) ? obj.keywords : []);
+                    keywords.push(...kw.map(k => String(k).trim()));
+                    keywordSource = keywordSource || jsonLdSource('keywords');
+                }
+                if (obj.knowsAbout) {
+                     const ka = Array.isArray(obj.knowsAbout) ? obj.knowsAbout : [obj.knowsAbout];
+                     ka.forEach(item => {
+                         if(typeof item === 'string') keywords.push(item.trim());
+                         else if (item && item.name && typeof item.name === 'string') keywords.push(item.name.trim());
+                     });
+                     keywordSource = keywordSource || jsonLdSource('knowsAbout');
                 }
             }
-            return foundLinks;
-        }, baseUrl);
+            // Recursively search in properties if it's an object or array
+            Object.values(obj).forEach(value => {
+                if (typeof value === 'object' || Array.isArray(value)) {
+                    processJsonLdObject(value);
+                }
+            });
+        };
 
-        return links || {};
-    };
+        if (Array.isArray(jsonLdData)) {
+            jsonLdData.forEach(processJsonLdObject);
+        } else if (typeof jsonLdData === 'object') {
+            processJsonLdObject(jsonLdData);
+        }
 
-    // Execute logo details first as its output is needed by getGeneralImages
-    const logoData = await getLogoDetails(page, url);
+    } catch(e) {
+        console.warn("Error processing JSON-LD for company info:", e.message);
+    }
 
-    // Execute remaining extraction functions in parallel with timeout for each
-    console.log('[Extraction] Starting parallel data extraction...');
-    const [colorData, fontData, imageData, companyInfoData, socialLinkData] = await Promise.all([
-        Promise.race([
-            getBrandColors(page),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Color extraction timeout')), 30000))
-        ]).catch(err => { console.warn('[Colors] Extraction failed:', err.message); return []; }),
-        
-        Promise.race([
-            getKeyFonts(page),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Font extraction timeout')), 15000))
-        ]).catch(err => { console.warn('[Fonts] Extraction failed:', err.message); return []; }),
-        
-        Promise.race([
-            getGeneralImages(page, url, logoData),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Image extraction timeout')), 20000))
-        ]).catch(err => { console.warn('[Images] Extraction failed:', err.message); return []; }),
-        
-        Promise.race([
-            getCompanyInfo(page, url),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Company info extraction timeout')), 25000))
-        ]).catch(err => { console.warn('[Company Info] Extraction failed:', err.message); return {}; }),
-        
-        Promise.race([
-            getSocialLinks(page, url),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Social links extraction timeout')), 15000))
-        ]).catch(err => { console.warn('[Social Links] Extraction failed:', err.message); return {}; })
-    ]);
-    console.log('[Extraction] Parallel data extraction completed');
+    // Headings are mostly taglines; only consulted when nothing else names the company
+    if (!nameCandidates.some(candidate => candidate.value)) {
+        const heading = await getTextFromSelectors(page, ['h1', '.site-title', 'header [class*="title"]', 'meta[name="title"]']);
+        if (heading) nameCandidates.push(heading);
+    }
+    const names = resolveCompanyName(nameCandidates, { url: inputUrl });
+    Object.assign(sources, names.sources);
+    // Fallback for description
+    if (!description) description = pick('Description', await getMetaContent(page, ['meta[name="abstract"]', 'meta[name="subject"]']));
+
+    if (keywords.length > 0 && !industry) { // Use keywords as a fallback for industry
+        industry = [...new Set(keywords)].slice(0, 3).join(', '); // Take unique keywords, up to 3
+        sources.Industry = keywordSource;
+    }
 
-    let finalCompanyInfo = { ...companyInfoData, SocialLinks: socialLinkData };
 
-    // Smart LinkedIn data extraction - run in parallel with main extraction, with timeout
-    let linkedInDataPromise = null;
-    if (socialLinkData && socialLinkData.LinkedIn) {
-        const linkedInUrl = socialLinkData.LinkedIn;
-        // Basic validation for a LinkedIn company URL structure
-        if (linkedInUrl.includes('linkedin.com/company')) {
-            console.log(`[extractCompanyDetailsFromPage] Found LinkedIn URL: ${linkedInUrl}. Starting parallel extraction...`);
-            
-            // Start LinkedIn extraction in parallel with reduced timeout
-            linkedInDataPromise = Promise.race([
-                extractCompanyDataFromLinkedIn(linkedInUrl),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('LinkedIn extraction timeout after 2 minutes')), 120000) // Reduced from 5 minutes to 2 minutes
-                )
-            ]).catch(error => {
-                console.warn(`[LinkedIn] Extraction failed: ${error.message}`);
-                return { error: error.message }; // Return error object instead of throwing
+    return {
+        Name: names.Name ? names.Name.substring(0, 255) : null, // Max length
+        LegalName: names.LegalName ? names.LegalName.substring(0, 255) : null,
+        AlternateNames: names.AlternateNames,
+        Description: description ? description.substring(0, 1000) : null, // Max length
+        Industry: industry, Location: location,
+        Founded: founded, CompanyType: companyType, Employees: employees, Website: website
+    };
+};
+
+// 3f. Extract Social Media Links
+const getSocialLinks = async (page, baseUrl, sources = {}) => { // sources receives platform -> selector
+    // Collect every outbound link with where it sits in the page; lib/social decides which are profiles
+    const candidates = await page.evaluate(() => {
+        const regionOf = (el) => {
+            if (el.closest('footer, [role="contentinfo"], #footer, .footer, [class*="footer" i]')) return 'footer';
+            if (el.closest('header, [role="banner"], nav, #header, .header, [class*="header" i]')) return 'header';
+            return 'body';
+        };
+        const found = [];
+
+        for (const anchor of Array.from(document.querySelectorAll('a[href]')).slice(0, 3000)) {
+            let url;
+            try { url = new URL(anchor.href, document.baseURI); } catch (e) { continue; }
+            if (!['http:', 'https:'].includes(url.protocol) || url.hostname === window.location.hostname) continue;
+            const region = regionOf(anchor);
+            const relMe = /(^|\s)me(\s|$)/i.test(anchor.getAttribute('rel') || '');
+            const host = url.hostname.replace(/^www\./, '');
+            found.push({
+                href: url.href,
+                region,
+                relMe,
+                source: `${region === 'body' ? '' : `${region} `}a[${relMe ? 'rel~="me"' : `href*="${host}"`}]`
             });
         }
-    }
 
-    // If LinkedIn extraction was started, wait for it with a reasonable timeout
-    if (linkedInDataPromise) {
-        try {
-            console.log('[LinkedIn] Waiting for LinkedIn data extraction to complete...');
-            const linkedInData = await linkedInDataPromise;
-
-            if (linkedInData && !linkedInData.error) {
-                console.log("[extractCompanyDetailsFromPage] Merging LinkedIn data:", linkedInData);
-                // Merge LinkedIn data, giving precedence to LinkedIn for specified fields
-                finalCompanyInfo.Name = linkedInData.description ? finalCompanyInfo.Name : (linkedInData.Name || finalCompanyInfo.Name); // Name usually better from site
-                finalCompanyInfo.Description = linkedInData.description || finalCompanyInfo.Description;
-                finalCompanyInfo.Industry = linkedInData.industry || finalCompanyInfo.Industry;
-                finalCompanyInfo.CompanySize = linkedInData.companySize || finalCompanyInfo.Employees; // mapping companySize to Employees
-                finalCompanyInfo.Location = linkedInData.location || finalCompanyInfo.Location;
-                finalCompanyInfo.Headquarters = linkedInData.headquarters || finalCompanyInfo.Location; // mapping headquarters to Location
-                finalCompanyInfo.Type = linkedInData.type || finalCompanyInfo.CompanyType; // mapping type to CompanyType
-                finalCompanyInfo.Founded = linkedInData.founded || finalCompanyInfo.Founded;
-                finalCompanyInfo.Specialties = linkedInData.specialties || finalCompanyInfo.Specialties; // New field
-                finalCompanyInfo.Locations = linkedInData.locations || finalCompanyInfo.Locations; // New field, might overwrite Location if only one
-
-                // Potentially add LinkedIn banner to Logo object if found and not already present
-                if (linkedInData.bannerUrl) {
-                    logoData.LinkedInBanner = linkedInData.bannerUrl; // Add as a new property or replace
+        // Organization profiles listed in structured data
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const queue = [JSON.parse(script.textContent)];
+                while (queue.length) {
+                    const item = queue.shift();
+                    if (Array.isArray(item)) { queue.push(...item); continue; }
+                    if (!item || typeof item !== 'object') continue;
+                    if (item['@graph']) queue.push(item['@graph']);
+                    const sameAs = Array.isArray(item.sameAs) ? item.sameAs : (item.sameAs ? [item.sameAs] : []);
+                    sameAs.filter(href => typeof href === 'string').forEach(href => found.push({ href, region: 'json-ld', source: 'json-ld:sameAs' }));
                 }
-            } else if (linkedInData && linkedInData.error) {
-                console.warn(`[extractCompanyDetailsFromPage] LinkedIn extraction failed: ${linkedInData.error}`);
-                finalCompanyInfo.LinkedInError = linkedInData.error; // Add error info for debugging
-            }
-        } catch (liError) {
-            console.error(`[extractCompanyDetailsFromPage] Exception while processing LinkedIn data:`, liError.message);
-            finalCompanyInfo.LinkedInError = liError.message;
+            } catch (e) { /* Invalid JSON-LD */ }
         }
-    }
 
+        document.querySelectorAll('meta[property="og:see_also"]').forEach(meta => {
+            if (meta.content) found.push({ href: meta.content, region: 'meta', source: 'meta[property="og:see_also"]' });
+        });
+        // The content is usually an @handle
+        const twitterSite = document.querySelector('meta[name="twitter:site"]');
+        const handle = twitterSite && twitterSite.content ? twitterSite.content.trim() : '';
+        if (/^@?[A-Za-z0-9_]{1,15}$/.test(handle)) {
+            found.push({ href: `https://x.com/${handle.replace(/^@/, '')}`, region: 'meta', source: 'meta[name="twitter:site"]' });
+        } else if (/^https?:/.test(handle)) {
+            found.push({ href: handle, region: 'meta', source: 'meta[name="twitter:site"]' });
+        }
+        return found;
+    });
 
-    const endTime = Date.now();
-    const extractionTime = (endTime - startTime) / 1000;
-    console.log(`[Performance] Extraction completed in ${extractionTime.toFixed(2)} seconds`);
+    const { links, sources: linkSources } = pickSocialLinks(candidates);
+    Object.assign(sources, linkSources);
+    console.log(`[getSocialLinks] ${Object.keys(links).length} profile(s) from ${candidates.length} outbound link(s): ${Object.keys(links).join(', ') || 'none'}`);
+    return links;
+};
 
-    return {
-        Logo: logoData, 
-        Colors: colorData, 
-        Fonts: fontData, 
-        Images: imageData,
-        Company: finalCompanyInfo, // Use the potentially updated finalCompanyInfo
-        _performance: {
-            extractionTimeSeconds: extractionTime,
-            timestamp: new Date().toISOString()
-        },
-        _message: "Data extracted dynamically. Accuracy may vary based on website structure."
-    };
-}
+// 3g. Extract contact details: emails, phone numbers and postal addresses
+const getContactDetails = async (page, baseUrl, sources = {}) => { // sources receives 'Emails.0' etc. -> source
+    const raw = await page.evaluate(() => {
+        const clean = (text, max = 120) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+        // The link's own words, then its surroundings (e.g. "Press inquiries: <a>...</a>")
+        const describe = (el) => ({
+            label: clean([el.textContent, el.getAttribute('title'), el.getAttribute('aria-label')].filter(Boolean).join(' ')),
+            context: clean((el.closest('li, p, dd, td, div') || el.parentElement || el).textContent)
+        });
+        const found = { emails: [], phones: [], addresses: [], lang: document.documentElement.lang || null };
 
+        document.querySelectorAll('a[href^="mailto:"]').forEach(a => {
+            found.emails.push({ href: a.getAttribute('href'), ...describe(a), source: 'a[href^="mailto:"]' });
+        });
+        // Cloudflare email protection replaces addresses with an XOR-encoded payload
+        document.querySelectorAll('[data-cfemail], a[href*="/cdn-cgi/l/email-protection#"]').forEach(el => {
+            const cfEmail = el.getAttribute('data-cfemail') || (el.getAttribute('href') || '').split('#')[1];
+            if (cfEmail) found.emails.push({ cfEmail, ...describe(el), source: '[data-cfemail]' });
+        });
+        document.querySelectorAll('a[href^="tel:"]').forEach(a => {
+            found.phones.push({ raw: a.getAttribute('href'), ...describe(a), source: 'a[href^="tel:"]' });
+        });
 
-// New endpoint for extracting specific company details
-app.post('/api/extract-company-details', async (req, res) => {
-    const { url: initialUrl } = req.body;
+        document.querySelectorAll('address').forEach(el => {
+            const heading = el.closest('section, div, footer');
+            const label = heading && heading.querySelector('h1, h2, h3, h4, h5, h6');
+            found.addresses.push({ address: el.innerText || '', label: label ? clean(label.textContent) : null, source: 'address' });
+        });
+        document.querySelectorAll('[itemtype*="schema.org/PostalAddress"]').forEach(el => {
+            const prop = (name) => {
+                const field = el.querySelector(`[itemprop="${name}"]`);
+                return field ? (field.getAttribute('content') || field.textContent || '').trim() : null;
+            };
+            found.addresses.push({
+                address: {
+                    streetAddress: prop('streetAddress'), postalCode: prop('postalCode'), addressLocality: prop('addressLocality'),
+                    addressRegion: prop('addressRegion'), addressCountry: prop('addressCountry')
+                },
+                source: 'microdata:PostalAddress'
+            });
+        });
 
-    if (!initialUrl) {
-        return res.status(400).json({ error: 'URL is required' });
-    }
+        // JSON-LD: PostalAddress objects, and email/telephone of organizations and ContactPoints
+        const visit = (obj, typeName) => {
+            if (!obj || typeof obj !== 'object') return;
+            if (Array.isArray(obj)) return obj.forEach(item => visit(item, typeName));
+            const type = [].concat(obj['@type'] || []).join(',') || typeName;
+            const label = obj.contactType || obj.name || null;
+            if (type.includes('PostalAddress')) {
+                found.addresses.push({ address: obj, label, source: 'json-ld:PostalAddress' });
+                return;
+            }
+            if (typeof obj.email === 'string') found.emails.push({ href: obj.email, label, source: `json-ld:${type}.email` });
+            if (typeof obj.telephone === 'string') found.phones.push({ raw: obj.telephone, label, source: `json-ld:${type}.telephone` });
+            // Companies with several offices list them as an array
+            [].concat(obj.address || []).forEach(address => {
+                if (address && (typeof address === 'string' || typeof address === 'object')) {
+                    found.addresses.push({ address, label, source: `json-ld:${type}.address` });
+                }
+            });
+            Object.entries(obj).forEach(([key, value]) => {
+                if (key !== 'address' && typeof value === 'object') visit(value, type);
+            });
+        };
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try { visit(JSON.parse(script.textContent || '{}'), ''); } catch (e) { /* Invalid JSON-LD */ }
+        });
 
-    const normalizedUrl = utils.isValidUrl(initialUrl);
-    if (!normalizedUrl) {
-        return res.status(400).json({ error: 'Invalid URL format' });
+        found.text = document.body ? document.body.innerText.slice(0, 200000) : '';
+        return found;
+    });
+
+    // Plain-text matches are checked after the links, so a linked address keeps its better source
+    for (const match of findEmailsInText(raw.text)) {
+        raw.emails.push({ text: match.email, label: match.context, source: match.obfuscated ? 'text:email-obfuscated' : 'text:email' });
+    }
+    for (const match of findPhonesInText(raw.text)) {
+        raw.phones.push({ raw: match.raw, label: match.context, source: 'text:phone' });
     }
 
-    // Check cache first for performance
-    const cacheKey = normalizedUrl;
-    const cachedResult = extractionCache.get(cacheKey);
-    if (cachedResult && (Date.now() - cachedResult.timestamp) < CACHE_DURATION) {
-        console.log(`[Cache] Returning cached result for ${normalizedUrl}`);
-        return res.status(200).json({
-            ...cachedResult.data,
-            _cached: true,
-            _cacheAge: Math.round((Date.now() - cachedResult.timestamp) / 1000)
+    const details = buildContactDetails(raw, { lang: raw.lang, url: baseUrl });
+    // Sources are reported through provenance, not in the items themselves
+    for (const list of ['Emails', 'Phones', 'Addresses']) {
+        details[list] = details[list].map(({ source, ...item }, index) => {
+            sources[`${list}.${index}`] = source;
+            return item;
         });
     }
+    console.log(`[getContactDetails] Found ${details.Emails.length} email(s), ${details.Phones.length} phone number(s), ${details.Addresses.length} address(es)`);
+    return details;
+};
 
-    const isResolvable = await utils.isDomainResolvable(normalizedUrl);
-    if (!isResolvable) {
-        return res.status(400).json({ error: 'Domain name could not be resolved' });
+// 3h. Company facts stated in running text, e.g. "Founded in 1998" on an about page
+const getCompanyFactsFromText = async (page, sources = {}) => {
+    const text = await page.evaluate(() => (document.body ? document.body.innerText : '').slice(0, 200000));
+    const facts = {};
+
+    const foundedMatch = text.match(/\b(?:founded|established|since|gegründet|fondée?)\s+(?:in\s+|im\s+jahr\s+|en\s+)?((?:18|19|20)\d{2})\b/i);
+    if (foundedMatch) {
+        facts.Founded = foundedMatch[1];
+        sources.Founded = 'text:founded';
     }
 
-    let browser;
-    try {
-        const { browser: launchedBrowser, page } = await setupPuppeteerPageForCompanyDetails(normalizedUrl);
-        browser = launchedBrowser;
+    const employeesMatch = text.match(/\b(\d{1,3}(?:[,.]\d{3})*\+?|\d+\s*[-–]\s*\d+)\s+(?:employees|staff|team members|mitarbeiter(?:innen)?|mitarbeitende|salariés|empleados)\b/i);
+    if (employeesMatch) {
+        facts.Employees = employeesMatch[1].replace(/\s+/g, '');
+        sources.Employees = 'text:employees';
+    }
+    return facts;
+};
 
-        // Add timeout wrapper for the entire extraction process with smart timeout
-        console.log('[Extraction] Starting company details extraction with 4-minute timeout...');
-        const companyDetails = await Promise.race([
-            extractCompanyDetailsFromPage(page, normalizedUrl, browser),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Company extraction timeout after 4 minutes')), 240000) // Balanced timeout - allows LinkedIn extraction but not too long
-            )
-        ]);
+// 3i. Font inventory: every family the page declares or renders with, its files, provider and usage
+const getFontInventory = async (page, baseUrl, sources = {}) => { // sources receives family index -> source
+    console.log(`[getFontInventory] Starting font inventory for ${baseUrl}.`);
+    try {
+        const raw = await page.evaluate(async () => {
+            const clean = (family) => String(family || '').trim().replace(/^(['"])(.*)\1$/, '$2').trim();
+            const faces = [];
+            const unreadableSheets = [];
+
+            // @font-face rules from every stylesheet the CSSOM lets us read, including @import and @media blocks
+            const readRules = (rules, sheetUrl) => {
+                for (const rule of rules) {
+                    if (rule instanceof CSSFontFaceRule) {
+                        faces.push({
+                            family: rule.style.getPropertyValue('font-family'),
+                            src: rule.style.getPropertyValue('src'),
+                            weight: rule.style.getPropertyValue('font-weight') || 'normal',
+                            style: rule.style.getPropertyValue('font-style') || 'normal',
+                            unicodeRange: rule.style.getPropertyValue('unicode-range') || null,
+                            sheetUrl
+                        });
+                    } else if (rule instanceof CSSImportRule) {
+                        if (rule.styleSheet) readSheet(rule.styleSheet);
+                    } else if (rule.cssRules) {
+                        readRules(rule.cssRules, sheetUrl);
+                    }
+                }
+            };
+            const readSheet = (sheet) => {
+                try {
+                    readRules(sheet.cssRules, sheet.href || null);
+                } catch (e) {
+                    if (sheet.href) unreadableSheets.push(sheet.href); // Cross-origin, e.g. a font provider's CSS
+                }
+            };
+            Array.from(document.styleSheets).forEach(readSheet);
 
-        // Cache the result for future requests
-        extractionCache.set(cacheKey, {
-            data: companyDetails,
-            timestamp: Date.now()
-        });
+            // Cross-origin stylesheets can still be fetched when their server allows CORS, as font providers do
+            const sheetTexts = await Promise.all(unreadableSheets.slice(0, 6).map(async (href) => {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), 4000);
+                try {
+                    const response = await fetch(href, { credentials: 'omit', signal: controller.signal });
+                    return response.ok ? { href, text: await response.text() } : null;
+                } catch (e) {
+                    return null;
+                } finally {
+                    clearTimeout(timer);
+                }
+            }));
 
-        // Clean old cache entries periodically
-        if (extractionCache.size > 100) { // Limit cache size
-            const oldestEntries = Array.from(extractionCache.entries())
-                .sort((a, b) => a[1].timestamp - b[1].timestamp)
-                .slice(0, 20); // Remove oldest 20 entries
-            
-            oldestEntries.forEach(([key]) => extractionCache.delete(key));
-        }
+            // Give pending web fonts a moment to finish loading
+            await Promise.race([document.fonts.ready, new Promise(resolve => setTimeout(resolve, 3000))]);
+            const documentFonts = Array.from(document.fonts).map(fontFace => ({
+                family: fontFace.family,
+                weight: fontFace.weight,
+                style: fontFace.style,
+                status: fontFace.status
+            }));
 
-        res.status(200).json(companyDetails);
+            // The family a text element renders with is the first one in its stack that is available:
+            // a web font only once loaded, anything else is assumed to be installed
+            const declaredFamilies = new Set(documentFonts.map(fontFace => clean(fontFace.family).toLowerCase()));
+            const loadedFamilies = new Set(documentFonts.filter(fontFace => fontFace.status === 'loaded').map(fontFace => clean(fontFace.family).toLowerCase()));
+            const renderedFamily = (stack) => {
+                for (const part of stack.split(',')) {
+                    const family = clean(part);
+                    if (!family) continue;
+                    if (!declaredFamilies.has(family.toLowerCase()) || loadedFamilies.has(family.toLowerCase())) return family;
+                }
+                return null;
+            };
 
-    } catch (error) {
-        console.error(`[Error extracting company details for URL: ${url}]`, error);
-        // Basic error handling, will be refined
-        let errorMessage = 'Failed to extract company details. An unexpected error occurred.';
-        let statusCode = 500;
-
-        if (error.name === 'TimeoutError') {
-            errorMessage = 'The extraction timed out. The page might be too complex or unresponsive.';
-            statusCode = 504; // Gateway Timeout
-        }
-        // Add more specific error handling as developed
+            const usage = {};
+            let inspected = 0;
+            for (const element of document.body ? document.body.querySelectorAll('*') : []) {
+                if (inspected >= 3000) break; // Plenty for a representative picture
+                if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG'].includes(element.tagName.toUpperCase())) continue;
+                const text = Array.from(element.childNodes)
+                    .filter(node => node.nodeType === Node.TEXT_NODE)
+                    .map(node => node.textContent)
+                    .join('')
+                    .trim();
+                if (!text) continue;
+                inspected++;
+                const style = window.getComputedStyle(element);
+                if (style.visibility === 'hidden' || element.getClientRects().length === 0) continue;
+                const family = renderedFamily(style.fontFamily);
+                if (!family) continue;
+                const key = family.toLowerCase();
+                const entry = usage[key] || (usage[key] = { family, textLength: 0, weights: [], styles: [] });
+                entry.textLength += text.length;
+                const weight = parseInt(style.fontWeight, 10);
+                if (Number.isFinite(weight) && !entry.weights.includes(weight)) entry.weights.push(weight);
+                const fontStyle = style.fontStyle.split(' ')[0];
+                if (!entry.styles.includes(fontStyle)) entry.styles.push(fontStyle);
+            }
 
-        res.status(statusCode).json({ error: errorMessage, details: error.message });
-    } finally {
-        if (browser) {
-            try {
-                await browser.close(); // Ensure browser is closed
-                console.log('[Browser] Browser closed successfully');
-            } catch (closeError) {
-                console.error('[Browser] Error closing browser:', closeError.message);
+            return {
+                faces,
+                sheetTexts: sheetTexts.filter(Boolean),
+                documentFonts,
+                stylesheets: Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]')).map(link => link.href),
+                usage
+            };
+        });
+
+        const faces = [
+            ...raw.faces,
+            ...raw.sheetTexts.flatMap(({ href, text }) => parseFontFaceRules(text).map(face => ({ ...face, sheetUrl: href })))
+        ];
+        const families = buildFontInventory({ ...raw, faces }, baseUrl);
+        families.forEach((family, index) => { sources[index] = family.source; });
+
+        console.log(`[getFontInventory] Found ${families.length} families, ${families.filter(family => family.used).length} used by visible text.`);
+        return families.map(({ source, ...family }) => family);
+    } catch (e) {
+        console.warn("[getFontInventory] Error during font inventory:", e.message);
+        return [];
+    }
+};
+
+/**
+ * Records the sources of the values that made it into a result object or list.
+ * @param {object} provenance - Provenance recorder.
+ * @param {string} prefix - Field path of `data`, e.g. `Company`.
+ * @param {object|Array} data - The extracted values.
+ * @param {object} sources - Key or index -> source, as filled by an extractor.
+ */
+function recordSources(provenance, prefix, data, sources) {
+    for (const [key, source] of Object.entries(sources)) {
+        // Keys may be paths into the data, e.g. `AlternateNames.0`
+        const value = key.split('.').reduce((node, segment) => (node === undefined || node === null ? node : node[segment]), data);
+        if (value !== undefined && value !== null) provenance.record(`${prefix}.${key}`, source);
+    }
+}
+
+// Free-text fields whose language is reported in Language.Fields
+const LANGUAGE_TAGGED_FIELDS = ['Company.Description', 'Company.Tagline', 'Company.Industry', 'Company.Specialties', 'Company.CompanyType', 'Company.Type', 'Company.Locations'];
+
+/**
+ * Works out the language of each free-text field of a result: read from the value itself when it
+ * is long enough to tell, otherwise the language of the extracted page. Values taken from LinkedIn
+ * or from another page of the site stay untagged unless their text gives the language away.
+ * The language is added to the field's provenance entry as well.
+ * @param {object} result - The assembled extraction result.
+ * @param {string|null} pageLanguage - Language of the extracted page, see resolvePageLanguage.
+ * @param {object} provenance - Provenance recorder of the extraction.
+ * @returns {object} Language by field path, e.g. `{ 'Company.Description': 'de' }`.
+ */
+function tagFieldLanguages(result, pageLanguage, provenance) {
+    const languages = {};
+    for (const path of LANGUAGE_TAGGED_FIELDS) {
+        const value = path.split('.').reduce((node, segment) => (node ? node[segment] : undefined), result);
+        if (typeof value !== 'string' || !value.trim()) continue;
+
+        const entry = provenance.entries[path];
+        const fromPage = !entry || (!entry.page && !entry.source.startsWith('linkedin:'));
+        const detected = detectTextLanguage(value);
+        // The page's tag is more specific (de-CH) when the text agrees with it
+        const language = detected && detected.language !== baseLanguage(pageLanguage)
+            ? detected.language
+            : (detected || fromPage ? pageLanguage : null);
+        if (!language) continue;
+        languages[path] = language;
+        if (entry) entry.language = language;
+    }
+    return languages;
+}
+
+// Every data point an extraction can produce. Callers select them by name (`fields`); each one runs
+// once its dependencies are done, so adding a data point means registering one more extractor here.
+const extractorRegistry = new ExtractorRegistry()
+    .register({
+        name: 'logo',
+        outputKey: 'Logo',
+        timeoutMs: 60000,
+        fallback: () => ({ Logo: null, Symbol: null, Icon: null, Banner: null, LogoSvg: null, SymbolSvg: null, Icons: [], Manifest: null }),
+        run: ({ page, url, lease }, inputs, sources) => getLogoDetails(page, url, sources, lease),
+        record: ({ provenance }, logo, sources) => recordSources(provenance, 'Logo', logo, sources)
+    })
+    // The logo's pixels often hold the true brand color; read while the page extractors run
+    .register({
+        name: 'logoColors',
+        outputKey: 'Logo.colors',
+        dependsOn: ['logo'],
+        timeoutMs: 45000, // Logo, then Icon, each with its own 20 second limit
+        fallback: () => [],
+        run: async ({ lease }, { logo }, sources) => {
+            if (!lease) return [];
+            for (const field of ['Logo', 'Icon']) {
+                if (!logo[field]) continue;
+                let timer;
+                try {
+                    const colors = await Promise.race([
+                        extractImageColors(lease, logo[field]),
+                        new Promise((_, reject) => {
+                            timer = setTimeout(() => reject(new Error('Logo color extraction timeout')), 20000);
+                        })
+                    ]);
+                    if (colors.length === 0) continue;
+                    sources.field = field;
+                    return colors.map(({ r, g, b, share }) => ({
+                        hex: utils.rgbToHex(r, g, b),
+                        rgb: `rgb(${r},${g},${b})`,
+                        name: utils.getColorName(r, g, b),
+                        share
+                    }));
+                } catch (error) {
+                    console.warn(`[Logo Colors] Could not read ${field} ${logo[field]}:`, error.message);
+                } finally {
+                    clearTimeout(timer);
+                }
             }
+            return [];
+        },
+        record: ({ provenance }, colors, sources) => {
+            colors.forEach((color, index) => provenance.record(`Logo.colors.${index}`, `logo-pixels:${sources.field}`));
         }
+    })
+    .register({
+        name: 'colors',
+        outputKey: 'Colors',
+        additionalOutputKeys: ['Palette'],
+        dependsOn: ['logo'],
+        uses: ['logoColors'], // Awaited by getBrandColors only once the page colors are collected
+        timeoutMs: 30000,
+        fallback: () => [],
+        run: ({ page, palette, resultOf }, { logo }, sources) => {
+            // The colors a site picked for its installed app are brand color candidates too
+            const manifestColors = [['theme_color', 'ThemeColor'], ['background_color', 'BackgroundColor']]
+                .filter(([, key]) => logo.Manifest && logo.Manifest[key])
+                .map(([field, key]) => {
+                    const hex = logo.Manifest[key];
+                    const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+                    return { hex, rgb: `rgb(${r},${g},${b})`, field };
+                });
+            const logoColors = resultOf('logoColors').then(colors => colors || []);
+            return getBrandColors(page, sources, palette, logoColors, manifestColors);
+        },
+        record: ({ provenance }, colors, sources) => recordSources(provenance, 'Colors', colors, sources),
+        apply: (result, colors, { palette }) => {
+            result.Colors = colors;
+            result.Palette = palette; // Filled by getBrandColors with the color roles and contrast pairs
+        }
+    })
+    .register({
+        name: 'fonts',
+        outputKey: 'Fonts',
+        timeoutMs: 15000,
+        fallback: () => [],
+        run: ({ page }, inputs, sources) => getKeyFonts(page, sources),
+        record: ({ provenance }, fonts, sources) => recordSources(provenance, 'Fonts', fonts, sources)
+    })
+    .register({
+        name: 'typography',
+        outputKey: 'Typography',
+        timeoutMs: 20000,
+        fallback: () => ({ families: [], scale: { baseFontSize: null, ratio: null, steps: [], roles: {} } }),
+        run: async ({ page, url }, inputs, sources) => {
+            Object.assign(sources, { families: {}, scaleRoles: {} });
+            const [families, scale] = await Promise.all([
+                getFontInventory(page, url, sources.families),
+                getTypeScale(page, sources.scaleRoles)
+            ]);
+            return { families, scale };
+        },
+        record: ({ provenance }, typography, sources) => {
+            recordSources(provenance, 'Typography.families', typography.families, sources.families);
+            recordSources(provenance, 'Typography.scale.roles', typography.scale.roles, sources.scaleRoles);
+        }
+    })
+    .register({
+        name: 'images',
+        outputKey: 'Images',
+        dependsOn: ['logo'], // Logo URLs are left out of the general images
+        timeoutMs: 20000,
+        fallback: () => [],
+        run: ({ page, url }, { logo }, sources) => getGeneralImages(page, url, logo, sources),
+        record: ({ provenance }, images, sources) => recordSources(provenance, 'Images', images, sources)
+    })
+    .register({
+        name: 'companyInfo',
+        outputKey: 'Company',
+        timeoutMs: 25000,
+        fallback: () => ({}),
+        run: ({ page, url, nameCandidates }, inputs, sources) => getCompanyInfo(page, url, sources, nameCandidates),
+        record: ({ provenance }, info, sources) => recordSources(provenance, 'Company', info, sources)
+    })
+    .register({
+        name: 'socialLinks',
+        outputKey: 'Company.SocialLinks',
+        timeoutMs: 15000,
+        fallback: () => ({}),
+        run: ({ page, url }, inputs, sources) => getSocialLinks(page, url, sources),
+        record: ({ provenance }, links, sources) => recordSources(provenance, 'Company.SocialLinks', links, sources)
+    })
+    .register({
+        name: 'contact',
+        outputKey: 'Company.Contact',
+        timeoutMs: 15000,
+        fallback: () => ({ Emails: [], Phones: [], Addresses: [] }),
+        run: ({ page, url }, inputs, sources) => getContactDetails(page, url, sources),
+        record: ({ provenance }, contact, sources) => {
+            for (const [key, source] of Object.entries(sources)) {
+                provenance.record(`Company.Contact.${key}`, source);
+            }
+        },
+        apply: (result, contact, { provenance }) => {
+            result.Company = result.Company || {};
+            result.Company.Contact = contact;
+
+            // A postal address is a better Location than none; prefer the one labelled as headquarters
+            if (!result.Company.Location && contact.Addresses.length > 0) {
+                const index = Math.max(0, contact.Addresses.findIndex(address => address.type === 'headquarters'));
+                result.Company.Location = contact.Addresses[index].value;
+                const addressEntry = provenance.entries[`Company.Contact.Addresses.${index}`];
+                if (addressEntry) provenance.record('Company.Location', addressEntry.source, addressEntry);
+            }
+        }
+    })
+    // Fill fields the homepage doesn't state from about/company/contact/imprint pages, while LinkedIn loads.
+    // Found values are merged straight into the companyInfo and contact outputs.
+    .register({
+        name: 'crawl',
+        outputKey: '_crawl',
+        dependsOn: ['companyInfo', 'contact'],
+        augments: ['contact'], // The contact page is only reached through the crawl
+        timeoutMs: null, // Bounded by the crawl budget
+        fallback: (error) => ({ pages: [], error: error.message }),
+        run: async ({ page, url, lease, signal, crawlOptions, provenance, locale }, { companyInfo, contact }) => {
+            // Contact pages are worth a visit even when every company field is known
+            const missingFields = CRAWL_FIELDS.filter(field => !companyInfo[field]);
+            const missingContact = contact.Emails.length === 0 || contact.Phones.length === 0 || contact.Addresses.length === 0;
+            if (!lease || crawlOptions.maxPages <= 0 || (missingFields.length === 0 && !missingContact)) return null;
+
+            const crawlStart = Date.now();
+            const candidates = await discoverCompanyPages(page, url, { maxPages: crawlOptions.maxPages });
+            console.log(`[Crawl] Missing ${[...missingFields, ...(missingContact ? ['Contact'] : [])].join(', ')}; visiting ${candidates.length} page(s)`);
+
+            const visits = await crawlPages(lease, candidates, {
+                budgetMs: crawlOptions.budgetMs,
+                shouldAbort: isHeavyResourceRequest,
+                signal,
+                headers: locale ? { 'Accept-Language': acceptLanguageHeader(locale) } : undefined,
+                extract: async (subPage, pageUrl) => {
+                    const sources = {};
+                    const subPageContact = { sources: {} };
+                    const facts = await getCompanyFactsFromText(subPage, sources);
+                    const info = await getCompanyInfo(subPage, pageUrl, sources);
+                    subPageContact.details = await getContactDetails(subPage, pageUrl, subPageContact.sources);
+                    return { fields: { ...facts, ...info }, sources, contact: subPageContact };
+                }
+            });
+
+            // Earlier (better-ranked) pages win; a page only fills what is still missing
+            const pages = visits.map(({ data, ...visit }) => {
+                const supplied = [];
+                if (data) {
+                    for (const field of CRAWL_FIELDS) {
+                        if (!companyInfo[field] && data.fields[field]) {
+                            companyInfo[field] = data.fields[field];
+                            provenance.record(`Company.${field}`, data.sources[field], { page: visit.finalUrl });
+                            supplied.push(field);
+                        }
+                    }
+                    mergeContactDetails(contact, data.contact.details, (list, index, item) => {
+                        const sourceIndex = data.contact.details[list].indexOf(item);
+                        provenance.record(`Company.Contact.${list}.${index}`, data.contact.sources[`${list}.${sourceIndex}`], { page: visit.finalUrl });
+                        if (!supplied.includes(`Contact.${list}`)) supplied.push(`Contact.${list}`);
+                    });
+                }
+                return { ...visit, fields: supplied };
+            });
+            return { pages, durationMs: Date.now() - crawlStart };
+        },
+        apply: (result, crawlReport) => {
+            if (crawlReport) result._crawl = crawlReport; // Which extra pages were visited and the fields each supplied
+        }
+    })
+    .register({
+        name: 'linkedin',
+        outputKey: 'Company',
+        additionalOutputKeys: ['Logo.LinkedInLogo', 'Logo.LinkedInBanner'],
+        dependsOn: ['socialLinks'],
+        timeoutMs: 120000,
+        fallback: (error) => ({ error: error.message }),
+        run: async (context, { socialLinks }) => {
+            const linkedInUrl = socialLinks && socialLinks.LinkedIn;
+            // Only company, showcase and school pages describe an organization; personal profiles don't
+            if (!linkedInUrl || !isLinkedInOrganizationUrl(linkedInUrl)) return null;
+
+            console.log(`[Extractors] Found LinkedIn URL: ${linkedInUrl}. Starting LinkedIn extraction...`);
+            const linkedInData = await extractCompanyDataFromLinkedIn(linkedInUrl);
+            // extractCompanyDataFromLinkedIn reports failures in its result instead of throwing
+            if (linkedInData && linkedInData.error) throw new Error(linkedInData.error);
+            return linkedInData;
+        },
+        apply: (result, linkedInData, { provenance, url, page, nameCandidates }) => {
+            if (!linkedInData) return;
+            const company = result.Company = result.Company || {};
+            if (linkedInData.error) {
+                console.warn(`[Extractors] LinkedIn extraction failed: ${linkedInData.error}`);
+                company.LinkedInError = linkedInData.error; // Add error info for debugging
+                return;
+            }
+            // A site can link to its parent's or a partner's page: only merge a page whose website is this site
+            if (!linkedInData.website) {
+                console.warn(`[Extractors] LinkedIn page states no website, can't tell it belongs to ${url}; not merging it`);
+                company.LinkedInError = 'LinkedIn page states no website, so it could not be matched to this site';
+                return;
+            }
+            if (!websiteMatchesSite(linkedInData.website, [url, page.url()])) {
+                console.warn(`[Extractors] LinkedIn page links to ${linkedInData.website}, not ${url}; not merging it`);
+                company.LinkedInError = `LinkedIn page belongs to another website (${linkedInData.website})`;
+                return;
+            }
+
+            console.log('[Extractors] Merging LinkedIn data:', linkedInData);
+            // Merge a LinkedIn value into a company field, keeping provenance in step: a LinkedIn value
+            // records its label, a fallback to another site field copies that field's provenance
+            const mergeLinkedIn = (field, linkedInValue, linkedInSource, fallbackField = field) => {
+                const fallbackEntry = provenance.entries[`Company.${fallbackField}`];
+                company[field] = linkedInValue || company[fallbackField];
+                if (linkedInValue) {
+                    provenance.record(`Company.${field}`, linkedInSource);
+                } else if (fallbackEntry && company[field]) {
+                    provenance.record(`Company.${field}`, fallbackEntry.source, fallbackEntry);
+                } else {
+                    provenance.remove(`Company.${field}`);
+                }
+            };
+
+            // The LinkedIn name is one more candidate; the site's own names usually win, but it can
+            // confirm one of them or supply the legal name
+            if (linkedInData.name) {
+                const names = resolveCompanyName([...nameCandidates, { value: linkedInData.name, source: 'linkedin:name' }], { url });
+                (company.AlternateNames || []).forEach((alternateName, index) => provenance.remove(`Company.AlternateNames.${index}`));
+                Object.assign(company, { Name: names.Name, LegalName: names.LegalName, AlternateNames: names.AlternateNames });
+                ['Name', 'LegalName'].filter(field => !names[field]).forEach(field => provenance.remove(`Company.${field}`));
+                Object.entries(names.sources).forEach(([path, source]) => provenance.record(`Company.${path}`, source));
+            }
+
+            // Merge LinkedIn data, giving precedence to LinkedIn for specified fields
+            mergeLinkedIn('Description', linkedInData.description, 'linkedin:about');
+            mergeLinkedIn('Industry', linkedInData.industry, 'linkedin:dt[Industry]');
+            mergeLinkedIn('CompanySize', linkedInData.companySize, 'linkedin:dt[Company size]', 'Employees'); // mapping companySize to Employees
+            mergeLinkedIn('Location', linkedInData.location, 'linkedin:dt[Headquarters]');
+            mergeLinkedIn('Headquarters', linkedInData.headquarters, 'linkedin:dt[Headquarters]', 'Location'); // mapping headquarters to Location
+            mergeLinkedIn('Type', linkedInData.type, 'linkedin:dt[Company type]', 'CompanyType'); // mapping type to CompanyType
+            mergeLinkedIn('Founded', linkedInData.founded, 'linkedin:dt[Founded]');
+            mergeLinkedIn('Specialties', linkedInData.specialties, 'linkedin:dt[Specialties]'); // New field
+            mergeLinkedIn('Locations', linkedInData.locations, 'linkedin:dt[Locations]'); // New field, might overwrite Location if only one
+            mergeLinkedIn('Tagline', linkedInData.tagline, 'linkedin:tagline');
+            mergeLinkedIn('LinkedInFollowers', linkedInData.followers, 'linkedin:followers');
+            mergeLinkedIn('LinkedInEmployees', linkedInData.employeesOnLinkedIn, 'linkedin:employees'); // Members who list it as employer, not the headcount
+
+            // The LinkedIn logo and banner join the logos when they were extracted
+            if (linkedInData.logoUrl && result.Logo) {
+                result.Logo.LinkedInLogo = linkedInData.logoUrl;
+                provenance.record('Logo.LinkedInLogo', 'linkedin:logo');
+            }
+            if (linkedInData.bannerUrl && result.Logo) {
+                result.Logo.LinkedInBanner = linkedInData.bannerUrl;
+                provenance.record('Logo.LinkedInBanner', 'linkedin:banner');
+            }
+        }
+    })
+    // The page's language and translations. Registered last, so its apply step can tag the text
+    // fields every other extractor produced with their language.
+    .register({
+        name: 'language',
+        outputKey: 'Language',
+        timeoutMs: 10000,
+        fallback: () => null,
+        run: async ({ page, contentLanguage, locale, localeUrl }) => {
+            const { alternates, ...signals } = await readPageLanguageSignals(page);
+            const language = resolvePageLanguage({ ...signals, contentLanguage });
+            return {
+                ...language,
+                Alternates: alternates.map(alternate => ({ Locale: alternate.locale, Url: alternate.url })),
+                // Whether the locale was honored: by a translation we switched to, or by the server itself
+                ...(locale ? { Locale: { Requested: locale, Url: localeUrl, Matched: baseLanguage(language.Code) === baseLanguage(locale) } } : {})
+            };
+        },
+        record: ({ provenance }, language) => provenance.record('Language.Code', language.Source),
+        apply: (result, language, { provenance }) => {
+            if (language) result.Language = { ...language, Fields: tagFieldLanguages(result, language.Code, provenance) };
+        }
+    });
+
+/**
+ * Extracts logo, colors, fonts, images and company information from a loaded page, by running
+ * the registered extractors (see extractorRegistry).
+ * @param {import('puppeteer').Page} page - The loaded page.
+ * @param {string} url - The normalized URL of the page.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onProgress] - Receives `{ stage, status }` progress events.
+ * @param {object} [options.lease] - The browser context lease of the page; needed to crawl further pages.
+ * @param {{maxPages?: number, budgetMs?: number}} [options.crawl] - Crawl limits, see getCrawlOptions.
+ * @param {AbortSignal} [options.signal] - Stops the crawl before its next page.
+ * @param {{embed?: boolean}} [options.assets] - Asset options, see getAssetOptions.
+ * @param {object} [options.screenshots] - Capture screenshots with these options, see getScreenshotOptions.
+ * @param {string[]} [options.fields] - Extractors to run, resolved by extractorRegistry.resolve; all of them by default.
+ * @param {string} [options.locale] - The requested locale; further pages are requested in it too.
+ * @param {string|null} [options.contentLanguage] - The Content-Language header the page was served with.
+ * @param {string|null} [options.localeUrl] - The translation navigated to for the locale, see setupPuppeteerPageForCompanyDetails.
+ * @param {object[]} [options.overlays] - Consent banners and overlays dismissed after navigation, reported as `_overlays`.
+ * @returns {Promise<object>} The extraction result.
+ */
+async function extractCompanyDetailsFromPage(page, url, options = {}) {
+    const { onProgress = () => {}, lease, signal, locale = null, contentLanguage = null, localeUrl = null } = options;
+    const crawlOptions = { ...getDefaultCrawlOptions(), ...options.crawl };
+    const startTime = Date.now();
+    console.log(`[Performance] Starting extraction for ${url}`);
+
+    // Reports a stage as started, then completed (with its partial result) or failed, so progress
+    // listeners can render each piece of data as soon as it is available
+    const trackStage = async (stage, task) => {
+        onProgress({ stage, status: 'started' });
+        try {
+            const result = await task();
+            onProgress({ stage, status: 'completed', result });
+            return result;
+        } catch (error) {
+            onProgress({ stage, status: 'failed', error: error.message });
+            throw error;
+        }
+    };
+    // Where each field came from, reported in the verbose response shape
+    const provenance = createProvenance();
+
+    // Screenshots come first, while the page is still as a visitor sees it on arrival (minus the cookie banner)
+    let screenshotReport = null;
+    if (options.screenshots) {
+        let timer;
+        screenshotReport = await trackStage('screenshots', () => Promise.race([
+            captureAndStoreScreenshots(page, options.screenshots),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Screenshot timeout')), 30000);
+            })
+        ])).catch(err => { console.warn('[Screenshots] Capture failed:', err.message); return null; })
+            .finally(() => clearTimeout(timer));
+    }
+
+    const names = options.fields || extractorRegistry.names();
+    console.log(`[Extraction] Running extractors: ${names.join(', ')}`);
+    const context = { page, url, lease, signal, crawlOptions, provenance, palette: {}, nameCandidates: [], locale, contentLanguage, localeUrl };
+    const outputs = await extractorRegistry.run(context, { names, trackStage });
+    const result = extractorRegistry.assemble(outputs, context);
+
+    // Download every returned asset: broken ones are dropped, the rest described (and embedded on request)
+    let assetReport = null;
+    if (lease && (result.Logo || result.Images)) {
+        assetReport = await trackStage('assets', () => resolveExtractionAssets(lease, result.Logo || {}, result.Images || [], {
+            referer: url,
+            embed: Boolean(options.assets && options.assets.embed),
+            provenance
+        })).catch(err => { console.warn('[Assets] Resolution failed:', err.message); return null; });
+    }
+
+    const endTime = Date.now();
+    const extractionTime = (endTime - startTime) / 1000;
+    console.log(`[Performance] Extraction completed in ${extractionTime.toFixed(2)} seconds`);
+
+    return {
+        ...result,
+        _performance: {
+            extractionTimeSeconds: extractionTime,
+            timestamp: new Date().toISOString()
+        },
+        _message: "Data extracted dynamically. Accuracy may vary based on website structure.",
+        ...(assetReport ? { _assets: assetReport } : {}), // Status, size, dimensions and hash of each returned asset
+        ...(screenshotReport ? { _screenshots: screenshotReport } : {}), // Ids of the stored screenshots, see GET /api/screenshots/:id
+        ...(options.overlays && options.overlays.length > 0 ? { _overlays: options.overlays } : {}), // Consent banners and popups dismissed before extraction
+        _provenance: provenance.entries // Stripped from responses unless verbose output is requested
+    };
+}
+
+
+/**
+ * Reads the cache options of a request from its JSON body or query string.
+ * `refresh=true` bypasses the cache, `maxAge` (seconds) rejects entries older than that.
+ * Embedded assets are never cached, so `embedAssets=true` bypasses the cache too. When screenshots
+ * are requested, only a cached result with matching screenshots is used. With `fields`, the cached
+ * result is trimmed to the selected fields. Results for a `locale` are cached apart from the default ones.
+ * @param {import('express').Request} req
+ * @returns {{refresh: boolean, maxAgeMs: number|undefined, screenshots: object|null, fields: string[]|null, locale: string|null}}
+ */
+function getCacheOptions(req) {
+    const source = { ...req.query, ...(req.body || {}) };
+    const maxAge = parseInt(source.maxAge, 10);
+    return {
+        refresh: source.refresh === true || source.refresh === 'true' || getAssetOptions(req).embed,
+        maxAgeMs: Number.isFinite(maxAge) && maxAge >= 0 ? maxAge * 1000 : undefined,
+        screenshots: getScreenshotOptions(req).options,
+        fields: getFieldOptions(req).fields,
+        locale: getLocaleOptions(req).locale
+    };
+}
+
+/**
+ * Reads the crawl limits of a request from its JSON body or query string. `crawlPages` caps the
+ * number of extra pages visited (0 disables the crawl), `crawlBudget` the time spent on them in
+ * seconds. Both can only lower the server limits.
+ * @param {import('express').Request} req
+ * @returns {{maxPages: number, budgetMs: number}}
+ */
+function getCrawlOptions(req) {
+    const source = { ...req.query, ...(req.body || {}) };
+    const defaults = getDefaultCrawlOptions();
+    const maxPages = parseInt(source.crawlPages, 10);
+    const budgetSeconds = parseFloat(source.crawlBudget);
+    return {
+        maxPages: Number.isFinite(maxPages) && maxPages >= 0 ? Math.min(maxPages, defaults.maxPages) : defaults.maxPages,
+        budgetMs: Number.isFinite(budgetSeconds) && budgetSeconds >= 0 ? Math.min(budgetSeconds * 1000, defaults.budgetMs) : defaults.budgetMs
+    };
+}
+
+/**
+ * Reads the asset options of a request from its JSON body or query string.
+ * `embedAssets=true` returns every resolved asset as a base64 data URI as well.
+ * @param {import('express').Request} req
+ * @returns {{embed: boolean}}
+ */
+function getAssetOptions(req) {
+    const embed = { ...req.query, ...(req.body || {}) }.embedAssets;
+    return { embed: embed === true || embed === 'true' };
+}
+
+/**
+ * Reads the screenshot options of a request. `screenshots=true` (body or query string) captures
+ * PNG screenshots at the default viewport; in a JSON body, `screenshots` can also be an object
+ * with the options of POST /api/screenshot: `format`, `quality`, `fullPage` and `viewport`.
+ * @param {import('express').Request} req
+ * @returns {{options: object|null, error?: string}} `options` is null when no screenshots were asked for;
+ *   `error` is set for invalid options.
+ */
+function getScreenshotOptions(req) {
+    const value = { ...req.query, ...(req.body || {}) }.screenshots;
+    if (value === true || value === 'true') return { options: normalizeScreenshotOptions() };
+    if (!value || typeof value !== 'object') return { options: null };
+    return parseScreenshotRequest(value);
+}
+
+/**
+ * Reads the fields a request selects: `fields` as a JSON array, or comma-separated in the query string.
+ * Each field names an extractor; the extractors it depends on run too.
+ * @param {import('express').Request} req
+ * @returns {{fields: string[]|null, error?: string}} `fields` are the extractors to run, null for all of them;
+ *   `error` is set for an unknown field.
+ */
+function getFieldOptions(req) {
+    const value = { ...req.query, ...(req.body || {}) }.fields;
+    const requested = Array.isArray(value) ? value : String(value || '').split(',').map(field => field.trim()).filter(Boolean);
+    if (requested.length === 0) return { fields: null };
+    try {
+        const fields = extractorRegistry.resolve(requested);
+        return { fields: fields.length === extractorRegistry.names().length ? null : fields };
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        return { fields: null, error: error.message };
+    }
+}
+
+/**
+ * Reads the locale a request asks for (`locale` in the JSON body or query string), a BCP 47 tag
+ * such as `de` or `pt-BR`. It is sent as Accept-Language, and the site's own translation for it
+ * is extracted when the page links one.
+ * @param {import('express').Request} req
+ * @returns {{locale: string|null, error?: string}} `locale` is normalized, null when none was asked for;
+ *   `error` is set for an invalid tag.
+ */
+function getLocaleOptions(req) {
+    const value = { ...req.query, ...(req.body || {}) }.locale;
+    if (value === undefined || value === null || value === '') return { locale: null };
+    try {
+        return { locale: normalizeLocale(value) };
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        return { locale: null, error: error.message };
+    }
+}
+
+/**
+ * Reads the screenshot, field and locale options of an extraction request. Sends the 400 response
+ * itself when they are invalid.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {{screenshots: object|null, fields: string[]|null, locale: string|null}|null} Null if a response was already sent.
+ */
+function validateExtractionOptions(req, res) {
+    const screenshotOptions = getScreenshotOptions(req);
+    if (screenshotOptions.error) {
+        res.status(400).json({ error: 'Invalid screenshot options', details: screenshotOptions.error });
+        return null;
+    }
+    const fieldOptions = getFieldOptions(req);
+    if (fieldOptions.error) {
+        res.status(400).json({ error: 'Invalid fields', details: fieldOptions.error });
+        return null;
+    }
+    const localeOptions = getLocaleOptions(req);
+    if (localeOptions.error) {
+        res.status(400).json({ error: 'Invalid locale', details: localeOptions.error });
+        return null;
+    }
+    return { screenshots: screenshotOptions.options, fields: fieldOptions.fields, locale: localeOptions.locale };
+}
+
+/**
+ * Validates the screenshot options of a request body.
+ * @param {{format?: string, quality?: number, fullPage?: boolean, viewport?: {width?: number, height?: number}}} input
+ * @returns {{options: object|null, error?: string}}
+ */
+function parseScreenshotRequest(input) {
+    const viewport = input.viewport && typeof input.viewport === 'object' ? input.viewport : {};
+    try {
+        return { options: normalizeScreenshotOptions({ ...input, width: viewport.width, height: viewport.height }) };
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        return { options: null, error: error.message };
+    }
+}
+
+/**
+ * Reads the design-token export format of a request (`export` in the JSON body or query string).
+ * @param {import('express').Request} req
+ * @param {object} [options]
+ * @param {string} [options.param='export'] - Name of the option holding the format.
+ * @param {string|null} [options.defaultFormat=null] - Format used when the option is missing.
+ * @returns {{format: string|null, error?: string}} `format` is null when no export was asked for;
+ *   `error` is set for an unknown format.
+ */
+function getExportFormat(req, { param = 'export', defaultFormat = null } = {}) {
+    const format = { ...req.query, ...(req.body || {}) }[param];
+    if (format === undefined || format === null || format === '' || format === false) return { format: defaultFormat };
+    const key = String(format).toLowerCase();
+    if (!TOKEN_FORMATS[key]) {
+        return { format: null, error: `Unknown export format "${format}". Supported formats: ${Object.keys(TOKEN_FORMATS).join(', ')}` };
+    }
+    return { format: key };
+}
+
+/**
+ * Sends the palette, fonts and logos of an extraction result as design tokens.
+ * @param {import('express').Response} res
+ * @param {object} data - The extraction result (fresh or cached).
+ * @param {string} format - A key of TOKEN_FORMATS.
+ * @param {string} normalizedUrl - The extracted URL, used to name the file.
+ */
+function sendDesignTokens(res, data, format, normalizedUrl) {
+    const { body, contentType, extension } = renderDesignTokens(stripProvenance(data), format);
+    const host = new URL(normalizedUrl).hostname.replace(/^www\./, '');
+    // The W3C format's extension already says what the file holds: example.com.tokens.json
+    const filename = extension.startsWith('tokens.') ? `${host}.${extension}` : `${host}-tokens.${extension}`;
+    res.status(200)
+        .set('Content-Type', `${contentType}; charset=utf-8`)
+        .set('Content-Disposition', `inline; filename="${filename}"`)
+        .send(body);
+}
+
+/**
+ * Whether the caller asked for the verbose response shape (`verbose=true` in the body or query).
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function isVerboseRequest(req) {
+    const verbose = { ...req.query, ...(req.body || {}) }.verbose;
+    return verbose === true || verbose === 'true';
+}
+
+/**
+ * Shapes an extraction result for the response: by default the provenance map is dropped,
+ * in verbose mode every field is reported as `{ value, source, confidence }`.
+ * @param {object} data - The extraction result (fresh or cached).
+ * @param {boolean} verbose
+ * @returns {object}
+ */
+function formatExtractionResponse(data, verbose) {
+    return verbose ? toVerboseShape(data) : stripProvenance(data);
+}
+
+/**
+ * Trims a full extraction result to the output of the given extractors. Metadata that belongs to
+ * no extractor (`_performance`, `_provenance`...) is kept.
+ * @param {object} data - The extraction result.
+ * @param {string[]} fields - Resolved extractor names.
+ * @returns {object}
+ */
+function pickExtractorOutputs(data, fields) {
+    const allKeys = extractorRegistry.outputKeys(extractorRegistry.names());
+    const selectedKeys = extractorRegistry.outputKeys(fields);
+    return Object.fromEntries(Object.entries(data).filter(([key]) => selectedKeys.includes(key) || !allKeys.includes(key)));
+}
+
+/**
+ * Cache key of an extraction: the normalized URL, plus the locale when one was requested.
+ * @param {string} normalizedUrl
+ * @param {string|null} [locale]
+ * @returns {string}
+ */
+function extractionCacheKey(normalizedUrl, locale) {
+    return locale ? `${normalizedUrl}::locale=${locale}` : normalizedUrl;
+}
+
+/**
+ * The cache groups the output of the given extractors is stored in.
+ * @param {string[]} names - Resolved extractor names.
+ * @returns {string[]}
+ */
+function cacheGroupsOf(names) {
+    return [...new Set(extractorRegistry.outputKeys(names).map(key => resultCache.groupFor(key)))];
+}
+
+/**
+ * The extractors whose output is stored in the given cache groups.
+ * @param {string[]} groups - Cache group names.
+ * @returns {string[]} Extractor names in registration order; none for groups that only hold metadata.
+ */
+function extractorsForCacheGroups(groups) {
+    return extractorRegistry.names().filter(name => cacheGroupsOf([name]).some(group => groups.includes(group)));
+}
+
+/**
+ * An extraction result as it is cached: without embedded assets, to keep entries small.
+ * @param {object} companyDetails
+ * @returns {object}
+ */
+function toCacheableResult(companyDetails) {
+    return companyDetails._assets
+        ? { ...companyDetails, _assets: stripEmbeddedAssets(companyDetails._assets) }
+        : companyDetails;
+}
+
+/**
+ * Completes a partial extraction result with what the cached result holds for the extractors that
+ * didn't run, so writing it doesn't drop their values from the cache groups it replaces: their
+ * output paths (e.g. the LinkedIn logos inside `Logo`) with the provenance and asset details under
+ * them, and the cached screenshots unless new ones were taken.
+ * @param {object} result - Cacheable result of the extractors that ran, see toCacheableResult; not modified.
+ * @param {object} cachedData - The cached result.
+ * @param {string[]} ran - Extractors that produced `result`.
+ * @param {string[]} groups - Cache groups about to be written.
+ * @returns {object}
+ */
+function withCachedOutputs(result, cachedData, ran, groups) {
+    const inGroups = (path) => groups.includes(resultCache.groupFor(path.split('.')[0]));
+    const isWithin = (path, parent) => path === parent || path.startsWith(`${parent}.`);
+    const ranPaths = extractorRegistry.outputPaths(ran);
+    // A path an extractor that ran wrote to, or wrote inside, is up to date in the new result
+    const paths = extractorRegistry.outputPaths(extractorRegistry.names().filter(name => !ran.includes(name)))
+        .filter(path => inGroups(path) && !ranPaths.some(ranPath => isWithin(ranPath, path)));
+    if (!result._screenshots && inGroups('_screenshots')) paths.push('_screenshots');
+
+    const merged = structuredClone(result);
+    merged._provenance = merged._provenance || {};
+    const cachedAssets = cachedData._assets || { resolved: {}, failed: [] };
+    for (const path of paths) {
+        const segments = path.split('.');
+        const value = segments.reduce((node, segment) => (node == null ? undefined : node[segment]), cachedData);
+        if (value === undefined) continue;
+        let node = merged;
+        segments.slice(0, -1).forEach(segment => { node = node[segment] = node[segment] || {}; });
+        node[segments[segments.length - 1]] = value;
+
+        Object.entries(cachedData._provenance || {})
+            .filter(([entryPath]) => isWithin(entryPath, path))
+            .forEach(([entryPath, entry]) => { merged._provenance[entryPath] = entry; });
+        const resolved = Object.entries(cachedAssets.resolved).filter(([assetPath]) => isWithin(assetPath, path));
+        const failed = cachedAssets.failed.filter(asset => isWithin(asset.path, path));
+        if (resolved.length > 0 || failed.length > 0) {
+            const assets = merged._assets = merged._assets || { ...cachedAssets, resolved: {}, failed: [] };
+            Object.assign(assets.resolved, Object.fromEntries(resolved));
+            assets.failed.push(...failed);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Re-extracts some cache groups of a URL, running only the extractors their fields come from, and
+ * stores them next to the groups still cached. Values that other extractors stored in those groups
+ * are kept, see withCachedOutputs.
+ * @param {string} normalizedUrl
+ * @param {string[]} groups - Cache groups to refresh, see extractorsForCacheGroups.
+ * @param {object} [options] - Passed to runCompanyExtraction (`locale`, `signal`, `onProgress`, `crawl`).
+ * @returns {Promise<object>} The extraction result.
+ */
+async function refreshCacheGroups(normalizedUrl, groups, options = {}) {
+    const fields = extractorRegistry.resolve(extractorsForCacheGroups(groups));
+    const companyDetails = await runCompanyExtraction(normalizedUrl, { ...options, fields });
+    const cacheKey = extractionCacheKey(normalizedUrl, options.locale);
+    const cached = await resultCache.get(cacheKey);
+    const result = withCachedOutputs(toCacheableResult(companyDetails), cached ? cached.data : {}, fields, groups);
+    await resultCache.set(cacheKey, result, { groups });
+    return companyDetails;
+}
+
+/**
+ * Returns the cached extraction for a URL, flagged with its age. Only the cache groups holding the
+ * requested fields count: a stale group is still returned while a background extraction refreshes
+ * it, a missing one is re-extracted on the spot and the result flagged `_cachePartial`. Either way
+ * only that group's extractors run.
+ * @param {string} normalizedUrl - The normalized URL.
+ * @param {{refresh?: boolean, maxAgeMs?: number, screenshots?: object, fields?: string[], locale?: string}} [cacheOptions] - See getCacheOptions.
+ * @param {object} [runOptions] - Passed to runCompanyExtraction when missing groups are re-extracted (`signal`, `onProgress`, `crawl`).
+ * @returns {Promise<object|null>} Null on a miss or when the caller asked for a refresh.
+ */
+async function getCachedExtraction(normalizedUrl, cacheOptions = {}, runOptions = {}) {
+    if (cacheOptions.refresh) return null;
+
+    const { locale = null, maxAgeMs } = cacheOptions;
+    const cacheKey = extractionCacheKey(normalizedUrl, locale);
+    let cached = await resultCache.get(cacheKey, { maxAgeMs });
+    if (!cached) return null;
+    // Screenshots are only cached with the brand group, so re-extracting the other groups wouldn't help
+    if (cacheOptions.screenshots && !await screenshotsSatisfy(cached.data._screenshots, cacheOptions.screenshots)) return null;
+
+    const wanted = cacheGroupsOf(cacheOptions.fields || extractorRegistry.names());
+    const missing = wanted.filter(group => cached.missing.includes(group));
+    if (missing.length === wanted.length) return null;
+    if (missing.length > 0) {
+        console.log(`[Cache] Re-extracting the ${missing.join(', ')} fields of ${normalizedUrl}, the rest is cached`);
+        try {
+            await refreshCacheGroups(normalizedUrl, missing, { ...runOptions, locale });
+        } catch (error) {
+            console.warn(`[Cache] Re-extracting ${missing.join(', ')} failed for ${normalizedUrl}:`, error.message);
+            return null;
+        }
+        cached = await resultCache.get(cacheKey, { maxAgeMs });
+        if (!cached || wanted.some(group => cached.missing.includes(group))) return null;
+    }
+
+    const stale = wanted.filter(group => cached.groups[group].stale);
+    if (stale.length > 0) {
+        resultCache.revalidate(`${cacheKey}::${stale.join('+')}`, () => refreshCacheGroups(normalizedUrl, stale, { locale }));
+    }
+    return {
+        ...(cacheOptions.fields ? pickExtractorOutputs(cached.data, cacheOptions.fields) : cached.data),
+        _cached: true,
+        _cacheAge: Math.max(...wanted.map(group => cached.groups[group].ageSeconds)),
+        _stale: stale.length > 0,
+        _cachePartial: missing.length > 0 // Some groups were just extracted, which consumed quota
+    };
+}
+
+/**
+ * Runs a company extraction for an already validated URL and caches the result, unless only some
+ * fields were extracted.
+ * The leased browser context is always released, including on timeout or cancellation.
+ * @param {string} normalizedUrl - URL returned by utils.isValidUrl.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the extraction and closes its browser context.
+ * @param {function(object): void} [options.onProgress] - Receives `{ stage, status }` progress events.
+ * @param {{maxPages?: number, budgetMs?: number}} [options.crawl] - Limits for the about/contact page crawl.
+ * @param {{embed?: boolean}} [options.assets] - Whether to embed the resolved assets as data URIs.
+ * @param {object} [options.screenshots] - Capture screenshots, see getScreenshotOptions; their viewport is used for the whole extraction.
+ * @param {string[]} [options.fields] - Extractors to run, see getFieldOptions; all of them by default.
+ * @param {string|null} [options.locale] - Extract the site in this locale, see getLocaleOptions.
+ * @returns {Promise<object>} The extracted company details.
+ */
+async function runCompanyExtraction(normalizedUrl, options = {}) {
+    const { signal } = options;
+    let lease;
+    try {
+        const setup = await setupPuppeteerPageForCompanyDetails(normalizedUrl, {
+            ...options,
+            viewport: options.screenshots ? options.screenshots.viewport : undefined
+        });
+        lease = setup.lease;
+        const page = setup.page;
+        const { contentLanguage, localeUrl, overlays } = setup;
+
+        // Add timeout wrapper for the entire extraction process with smart timeout
+        console.log('[Extraction] Starting company details extraction with 4-minute timeout...');
+        const racers = [
+            extractCompanyDetailsFromPage(page, normalizedUrl, { ...options, lease, contentLanguage, localeUrl, overlays }),
+            new Promise((_, reject) => 
+                setTimeout(() => reject(new Error('Company extraction timeout after 4 minutes')), 240000) // Balanced timeout - allows LinkedIn extraction but not too long
+            )
+        ];
+        if (signal) {
+            // Reject as soon as the caller cancels instead of waiting for the closed page to error out
+            racers.push(new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true })));
+        }
+        const companyDetails = await Promise.race(racers);
+
+        // Cache the result for future requests, without embedded assets to keep entries small.
+        // A partial result would be served as complete later on, so it isn't cached.
+        if (!options.fields) {
+            await resultCache.set(extractionCacheKey(normalizedUrl, options.locale), toCacheableResult(companyDetails));
+        }
+        return companyDetails;
+    } finally {
+        if (lease) {
+            await lease.release(); // Return the browser to the pool, closing this request's context
+            console.log('[Browser] Context released back to the pool');
+        }
+    }
+}
+
+/**
+ * Validates and normalizes a caller-supplied URL: format, DNS, and the network-safety rules
+ * (allowed scheme/port, no private or reserved addresses).
+ * @param {string} initialUrl - The URL as supplied by the caller.
+ * @returns {Promise<{normalizedUrl: string}|{statusCode: number, error: string, details?: string}>}
+ */
+async function checkExtractionUrl(initialUrl) {
+    if (!initialUrl) {
+        return { statusCode: 400, error: 'URL is required' };
+    }
+
+    const normalizedUrl = typeof initialUrl === 'string' && utils.isValidUrl(initialUrl);
+    if (!normalizedUrl) {
+        return { statusCode: 400, error: 'Invalid URL format' };
+    }
+
+    const isResolvable = await utils.isDomainResolvable(normalizedUrl);
+    if (!isResolvable) {
+        return { statusCode: 400, error: 'Domain name could not be resolved' };
+    }
+
+    try {
+        await assertUrlAllowed(normalizedUrl);
+    } catch (error) {
+        if (!(error instanceof UrlRejectedError)) throw error;
+        console.warn(`[Network Safety] Rejected ${normalizedUrl}: ${error.message}`);
+        return { statusCode: error.statusCode, error: 'URL not allowed', details: error.message };
+    }
+    return { normalizedUrl };
+}
+
+/**
+ * Validates the `url` of a request. Sends the 4xx response itself when invalid.
+ * @param {string} initialUrl - The URL as supplied by the caller.
+ * @param {import('express').Response} res - Response used to report validation errors.
+ * @returns {Promise<string|null>} The normalized URL, or null if a response was already sent.
+ */
+async function validateExtractionUrl(initialUrl, res) {
+    const { normalizedUrl, statusCode, error, details } = await checkExtractionUrl(initialUrl);
+    if (!normalizedUrl) {
+        res.status(statusCode).json(details ? { error, details } : { error });
+        return null;
+    }
+    return normalizedUrl;
+}
+
+/**
+ * Maps an extraction failure to the HTTP status and body reported to the caller.
+ * @param {Error} error
+ * @returns {{statusCode: number, error: string, details: string}}
+ */
+function describeExtractionError(error) {
+    // Basic error handling, will be refined
+    let errorMessage = 'Failed to extract company details. An unexpected error occurred.';
+    let statusCode = 500;
+
+    if (error instanceof UrlRejectedError) {
+        // The site redirected (or tried to) somewhere it must not go
+        errorMessage = 'URL not allowed';
+        statusCode = error.statusCode;
+    } else if (error.name === 'TimeoutError') {
+        errorMessage = 'The extraction timed out. The page might be too complex or unresponsive.';
+        statusCode = 504; // Gateway Timeout
+    }
+    // Add more specific error handling as developed
+
+    return { statusCode, error: errorMessage, details: error.message };
+}
+
+// New endpoint for extracting specific company details
+app.post('/api/extract-company-details', async (req, res) => {
+    const { url: initialUrl } = req.body || {};
+
+    const exportFormat = getExportFormat(req);
+    if (exportFormat.error) {
+        return res.status(400).json({ error: 'Invalid export format', details: exportFormat.error });
+    }
+
+    const extractionOptions = validateExtractionOptions(req, res);
+    if (!extractionOptions) return;
+
+    const normalizedUrl = await validateExtractionUrl(initialUrl, res);
+    if (!normalizedUrl) return;
+
+    const verbose = isVerboseRequest(req);
+
+    // Check cache first for performance
+    const cachedResult = await getCachedExtraction(normalizedUrl, getCacheOptions(req), { crawl: getCrawlOptions(req) });
+    if (cachedResult) {
+        console.log(`[Cache] Returning cached result for ${normalizedUrl}`);
+        if (!cachedResult._cachePartial) apiKeyAuth.refund(req.quotaCharge); // Only extractions consume quota
+        if (exportFormat.format) return sendDesignTokens(res, cachedResult, exportFormat.format, normalizedUrl);
+        return res.status(200).json(formatExtractionResponse(cachedResult, verbose));
+    }
+
+    try {
+        const companyDetails = await runCompanyExtraction(normalizedUrl, {
+            crawl: getCrawlOptions(req),
+            assets: getAssetOptions(req),
+            screenshots: extractionOptions.screenshots,
+            fields: extractionOptions.fields,
+            locale: extractionOptions.locale
+        });
+        if (exportFormat.format) return sendDesignTokens(res, companyDetails, exportFormat.format, normalizedUrl);
+        res.status(200).json(formatExtractionResponse(companyDetails, verbose));
+
+    } catch (error) {
+        console.error(`[Error extracting company details for URL: ${normalizedUrl}]`, error);
+        const { statusCode, error: errorMessage, details } = describeExtractionError(error);
+        res.status(statusCode).json({ error: errorMessage, details });
+    }
+});
+
+// Server-Sent Events progress stream - GET so it can be consumed with a plain EventSource
+app.get('/api/extract-company-details/stream', async (req, res) => {
+    const extractionOptions = validateExtractionOptions(req, res);
+    if (!extractionOptions) return;
+
+    const normalizedUrl = await validateExtractionUrl(req.query.url, res);
+    if (!normalizedUrl) return;
+
+    const controller = new AbortController();
+    let heartbeat = null;
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableFinished) {
+            console.log(`[SSE] Client disconnected, cancelling extraction for ${normalizedUrl}`);
+            controller.abort();
+        }
+    });
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    // Nothing is written once the client is gone
+    const write = (chunk) => {
+        if (!controller.signal.aborted && !res.writableEnded && !req.socket.destroyed) res.write(chunk);
+    };
+    const sendEvent = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Comment lines keep idle proxies from closing the connection during long stages
+    heartbeat = setInterval(() => write(': keep-alive\n\n'), 15000);
+
+    try {
+        const runOptions = {
+            signal: controller.signal,
+            crawl: getCrawlOptions(req),
+            // Events are named stage-started / stage-attempt / stage-completed / stage-failed
+            onProgress: (event) => sendEvent(`stage-${event.status}`, { ...event, timestamp: new Date().toISOString() })
+        };
+        const cachedResult = await getCachedExtraction(normalizedUrl, getCacheOptions(req), runOptions);
+        if (cachedResult && !cachedResult._cachePartial) apiKeyAuth.refund(req.quotaCharge);
+        const companyDetails = cachedResult || await runCompanyExtraction(normalizedUrl, {
+            ...runOptions,
+            assets: getAssetOptions(req),
+            screenshots: extractionOptions.screenshots,
+            fields: extractionOptions.fields,
+            locale: extractionOptions.locale
+        });
+        sendEvent('result', formatExtractionResponse(companyDetails, isVerboseRequest(req)));
+    } catch (error) {
+        console.error(`[SSE] Extraction failed for ${normalizedUrl}:`, error.message);
+        const { statusCode, error: errorMessage, details } = describeExtractionError(error);
+        sendEvent('error', { statusCode, error: errorMessage, details });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+});
+
+// Design tokens of a domain - served from the cache when possible, `format` defaults to w3c.
+// On a cache miss only the cache groups the tokens are made of are extracted, and cached.
+const DESIGN_TOKEN_FIELDS = ['logo', 'colors', 'fonts', 'typography'];
+
+app.get('/api/extract-company-details/:domain/tokens', async (req, res) => {
+    const { format, error: formatError } = getExportFormat(req, { param: 'format', defaultFormat: 'w3c' });
+    if (formatError) {
+        return res.status(400).json({ error: 'Invalid export format', details: formatError });
+    }
+
+    const { locale, error: localeError } = getLocaleOptions(req);
+    if (localeError) {
+        return res.status(400).json({ error: 'Invalid locale', details: localeError });
+    }
+
+    const normalizedUrl = await validateExtractionUrl(req.params.domain, res);
+    if (!normalizedUrl) return;
+
+    try {
+        const fields = extractorRegistry.resolve(DESIGN_TOKEN_FIELDS);
+        const cachedResult = await getCachedExtraction(normalizedUrl, { ...getCacheOptions(req), fields });
+        if (cachedResult && !cachedResult._cachePartial) apiKeyAuth.refund(req.quotaCharge);
+        const companyDetails = cachedResult || await refreshCacheGroups(normalizedUrl, cacheGroupsOf(fields), { locale });
+        sendDesignTokens(res, companyDetails, format, normalizedUrl);
+    } catch (error) {
+        console.error(`[Error exporting design tokens for URL: ${normalizedUrl}]`, error);
+        const { statusCode, error: errorMessage, details } = describeExtractionError(error);
+        res.status(statusCode).json({ error: errorMessage, details });
+    }
+});
+
+// Screenshots only - navigates like an extraction, captures, and returns the ids of the stored images
+app.post('/api/screenshot', async (req, res) => {
+    const { url: initialUrl, ...input } = req.body || {};
+    const { options: screenshotOptions, error: optionsError } = parseScreenshotRequest(input);
+    if (optionsError) {
+        return res.status(400).json({ error: 'Invalid screenshot options', details: optionsError });
+    }
+
+    const normalizedUrl = await validateExtractionUrl(initialUrl, res);
+    if (!normalizedUrl) return;
+
+    let lease;
+    let timer;
+    try {
+        const setup = await setupPuppeteerPageForCompanyDetails(normalizedUrl, { viewport: screenshotOptions.viewport });
+        lease = setup.lease;
+        const report = await Promise.race([
+            captureAndStoreScreenshots(setup.page, screenshotOptions),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Screenshot timeout after 60 seconds')), 60000);
+            })
+        ]);
+        res.status(200).json({ url: normalizedUrl, finalUrl: setup.page.url(), overlays: setup.overlays, ...report });
+    } catch (error) {
+        console.error(`[Error capturing screenshots for URL: ${normalizedUrl}]`, error);
+        const { statusCode, error: errorMessage, details } = describeExtractionError(error);
+        res.status(statusCode).json({ error: errorMessage, details });
+    } finally {
+        clearTimeout(timer);
+        if (lease) await lease.release();
+    }
+});
+
+// Stored screenshot images, by the id reported in `_screenshots` or by POST /api/screenshot
+app.get('/api/screenshots/:id', async (req, res) => {
+    const screenshot = await screenshotStore.get(req.params.id);
+    if (!screenshot) {
+        return res.status(404).json({ error: 'Screenshot not found or expired' });
+    }
+    res.status(200)
+        .set('Content-Type', screenshot.contentType)
+        .set('Cache-Control', 'private, max-age=86400, immutable') // An id always refers to the same image
+        .send(screenshot.buffer);
+});
+
+// Batch extraction - streams one NDJSON line per URL as soon as it finishes
+const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 500;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+
+/**
+ * Extracts a single URL of a batch. Never throws: failures are reported in the returned line.
+ * @param {string} initialUrl - The URL as supplied by the caller.
+ * @param {AbortSignal} signal - Aborted when the client disconnects.
+ * @param {object} requestOptions - Options of the batch request, applied to every URL.
+ * @param {object} requestOptions.cacheOptions - See getCacheOptions.
+ * @param {boolean} requestOptions.verbose - Report every field with its source and confidence.
+ * @param {object} requestOptions.crawl - See getCrawlOptions.
+ * @param {object} requestOptions.assets - See getAssetOptions.
+ * @param {object|null} requestOptions.screenshots - See getScreenshotOptions.
+ * @param {string[]|null} requestOptions.fields - See getFieldOptions.
+ * @param {string|null} requestOptions.locale - See getLocaleOptions.
+ * @returns {Promise<object>} The NDJSON line payload (without url/index).
+ */
+async function extractBatchItem(initialUrl, signal, { cacheOptions, verbose, crawl, assets, screenshots, fields, locale }) {
+    let normalizedUrl = null;
+    try {
+        const check = await checkExtractionUrl(initialUrl);
+        if (!check.normalizedUrl) {
+            const { statusCode, error, details } = check;
+            return { success: false, statusCode, error, details };
+        }
+        normalizedUrl = check.normalizedUrl;
+
+        const data = await getCachedExtraction(normalizedUrl, cacheOptions, { signal, crawl })
+            || await runCompanyExtraction(normalizedUrl, { signal, crawl, assets, screenshots, fields, locale });
+        return { success: true, normalizedUrl, data: formatExtractionResponse(data, verbose) };
+    } catch (extractionError) {
+        // Includes failures of the URL check and the cache, so one URL can't break the stream
+        console.warn(`[Batch] Extraction failed for ${normalizedUrl || initialUrl}:`, extractionError.message);
+        return { success: false, ...(normalizedUrl ? { normalizedUrl } : {}), ...describeExtractionError(extractionError) };
+    }
+}
+
+app.post('/api/extract-company-details/batch', async (req, res) => {
+    const { urls, concurrency } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ error: 'urls must be a non-empty array' });
+    }
+    if (urls.length > BATCH_MAX_URLS) {
+        return res.status(400).json({ error: `A batch may contain at most ${BATCH_MAX_URLS} URLs` });
+    }
+    const extractionOptions = validateExtractionOptions(req, res);
+    if (!extractionOptions) return;
+
+    // Callers may ask for less parallelism, never more than the server limit
+    const limit = Math.min(BATCH_CONCURRENCY, parseInt(concurrency, 10) || BATCH_CONCURRENCY);
+
+    // Stop starting new extractions (and cancel running ones) if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            console.log('[Batch] Client disconnected, cancelling remaining URLs');
+            controller.abort();
+        }
+    });
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache'
+    });
+    res.flushHeaders();
+
+    const requestOptions = {
+        cacheOptions: getCacheOptions(req),
+        verbose: isVerboseRequest(req),
+        crawl: getCrawlOptions(req),
+        assets: getAssetOptions(req),
+        screenshots: extractionOptions.screenshots,
+        fields: extractionOptions.fields,
+        locale: extractionOptions.locale
+    };
+    console.log(`[Batch] Extracting ${urls.length} URLs with concurrency ${limit}`);
+    await utils.runWithConcurrency(urls, limit, async (initialUrl, index) => {
+        if (controller.signal.aborted) return;
+        const line = await extractBatchItem(initialUrl, controller.signal, requestOptions);
+        // Each URL was charged one unit; rejected and fully cached ones didn't extract anything
+        const extracted = line.success ? !line.data._cached || line.data._cachePartial : line.statusCode >= 500;
+        if (!extracted) apiKeyAuth.refund(req.quotaCharge, 1);
+        if (!controller.signal.aborted) {
+            res.write(JSON.stringify({ index, url: initialUrl, ...line }) + '\n');
+        }
+    });
+    res.end();
+});
+
+// Asynchronous extraction jobs - for callers that can't hold a connection open for minutes
+const jobManager = new JobManager({
+    runner: async (normalizedUrl, options) => {
+        const cachedResult = await getCachedExtraction(normalizedUrl, options.cacheOptions, { signal: options.signal, onProgress: options.onProgress, crawl: options.crawl });
+        if (cachedResult && !cachedResult._cachePartial) apiKeyAuth.refund(options.quotaCharge);
+        return formatExtractionResponse(cachedResult || await runCompanyExtraction(normalizedUrl, options), options.verbose);
+    },
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000 // 1 hour
+});
+
+app.post('/api/jobs', async (req, res) => {
+    const extractionOptions = validateExtractionOptions(req, res);
+    if (!extractionOptions) return;
+
+    const normalizedUrl = await validateExtractionUrl((req.body || {}).url, res);
+    if (!normalizedUrl) return;
+
+    const job = jobManager.create(normalizedUrl, {
+        quotaCharge: req.quotaCharge, // Given back if the job is served from the cache
+        cacheOptions: getCacheOptions(req),
+        verbose: isVerboseRequest(req),
+        crawl: getCrawlOptions(req),
+        assets: getAssetOptions(req),
+        screenshots: extractionOptions.screenshots,
+        fields: extractionOptions.fields,
+        locale: extractionOptions.locale
+    });
+    res.status(202)
+        .location(`/api/jobs/${job.id}`)
+        .json({ ...job, statusUrl: `/api/jobs/${job.id}` });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    res.status(200).json(job);
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    const { found, cancelled, job } = jobManager.cancel(req.params.id);
+    if (!found) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    if (!cancelled) {
+        return res.status(409).json({ error: `Job already ${job.status}`, job });
     }
+    res.status(200).json(job);
 });
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Hashes an API key. Keys are only ever compared and stored by hash.
+ * @param {string} key
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * First instant of the next calendar month (UTC), when monthly quotas reset.
+ * @param {number} now - Timestamp in ms.
+ * @returns {number}
+ */
+function nextMonthStart(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+/**
+ * @param {number} now - Timestamp in ms.
+ * @returns {string} The UTC month as `YYYY-MM`.
+ */
+function monthOf(now) {
+    return new Date(now).toISOString().slice(0, 7);
+}
+
+/**
+ * API key authentication with a per-key requests-per-minute limit and a monthly quota.
+ *
+ * Keys come from a JSON config file (or the API_KEYS environment variable), either as
+ * `{ "keys": [...] }` or a bare array of `{ key | keyHash, name, rateLimitPerMinute, monthlyQuota }`.
+ * `keyHash` (hex SHA-256 of the key) lets the config avoid storing keys in plain text.
+ * Every request counts towards the rate limit; only requests that start extractions count
+ * towards the quota (see `quotaCost`). The quota is charged up front, so concurrent requests can't
+ * overdraw it, and given back when the request is answered with a 4xx or when a route refunds it
+ * (see `refund`, e.g. for results served from the cache). Counters are kept per key hash, so keys
+ * sharing a name don't share limits. Monthly usage is persisted to `usageFile` so a restart
+ * doesn't reset anyone's quota.
+ */
+class ApiKeyAuth {
+    /**
+     * @param {object} options
+     * @param {Array<object>} options.keys - Key records (see class description).
+     * @param {number} [options.defaultRateLimitPerMinute=30] - Limit for keys that don't set their own.
+     * @param {number} [options.defaultMonthlyQuota=1000] - Quota for keys that don't set their own.
+     * @param {function(import('express').Request): number} [options.quotaCost] - Quota units a request consumes.
+     * @param {string} [options.usageFile] - JSON file monthly usage is persisted to. In-memory only if omitted.
+     */
+    constructor({ keys, defaultRateLimitPerMinute = 30, defaultMonthlyQuota = 1000, quotaCost = () => 1, usageFile }) {
+        this.quotaCost = quotaCost;
+        this.usageFile = usageFile;
+        this.keysByHash = new Map();
+        for (const record of keys) {
+            const keyHash = record.keyHash ? String(record.keyHash).toLowerCase() : hashKey(record.key);
+            this.keysByHash.set(keyHash, {
+                id: record.name || keyHash.slice(0, 12),
+                keyHash,
+                rateLimitPerMinute: record.rateLimitPerMinute || defaultRateLimitPerMinute,
+                monthlyQuota: record.monthlyQuota || defaultMonthlyQuota
+            });
+        }
+        this.minuteWindows = new Map(); // keyHash -> { windowStart, count }
+        this.monthlyUsage = this._loadUsage(); // keyHash -> { month, count }
+        this.saveTimer = null;
+        this.pendingSave = Promise.resolve(); // The usage write in progress
+    }
+
+    /**
+     * Loads key records from a JSON file, or from a JSON string in an environment variable.
+     * @param {object} sources
+     * @param {string} [sources.file] - Path to the keys file.
+     * @param {string} [sources.json] - Inline JSON with the same shape.
+     * @returns {Array<object>} The key records (empty when nothing is configured).
+     */
+    static loadKeys({ file, json }) {
+        const raw = file ? fs.readFileSync(file, 'utf8') : json;
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        const keys = Array.isArray(parsed) ? parsed : parsed.keys;
+        if (!Array.isArray(keys)) {
+            throw new Error('API key config must be an array or an object with a "keys" array');
+        }
+        return keys.filter(record => record && (record.key || record.keyHash));
+    }
+
+    /**
+     * @returns {boolean} True when at least one key is configured.
+     */
+    get enabled() {
+        return this.keysByHash.size > 0;
+    }
+
+    /**
+     * Express middleware: authenticates the key, enforces the rate limit and quota, sets the
+     * RateLimit-* headers, and exposes the key record as `req.apiKey` and the quota charged as
+     * `req.quotaCharge` (see `refund`).
+     * @returns {import('express').RequestHandler}
+     */
+    middleware() {
+        return (req, res, next) => {
+            const key = this._readKey(req);
+            if (!key) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'API key required. Send it in the X-API-Key header.' });
+            }
+            const record = this.keysByHash.get(hashKey(key));
+            if (!record) {
+                res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+                return res.status(401).json({ error: 'Invalid API key' });
+            }
+
+            const now = Date.now();
+            const window = this._minuteWindow(record, now);
+            const windowReset = Math.ceil((window.windowStart + MINUTE - now) / 1000);
+            const rateLimited = window.count >= record.rateLimitPerMinute;
+            if (!rateLimited) window.count++;
+
+            res.set({
+                'RateLimit-Policy': `${record.rateLimitPerMinute};w=60`,
+                'RateLimit-Limit': String(record.rateLimitPerMinute),
+                'RateLimit-Remaining': String(Math.max(0, record.rateLimitPerMinute - window.count)),
+                'RateLimit-Reset': String(windowReset)
+            });
+            if (rateLimited) {
+                res.set('Retry-After', String(windowReset));
+                return res.status(429).json({
+                    error: 'Rate limit exceeded',
+                    details: `At most ${record.rateLimitPerMinute} requests per minute are allowed for this key.`
+                });
+            }
+
+            const usage = this._monthlyUsage(record, now);
+            const cost = this.quotaCost(req);
+            const quotaReset = Math.ceil((nextMonthStart(now) - now) / 1000);
+            if (cost > 0 && usage.count + cost > record.monthlyQuota) {
+                this._setQuotaHeaders(res, record, usage, quotaReset);
+                res.set('Retry-After', String(quotaReset));
+                return res.status(429).json({
+                    error: 'Monthly quota exceeded',
+                    details: `This request needs ${cost} of the ${Math.max(0, record.monthlyQuota - usage.count)} remaining units of your ${record.monthlyQuota} monthly quota.`
+                });
+            }
+            if (cost > 0) {
+                usage.count += cost;
+                this._scheduleSave();
+                req.quotaCharge = { record, month: usage.month, units: cost };
+                // Requests the route rejects (invalid URL, unknown field...) didn't use anything
+                res.on('finish', () => {
+                    if (res.statusCode >= 400 && res.statusCode < 500) this.refund(req.quotaCharge);
+                });
+            }
+            this._setQuotaHeaders(res, record, usage, quotaReset);
+
+            req.apiKey = record;
+            next();
+        };
+    }
+
+    /**
+     * Gives back quota units a request was charged but didn't use, e.g. for a result served from
+     * the cache. Never gives back more than was charged; does nothing without a charge.
+     * @param {{record: object, month: string, units: number}|undefined} charge - The request's `req.quotaCharge`.
+     * @param {number} [units] - Units to give back; all that are left by default.
+     */
+    refund(charge, units = Infinity) {
+        if (!charge || charge.units <= 0) return;
+        const refunded = Math.min(units, charge.units);
+        charge.units -= refunded;
+        const usage = this.monthlyUsage.get(charge.record.keyHash);
+        // A charge from last month is gone with last month's usage
+        if (!usage || usage.month !== charge.month) return;
+        usage.count = Math.max(0, usage.count - refunded);
+        this._scheduleSave();
+    }
+
+    /**
+     * Current consumption of a key, for the usage endpoint.
+     * @param {object} record - The `req.apiKey` set by the middleware.
+     * @returns {object}
+     */
+    getUsage(record) {
+        const now = Date.now();
+        const window = this._minuteWindow(record, now);
+        const usage = this._monthlyUsage(record, now);
+        return {
+            key: record.id,
+            rateLimit: {
+                limit: record.rateLimitPerMinute,
+                used: window.count,
+                remaining: Math.max(0, record.rateLimitPerMinute - window.count),
+                resetAt: new Date(window.windowStart + MINUTE).toISOString()
+            },
+            quota: {
+                period: usage.month,
+                limit: record.monthlyQuota,
+                used: usage.count,
+                remaining: Math.max(0, record.monthlyQuota - usage.count),
+                resetAt: new Date(nextMonthStart(now)).toISOString()
+            }
+        };
+    }
+
+    /** @private */
+    _readKey(req) {
+        const headerKey = req.get('X-API-Key');
+        if (headerKey) return headerKey.trim();
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        return match ? match[1].trim() : null;
+    }
+
+    /** @private */
+    _minuteWindow(record, now) {
+        const windowStart = Math.floor(now / MINUTE) * MINUTE;
+        let window = this.minuteWindows.get(record.keyHash);
+        if (!window || window.windowStart !== windowStart) {
+            window = { windowStart, count: 0 };
+            this.minuteWindows.set(record.keyHash, window);
+        }
+        return window;
+    }
+
+    /** @private */
+    _monthlyUsage(record, now) {
+        const month = monthOf(now);
+        let usage = this.monthlyUsage.get(record.keyHash);
+        if (!usage || usage.month !== month) {
+            usage = { month, count: 0 };
+            this.monthlyUsage.set(record.keyHash, usage);
+        }
+        return usage;
+    }
+
+    /** @private */
+    _setQuotaHeaders(res, record, usage, quotaReset) {
+        res.set({
+            'X-Quota-Limit': String(record.monthlyQuota),
+            'X-Quota-Remaining': String(Math.max(0, record.monthlyQuota - usage.count)),
+            'X-Quota-Reset': String(quotaReset)
+        });
+    }
+
+    /** @private */
+    _loadUsage() {
+        if (!this.usageFile) return new Map();
+        let stored; // keyHash -> { month, count }
+        try {
+            stored = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+        } catch (e) {
+            return new Map(); // No usage recorded yet
+        }
+        return new Map(Object.entries(stored));
+    }
+
+    /**
+     * Writes usage that is waiting to be saved right away, e.g. before the process exits.
+     * @returns {Promise<void>} Resolves once usage is on disk.
+     */
+    async flush() {
+        const scheduled = this.saveTimer !== null;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.pendingSave;
+        if (scheduled) await this._saveUsage();
+    }
+
+    /**
+     * Writes usage at most once per second.
+     * @private
+     */
+    _scheduleSave() {
+        if (!this.usageFile || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._saveUsage();
+        }, 1000);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Writes usage atomically via a temporary file, after any write still in progress.
+     * @private
+     * @returns {Promise<void>} Never rejects; failures are logged.
+     */
+    _saveUsage() {
+        const tempPath = `${this.usageFile}.${process.pid}.tmp`;
+        this.pendingSave = this.pendingSave
+            .then(() => fs.promises.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.monthlyUsage))))
+            .then(() => fs.promises.rename(tempPath, this.usageFile))
+            .catch(error => console.warn('[API Keys] Failed to persist usage:', error.message));
+        return this.pendingSave;
+    }
+}
+
+module.exports = { ApiKeyAuth, hashKey };
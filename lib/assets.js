@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { guardPage } = require('./network-safety');
+const { sniffImageType } = require('./logo-colors');
+
+/**
+ * Asset resolution: downloads the logos, icons and images an extraction returns and describes them.
+ *
+ * Asset URLs found in a page are often broken (404s, soft-404 HTML pages), tracking pixels, or
+ * hotlink-protected. Each one is loaded in a page of the extraction's browser context, with the
+ * site as referer and the same network-safety guard as every other request, and reported with its
+ * HTTP status, content type, size, pixel dimensions and SHA-256 hash. Optionally the bytes are
+ * returned as a data URI so clients never have to hotlink the site.
+ */
+
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+const MAX_EMBED_BYTES = 1024 * 1024; // Larger assets are described but not embedded
+
+/**
+ * Reads the pixel dimensions of an image from its header bytes.
+ * @param {Buffer} buffer
+ * @param {string} type - MIME type, see sniffImageType.
+ * @returns {{width: number, height: number}|null} Null when the format or header isn't understood.
+ *   For an ICO file, the largest image it contains; for an SVG, its width/height or viewBox.
+ */
+function readImageDimensions(buffer, type) {
+    try {
+        switch (type) {
+        case 'image/png':
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        case 'image/gif':
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        case 'image/bmp':
+            return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+        case 'image/x-icon':
+        case 'image/vnd.microsoft.icon': {
+            let largest = null;
+            for (let i = 0; i < buffer.readUInt16LE(4); i++) {
+                const entry = 6 + i * 16;
+                const width = buffer[entry] || 256; // 0 means 256
+                const height = buffer[entry + 1] || 256;
+                if (!largest || width * height > largest.width * largest.height) largest = { width, height };
+            }
+            return largest;
+        }
+        case 'image/jpeg': {
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xff) return null;
+                const marker = buffer[offset + 1];
+                // Start-of-frame markers carry the size; C4 (DHT), C8 and CC (DAC) share the range but don't
+                if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+                }
+                offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+            return null;
+        }
+        case 'image/webp': {
+            const chunk = buffer.toString('ascii', 12, 16);
+            if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+            if (chunk === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+            if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+            return null;
+        }
+        case 'image/avif': {
+            const ispe = buffer.indexOf('ispe');
+            return ispe === -1 ? null : { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+        }
+        case 'image/svg+xml': {
+            const root = (buffer.toString('utf8', 0, Math.min(buffer.length, 64 * 1024)).match(/<svg\b[^>]*>/i) || [''])[0];
+            const attribute = (name) => {
+                const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+                return match ? parseFloat(match[1]) : null;
+            };
+            const viewBox = root.match(/\sviewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*["']/i);
+            const width = attribute('width') || (viewBox && parseFloat(viewBox[1]));
+            const height = attribute('height') || (viewBox && parseFloat(viewBox[2]));
+            return width && height ? { width: Math.round(width), height: Math.round(height) } : null;
+        }
+        default:
+            return null;
+        }
+    } catch (e) {
+        return null; // Truncated header
+    }
+}
+
+/**
+ * Describes downloaded asset bytes.
+ * @param {Buffer} buffer
+ * @param {string} [declaredType] - The Content-Type header.
+ * @param {boolean} embed - Whether to include a data URI.
+ * @returns {object} `{contentType, format, bytes, width, height, sha256, dataUri?, error?}`; `error` is set when the bytes aren't a usable image.
+ */
+function describeAssetBuffer(buffer, declaredType, embed) {
+    const type = sniffImageType(buffer, declaredType);
+    const dimensions = type ? readImageDimensions(buffer, type) : null;
+    const details = {
+        contentType: (declaredType || '').split(';')[0].trim().toLowerCase() || null,
+        format: type ? type.replace(/^image\//, '').replace(/\+xml$/, '').replace(/^(x-icon|vnd\.microsoft\.icon)$/, 'ico') : null,
+        bytes: buffer.length,
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+
+    if (!type) {
+        details.error = 'Not an image'; // Typically a soft-404 or login page served with status 200
+    } else if (details.width === 1 && details.height === 1) {
+        details.error = 'Tracking pixel';
+    } else if (embed) {
+        if (buffer.length <= MAX_EMBED_BYTES) {
+            details.dataUri = `data:${type};base64,${buffer.toString('base64')}`;
+        } else {
+            details.embedError = `Too large to embed (${buffer.length} bytes)`;
+        }
+    }
+    return details;
+}
+
+/**
+ * Downloads one asset in a new page of a leased browser context and describes it.
+ * Data URIs (e.g. inline SVG logos) are described without a download. Never throws.
+ * @param {{newPage: function(): Promise<import('puppeteer').Page>}} lease - Browser context lease (see BrowserPool).
+ * @param {string} url - Absolute URL or data URI of the asset.
+ * @param {object} [options]
+ * @param {string} [options.referer] - Page the asset was found on, for hotlink-protected servers.
+ * @param {boolean} [options.embed=false] - Include the bytes as a data URI.
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<{url: string, ok: boolean, status: number|null, contentType: string|null, format: string|null, bytes: number|null,
+ *   width: number|null, height: number|null, sha256: string|null, dataUri?: string, embedError?: string, error?: string}>}
+ */
+async function fetchAsset(lease, url, { referer, embed = false, timeoutMs = 10000 } = {}) {
+    const result = { url, ok: false, status: null, contentType: null, format: null, bytes: null, width: null, height: null, sha256: null };
+
+    if (url.startsWith('data:')) {
+        const match = url.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+        if (!match) return { ...result, error: 'Malformed data URI' };
+        const buffer = /;base64/i.test(match[2]) ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+        const details = describeAssetBuffer(buffer, match[1], false);
+        // The data URI is its own embedding
+        return { ...result, ...details, ok: !details.error, ...(embed && !details.error ? { dataUri: url } : {}) };
+    }
+
+    let page;
+    let timer;
+    try {
+        page = await lease.newPage();
+        const guard = await guardPage(page);
+        if (referer) await page.setExtraHTTPHeaders({ Referer: referer });
+        const response = await Promise.race([
+            page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs }),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Asset download timeout')), timeoutMs);
+            })
+        ]);
+        if (guard.blockedNavigation) throw new Error(`Blocked: ${guard.blockedNavigation.reason}`);
+        if (!response) throw new Error('No response');
+
+        result.status = response.status();
+        result.contentType = (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase() || null;
+        if (!response.ok()) return { ...result, error: `HTTP ${result.status}` };
+
+        const buffer = await response.buffer();
+        if (buffer.length > MAX_ASSET_BYTES) return { ...result, bytes: buffer.length, error: `Too large (${buffer.length} bytes)` };
+        const details = describeAssetBuffer(buffer, response.headers()['content-type'], embed);
+        return { ...result, ...details, ok: !details.error };
+    } catch (error) {
+        return { ...result, error: error.message };
+    } finally {
+        clearTimeout(timer);
+        if (page) await page.close().catch(() => {}); // The context may already be gone
+    }
+}
+
+/**
+ * Removes embedded data URIs from an asset report, e.g. before a result is cached.
+ * @param {object} report - The `_assets` report of a result.
+ * @returns {object}
+ */
+function stripEmbeddedAssets(report) {
+    if (!report || !report.resolved) return report;
+    const resolved = {};
+    for (const [path, asset] of Object.entries(report.resolved)) {
+        const { dataUri, embedError, ...rest } = asset;
+        resolved[path] = rest;
+    }
+    return { ...report, resolved, embedded: false };
+}
+
+module.exports = { describeAssetBuffer, fetchAsset, readImageDimensions, stripEmbeddedAssets };
@@ -0,0 +1,255 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * A pool of long-lived Chromium instances.
+ *
+ * Launching a browser per request costs several seconds and makes memory spike
+ * when requests overlap, so instead a fixed number of browsers are kept warm and
+ * every caller gets its own isolated BrowserContext (separate cookies, cache and
+ * storage) on one of them. A browser is recycled once it has served
+ * `maxPagesPerBrowser` pages, or as soon as it crashes/disconnects.
+ */
+class BrowserPool {
+    /**
+     * @param {object} options
+     * @param {string} [options.name='Browser'] - Label used in log messages.
+     * @param {number} [options.size=1] - Number of browsers kept alive.
+     * @param {number} [options.maxPagesPerBrowser=50] - Pages a browser may open before it is recycled.
+     * @param {object|function(): (object|Promise<object>)} options.launchOptions - Puppeteer launch options, or a factory returning them.
+     * @param {number} [options.launchAttempts=2] - Launch attempts before giving up.
+     */
+    constructor({ name = 'Browser', size = 1, maxPagesPerBrowser = 50, launchOptions, launchAttempts = 2 }) {
+        this.name = name;
+        this.size = Math.max(1, size);
+        this.maxPagesPerBrowser = Math.max(1, maxPagesPerBrowser);
+        this.launchOptions = launchOptions;
+        this.launchAttempts = launchAttempts;
+        this.slots = new Array(this.size).fill(null); // Each slot holds an entry (see _launchIntoSlot) or null
+        this.retiring = new Set(); // Entries taken out of rotation, closed once their last lease is released
+        this.closed = false;
+        this.nextEntryId = 1;
+        this.stats = { launched: 0, recycled: 0, crashed: 0 };
+    }
+
+    /**
+     * Launches every browser in the pool up front so the first requests don't pay for it.
+     * Launch failures are logged and retried lazily on the next acquire.
+     * @returns {Promise<void>}
+     */
+    async warm() {
+        await Promise.all(this.slots.map((entry, index) => {
+            if (entry) return entry.ready;
+            return this._launchIntoSlot(index).ready.catch(error => {
+                console.warn(`[${this.name} Pool] Warm-up launch for slot ${index} failed:`, error.message);
+            });
+        }));
+    }
+
+    /**
+     * Leases a fresh, isolated browser context from the least busy browser.
+     * The caller MUST call `lease.release()` when done, which closes the context.
+     * @returns {Promise<{browser: import('puppeteer').Browser, context: import('puppeteer').BrowserContext, newPage: function(): Promise<import('puppeteer').Page>, release: function(): Promise<void>}>}
+     */
+    async acquireContext() {
+        if (this.closed) {
+            throw new Error(`${this.name} pool is shut down`);
+        }
+
+        const entry = this._pickEntry();
+        // Count the lease before awaiting the launch so concurrent acquires spread over the other slots
+        entry.activeLeases++;
+
+        let browser;
+        let context;
+        try {
+            // A failed launch has already freed its slot, so the error simply propagates to the caller
+            browser = await entry.ready;
+            context = await browser.createBrowserContext();
+        } catch (error) {
+            entry.activeLeases--;
+            if (browser) this._retire(entry, `context creation failed: ${error.message}`);
+            throw error;
+        }
+
+        let released = false;
+        return {
+            browser,
+            context,
+            newPage: async () => {
+                entry.pagesServed++;
+                return context.newPage();
+            },
+            release: async () => {
+                if (released) return;
+                released = true;
+                try {
+                    await context.close();
+                } catch (closeError) {
+                    // Context is already gone if the browser crashed
+                    console.warn(`[${this.name} Pool] Error closing context:`, closeError.message);
+                }
+                entry.activeLeases--;
+                if (entry.pagesServed >= this.maxPagesPerBrowser) {
+                    this._retire(entry, `served ${entry.pagesServed} pages`);
+                }
+                this._closeIfIdle(entry);
+            }
+        };
+    }
+
+    /**
+     * Current state of every slot, for diagnostics.
+     * @returns {object}
+     */
+    getStats() {
+        return {
+            size: this.size,
+            maxPagesPerBrowser: this.maxPagesPerBrowser,
+            ...this.stats,
+            browsers: this.slots.map((entry, slot) => entry ? {
+                slot,
+                id: entry.id,
+                connected: Boolean(entry.browser && entry.browser.connected),
+                activeLeases: entry.activeLeases,
+                pagesServed: entry.pagesServed
+            } : { slot, id: null }),
+            retiring: this.retiring.size
+        };
+    }
+
+    /**
+     * Closes every browser in the pool. Further acquires are rejected.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closed = true;
+        const entries = [...this.slots.filter(Boolean), ...this.retiring];
+        this.slots.fill(null);
+        this.retiring.clear();
+        await Promise.all(entries.map(async entry => {
+            try {
+                const browser = await entry.ready;
+                await browser.close();
+            } catch (e) { /* Launch failed or browser already gone */ }
+        }));
+        console.log(`[${this.name} Pool] Closed ${entries.length} browser(s)`);
+    }
+
+    /**
+     * Picks the entry with the fewest active leases, launching into an empty slot when
+     * every running browser is already busy. Entries over their page budget are retired here.
+     * @private
+     */
+    _pickEntry() {
+        let best = null;
+        let emptySlot = -1;
+        for (let index = 0; index < this.slots.length; index++) {
+            const entry = this.slots[index];
+            if (entry && entry.pagesServed >= this.maxPagesPerBrowser) {
+                this._retire(entry, `served ${entry.pagesServed} pages`);
+            }
+            if (!this.slots[index]) {
+                if (emptySlot === -1) emptySlot = index;
+                continue;
+            }
+            if (!best || this.slots[index].activeLeases < best.activeLeases) {
+                best = this.slots[index];
+            }
+        }
+
+        if (emptySlot !== -1 && (!best || best.activeLeases > 0)) {
+            return this._launchIntoSlot(emptySlot);
+        }
+        return best;
+    }
+
+    /**
+     * Starts a browser launch (with retries) and stores its entry in the given slot immediately,
+     * so concurrent acquires share the same pending launch.
+     * @private
+     */
+    _launchIntoSlot(slotIndex) {
+        const entry = {
+            id: this.nextEntryId++,
+            browser: null,
+            ready: null,
+            activeLeases: 0,
+            pagesServed: 0
+        };
+        this.slots[slotIndex] = entry;
+
+        entry.ready = (async () => {
+            const launchOptions = typeof this.launchOptions === 'function' ? await this.launchOptions() : this.launchOptions;
+            let lastError;
+            for (let attempt = 1; attempt <= this.launchAttempts; attempt++) {
+                try {
+                    console.log(`[${this.name} Pool] Launching browser #${entry.id} (attempt ${attempt}/${this.launchAttempts})...`);
+                    const browser = await puppeteer.launch(launchOptions);
+                    console.log(`[${this.name} Pool] Browser #${entry.id} launched on attempt ${attempt}`);
+                    return browser;
+                } catch (error) {
+                    lastError = error;
+                    console.log(`[${this.name} Pool] Launch attempt ${attempt} failed:`, error.message);
+                    if (attempt < this.launchAttempts) {
+                        await new Promise(resolve => setTimeout(resolve, 1000));
+                    }
+                }
+            }
+            throw new Error(`Browser launch failed after ${this.launchAttempts} attempts. Last error: ${lastError.message}`);
+        })();
+
+        entry.ready.then(browser => {
+            entry.browser = browser;
+            this.stats.launched++;
+            if (this.closed) {
+                browser.close().catch(() => {});
+                return;
+            }
+            browser.on('disconnected', () => {
+                if (this.slots.includes(entry)) {
+                    this.stats.crashed++;
+                    console.warn(`[${this.name} Pool] Browser #${entry.id} disconnected unexpectedly, it will be replaced`);
+                }
+                this._vacate(entry);
+                this.retiring.delete(entry);
+            });
+        }, () => {
+            // Free the slot so the next acquire retries the launch
+            this._vacate(entry);
+        });
+
+        return entry;
+    }
+
+    /**
+     * Takes an entry out of rotation. It is closed once its last lease is released.
+     * @private
+     */
+    _retire(entry, reason) {
+        if (!this.slots.includes(entry)) return;
+        console.log(`[${this.name} Pool] Recycling browser #${entry.id} (${reason})`);
+        this.stats.recycled++;
+        this._vacate(entry);
+        this.retiring.add(entry);
+        this._closeIfIdle(entry);
+    }
+
+    /** @private */
+    _vacate(entry) {
+        const index = this.slots.indexOf(entry);
+        if (index !== -1) this.slots[index] = null;
+    }
+
+    /** @private */
+    _closeIfIdle(entry) {
+        if (!this.retiring.has(entry) || entry.activeLeases > 0) return;
+        this.retiring.delete(entry);
+        if (entry.browser) {
+            entry.browser.close().catch(error => {
+                console.warn(`[${this.name} Pool] Error closing recycled browser #${entry.id}:`, error.message);
+            });
+        }
+    }
+}
+
+module.exports = { BrowserPool };
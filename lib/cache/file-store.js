@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Leftover temporary files older than this belong to a write that never finished
+const STALE_TEMP_FILE_MS = 60 * 60 * 1000;
+
+/**
+ * On-disk store: one JSON file per key, named after the key's SHA-256 so any
+ * URL is a safe file name. Survives process restarts as long as `directory`
+ * lives on persistent storage (e.g. a Render disk).
+ *
+ * Keys that are never read again would stay on disk forever, so writes trigger a sweep
+ * (at most once per `sweepIntervalMs`) that deletes expired files and, past `maxEntries`,
+ * the least recently written ones.
+ */
+class FileStore {
+    /**
+     * @param {object} options
+     * @param {string} options.directory - Directory holding the cache files. Created if missing.
+     * @param {number} [options.maxEntries=5000] - Files kept; the oldest are deleted by the sweep.
+     * @param {number} [options.sweepIntervalMs=600000] - Minimum time between two sweeps.
+     */
+    constructor({ directory, maxEntries = 5000, sweepIntervalMs = 10 * 60 * 1000 }) {
+        this.directory = directory;
+        this.maxEntries = Math.max(1, maxEntries);
+        this.sweepIntervalMs = sweepIntervalMs;
+        this.lastSweepAt = 0;
+        this.sweeping = null;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<any|null>} The stored value, or null if missing, expired or unreadable.
+     */
+    async get(key) {
+        const filePath = this._pathFor(key);
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (e) {
+            return null; // Missing, or a partially written/corrupt file
+        }
+        if (!entry || entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    /**
+     * Writes to a temporary file and renames it, so readers never see a half-written entry.
+     * @param {string} key
+     * @param {any} value
+     * @param {number} ttlMs - Time after which the entry is dropped.
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs) {
+        const filePath = this._pathFor(key);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({ expiresAt: Date.now() + ttlMs, key, value }));
+        await fs.promises.rename(tempPath, filePath);
+
+        if (!this.sweeping && Date.now() - this.lastSweepAt >= this.sweepIntervalMs) {
+            this.lastSweepAt = Date.now();
+            this.sweeping = this.sweep()
+                .catch(error => console.warn('[Cache] File sweep failed:', error.message))
+                .finally(() => { this.sweeping = null; });
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this._pathFor(key));
+        } catch (e) { /* Already gone */ }
+    }
+
+    /**
+     * Deletes expired entries and abandoned temporary files, then the least recently written
+     * entries beyond `maxEntries`. Runs in the background of `set`.
+     * @returns {Promise<{expired: number, evicted: number}>}
+     */
+    async sweep() {
+        const now = Date.now();
+        const kept = [];
+        let expired = 0;
+        for (const name of await fs.promises.readdir(this.directory)) {
+            const filePath = path.join(this.directory, name);
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (e) {
+                continue; // Deleted meanwhile
+            }
+            if (!stats.isFile()) continue;
+
+            if (name.endsWith('.tmp')) {
+                if (now - stats.mtimeMs > STALE_TEMP_FILE_MS) await fs.promises.unlink(filePath).catch(() => {});
+                continue;
+            }
+            if (!name.endsWith('.json')) continue;
+
+            const expiresAt = await this._readExpiry(filePath);
+            if (expiresAt === null || expiresAt <= now) {
+                await fs.promises.unlink(filePath).catch(() => {});
+                expired++;
+                continue;
+            }
+            kept.push({ filePath, writtenAt: stats.mtimeMs });
+        }
+
+        const excess = kept.sort((a, b) => a.writtenAt - b.writtenAt).slice(0, Math.max(0, kept.length - this.maxEntries));
+        await Promise.all(excess.map(({ filePath }) => fs.promises.unlink(filePath).catch(() => {})));
+        if (expired + excess.length > 0) {
+            console.log(`[Cache] Swept ${expired} expired and ${excess.length} excess entries from ${this.directory}`);
+        }
+        return { expired, evicted: excess.length };
+    }
+
+    /**
+     * Reads when an entry expires. `expiresAt` is written first, so the head of the file is enough.
+     * @private
+     * @returns {Promise<number|null>} Null for a corrupt file.
+     */
+    async _readExpiry(filePath) {
+        let handle;
+        try {
+            handle = await fs.promises.open(filePath, 'r');
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+            const match = buffer.toString('utf8', 0, bytesRead).match(/^\{"expiresAt":(\d+)/);
+            return match ? Number(match[1]) : null;
+        } catch (e) {
+            return null;
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    /** @private */
+    _pathFor(key) {
+        return path.join(this.directory, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+    }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,175 @@
+const { MemoryStore } = require('./memory-store');
+const { FileStore } = require('./file-store');
+
+/**
+ * Extraction result cache with per-field-group TTLs and stale-while-revalidate.
+ *
+ * A result is split into field groups (e.g. brand assets vs. company info), each stored
+ * under its own key with its own timestamp. A group older than its TTL is "stale": it is
+ * still served for up to `staleTtlMs` longer, while the caller refreshes it in the
+ * background via `revalidate`. Groups are read and written separately, so a caller can
+ * re-extract just the stale or missing ones and store them next to the others. The backing
+ * store only has to implement async get/set/delete (see MemoryStore and FileStore).
+ */
+class ResultCache {
+    /**
+     * @param {object} options
+     * @param {{get: Function, set: Function, delete: Function}} options.store - Backing store.
+     * @param {Array<{name: string, fields: string[], ttlMs: number}>} [options.groups=[]] - Field groups and their TTLs.
+     * @param {number} options.defaultTtlMs - TTL for fields that belong to no group.
+     * @param {number} options.staleTtlMs - How long after expiry a group may still be served stale.
+     * @param {string[]} [options.pathMapFields=[]] - Fields holding a map keyed by dotted field path (e.g. `_provenance`).
+     *   Each group stores the entries of its own fields, so rewriting one group keeps the others' entries.
+     */
+    constructor({ store, groups = [], defaultTtlMs, staleTtlMs, pathMapFields = [] }) {
+        this.store = store;
+        this.groups = [...groups, { name: 'default', fields: [], ttlMs: defaultTtlMs }];
+        this.staleTtlMs = staleTtlMs;
+        this.pathMapFields = pathMapFields;
+        this.revalidations = new Map(); // key -> in-flight refresh promise
+    }
+
+    /**
+     * The group a top-level result field is stored in.
+     * @param {string} field
+     * @returns {string} The group name; `default` for fields that belong to no group.
+     */
+    groupFor(field) {
+        return this._groupOf(field).name;
+    }
+
+    /**
+     * Reads a cached result. Groups that are missing (evicted, expired past their stale period or
+     * older than `maxAgeMs`) are left out of `data` and listed in `missing`.
+     * @param {string} key - Cache key (the normalized URL).
+     * @param {object} [options]
+     * @param {number} [options.maxAgeMs] - Treat groups older than this as missing.
+     * @returns {Promise<{data: object, ageSeconds: number, stale: boolean, groups: object, missing: string[]}|null>}
+     *   `groups` maps each present group to `{ ageSeconds, stale }`. Null when no group is present.
+     */
+    async get(key, { maxAgeMs } = {}) {
+        let entries;
+        try {
+            entries = await Promise.all(this.groups.map(group => this.store.get(this._groupKey(key, group))));
+        } catch (error) {
+            console.warn(`[Cache] Read failed for ${key}:`, error.message);
+            return null;
+        }
+
+        const now = Date.now();
+        const data = {};
+        const groups = {};
+        const missing = [];
+        let oldestAge = 0;
+        let stale = false;
+        for (let i = 0; i < this.groups.length; i++) {
+            const group = this.groups[i];
+            const entry = entries[i];
+            const age = entry ? now - entry.storedAt : null;
+            if (!entry || (maxAgeMs !== undefined && age > maxAgeMs)) {
+                missing.push(group.name);
+                continue;
+            }
+
+            const groupStale = age > group.ttlMs;
+            stale = stale || groupStale;
+            oldestAge = Math.max(oldestAge, age);
+            groups[group.name] = { ageSeconds: Math.round(age / 1000), stale: groupStale };
+            for (const [field, value] of Object.entries(entry.fields)) {
+                data[field] = this.pathMapFields.includes(field) ? { ...data[field], ...value } : value;
+            }
+        }
+        if (missing.length === this.groups.length) return null;
+
+        return { data, ageSeconds: Math.round(oldestAge / 1000), stale, groups, missing };
+    }
+
+    /**
+     * Stores a result, split into its field groups.
+     * @param {string} key - Cache key (the normalized URL).
+     * @param {object} data - The extraction result.
+     * @param {object} [options]
+     * @param {string[]} [options.groups] - Only write these groups, e.g. after re-extracting just them; all by default.
+     * @returns {Promise<void>}
+     */
+    async set(key, data, { groups: groupNames } = {}) {
+        const storedAt = Date.now();
+        const fieldsByGroup = new Map(this.groups.map(group => [group, {}]));
+        for (const [field, value] of Object.entries(data)) {
+            if (this.pathMapFields.includes(field) && value) {
+                // Entries go with the field their path starts with
+                for (const [fieldPath, entry] of Object.entries(value)) {
+                    const groupFields = fieldsByGroup.get(this._groupOf(fieldPath.split('.')[0]));
+                    groupFields[field] = { ...groupFields[field], [fieldPath]: entry };
+                }
+                continue;
+            }
+            fieldsByGroup.get(this._groupOf(field))[field] = value;
+        }
+
+        const groups = groupNames ? this.groups.filter(group => groupNames.includes(group.name)) : this.groups;
+        try {
+            await Promise.all(groups.map(group => this.store.set(
+                this._groupKey(key, group),
+                { fields: fieldsByGroup.get(group), storedAt },
+                group.ttlMs + this.staleTtlMs
+            )));
+        } catch (error) {
+            console.warn(`[Cache] Write failed for ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Refreshes a stale entry in the background. Concurrent calls for the same key share one refresh.
+     * The refresh function is expected to store its own result (or just the groups it re-extracted);
+     * failures are only logged.
+     * @param {string} key - Cache key (the normalized URL).
+     * @param {function(): Promise<any>} refresh - Re-runs the extraction.
+     * @returns {Promise<void>}
+     */
+    revalidate(key, refresh) {
+        if (this.revalidations.has(key)) return this.revalidations.get(key);
+
+        console.log(`[Cache] Serving stale result for ${key}, revalidating in the background`);
+        const pending = Promise.resolve()
+            .then(refresh)
+            .then(() => console.log(`[Cache] Revalidated ${key}`))
+            .catch(error => console.warn(`[Cache] Background revalidation failed for ${key}:`, error.message))
+            .finally(() => this.revalidations.delete(key));
+        this.revalidations.set(key, pending);
+        return pending;
+    }
+
+    /** @private */
+    _groupOf(field) {
+        return this.groups.find(candidate => candidate.fields.includes(field)) || this.groups[this.groups.length - 1];
+    }
+
+    /** @private */
+    _groupKey(key, group) {
+        return `${key}::${group.name}`;
+    }
+}
+
+/**
+ * Creates the backing store selected by name.
+ * @param {string} backend - `memory` (LRU, the default) or `file`.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - Entries kept: the LRU size of the memory backend, the file count of the file backend.
+ * @param {string} [options.directory] - Cache directory for the file backend.
+ * @returns {MemoryStore|FileStore}
+ */
+function createStore(backend, options = {}) {
+    switch (backend) {
+        case 'file':
+            return new FileStore({ directory: options.directory, maxEntries: options.maxEntries });
+        case 'memory':
+        case undefined:
+        case '':
+            return new MemoryStore({ maxEntries: options.maxEntries });
+        default:
+            throw new Error(`Unknown cache backend "${backend}". Use "memory" or "file".`);
+    }
+}
+
+module.exports = { ResultCache, MemoryStore, FileStore, createStore };
@@ -0,0 +1,56 @@
+/**
+ * In-process LRU store. A Map keeps insertion order, so re-inserting an entry on
+ * every read moves it to the back and the first key is always the least recently used.
+ */
+class MemoryStore {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries=500] - Entries kept before the least recently used one is evicted.
+     */
+    constructor({ maxEntries = 500 } = {}) {
+        this.maxEntries = Math.max(1, maxEntries);
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<any|null>} The stored value, or null if missing or expired.
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @param {number} ttlMs - Time after which the entry is dropped.
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,215 @@
+const { confidenceForSource } = require('./provenance');
+
+/**
+ * Company name resolution: picks the brand name a site goes by out of everything that names it
+ * (og:site_name, JSON-LD, the logo's alt text, the copyright notice, the page title, LinkedIn).
+ *
+ * Titles and headings are split at their separators ("Acme | Home – Cloud Software for Teams")
+ * and navigation words and taglines are dropped. Candidates that name the same company are grouped
+ * by a key without case, punctuation and legal suffix, so "Acme", "ACME" and "Acme, Inc." agree.
+ * The group supported by the most trustworthy sources wins; matching the site's domain counts too.
+ */
+
+// Legal forms, most specific first so "GmbH & Co. KG" isn't read as "KG". Dots and spacing are optional.
+const LEGAL_SUFFIXES = [
+    'GmbH & Co\\.? ?KG', 'UG \\(haftungsbeschränkt\\)', 'S\\.? ?A\\.? de C\\.? ?V\\.?', 'Sp\\.? z\\.? ?o\\.? ?o\\.?',
+    'Co\\.?,? Ltd\\.?', 'Pvt\\.? Ltd\\.?', 'Private Limited', 'Pty\\.? Ltd\\.?', 'Public Limited Company',
+    'Inc\\.?', 'Incorporated', 'Corp\\.?', 'Corporation', 'L\\.?L\\.?C\\.?', 'L\\.?L\\.?P\\.?', 'L\\.?P\\.?', 'Ltd\\.?', 'Limited', 'PLC',
+    'GmbH', 'gGmbH', 'AG', 'KGaA', 'KG', 'OHG', 'e\\.? ?V\\.?', 'SE', 'S\\.?A\\.?S\\.?', 'S\\.?A\\.?R\\.?L\\.?', 'S\\.?A\\.?', 'S\\.?L\\.?',
+    'S\\.?r\\.?l\\.?', 'S\\.?p\\.?A\\.?', 'B\\.?V\\.?', 'N\\.?V\\.?', 'Oy', 'Oyj', 'AB', 'A/S', 'ApS', 'AS', 'ASA', 'K\\.?K\\.?', 'Sdn\\.? Bhd\\.?'
+];
+const LEGAL_SUFFIX_PATTERN = new RegExp(`[,\\s]+(?:${LEGAL_SUFFIXES.join('|')})$`, 'i');
+
+// Title segments that name the page rather than the company
+const GENERIC_SEGMENTS = new Set([
+    'home', 'homepage', 'home page', 'welcome', 'official site', 'official website', 'main page', 'index',
+    'startseite', 'accueil', 'inicio', 'página inicial', 'pagina iniziale', 'home pagina', 'strona główna'
+]);
+
+// "Acme | Home", "Home - Acme", "Acme: Cloud Software" (hyphens only with spaces around them: "Coca-Cola")
+const TITLE_SEPARATOR = /\s*[|·•»]\s*|\s+[–—\-~/]\s+|:\s+/;
+
+// More words than this is a tagline, not a name
+const MAX_NAME_WORDS = 5;
+
+// Score for a group whose name is the site's domain label (acme.com -> acme)
+const DOMAIN_MATCH_BONUS = 0.5;
+// Segments cut out of a longer title are a guess; the whole value of og:site_name is not
+const SEGMENT_WEIGHT = 0.6;
+const MAX_ALTERNATE_NAMES = 5;
+
+/**
+ * Splits a name into brand and legal suffix.
+ * @param {string} name
+ * @returns {{base: string, suffix: string|null}} `Acme, Inc.` -> `{ base: 'Acme', suffix: 'Inc.' }`
+ */
+function splitLegalSuffix(name) {
+    const value = String(name || '').trim();
+    const match = value.match(LEGAL_SUFFIX_PATTERN);
+    if (!match || match.index === 0) return { base: value, suffix: null };
+    return { base: value.slice(0, match.index).replace(/[,\s]+$/, ''), suffix: match[0].replace(/^[,\s]+/, '') };
+}
+
+/**
+ * Key that matches spellings of the same name: lowercase letters and digits, without legal suffix.
+ * @param {string} name
+ * @returns {string}
+ */
+function nameKey(name) {
+    return splitLegalSuffix(name).base.toLowerCase().normalize('NFKD').replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * The label of a hostname that names the site: `www.acme.co.uk` -> `acme`.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function domainLabel(url) {
+    let labels;
+    try {
+        labels = new URL(url).hostname.toLowerCase().split('.').filter(label => label !== 'www');
+    } catch (e) {
+        return null;
+    }
+    labels.pop(); // Top-level domain
+    if (labels.length > 1 && ['co', 'com', 'org', 'net', 'gov', 'ac', 'edu', 'ne', 'or'].includes(labels[labels.length - 1])) labels.pop();
+    return labels.length ? labels[labels.length - 1].replace(/[^a-z0-9]/g, '') : null;
+}
+
+/**
+ * Tidies one candidate value: collapses whitespace, drops "Welcome to" and surrounding punctuation.
+ * @param {string} value
+ * @returns {string}
+ */
+function tidy(value) {
+    return String(value || '')
+        .replace(/\s+/g, ' ')
+        .replace(/^(welcome to|willkommen bei|bienvenue (chez|sur)|bienvenido a)\s+/i, '')
+        .replace(/^[\s"'“”‘’,;:|–—-]+|[\s"'“”‘’,;:|–—-]+$/g, '')
+        .trim();
+}
+
+/**
+ * The parts of a candidate that could be a name: the whole value, or its title segments.
+ * @param {string} value
+ * @returns {{names: string[], split: boolean}}
+ */
+function nameOptions(value) {
+    const segments = tidy(value).split(TITLE_SEPARATOR).map(tidy)
+        .filter(segment => segment && !GENERIC_SEGMENTS.has(segment.toLowerCase()));
+    return {
+        names: segments.filter(segment => segment.split(' ').length <= MAX_NAME_WORDS && nameKey(segment)),
+        split: segments.length > 1
+    };
+}
+
+/**
+ * Reads the holder out of a copyright notice: `© 2015–2024 Acme, Inc. All rights reserved.` -> `Acme, Inc.`
+ * @param {string} text
+ * @returns {string|null}
+ */
+function parseCopyrightHolder(text) {
+    const match = String(text || '').match(/(?:©|\(c\)|copyright)(.*)/i);
+    if (!match) return null;
+    const holder = match[1]
+        .replace(/(?:©|\(c\)|copyright)/gi, ' ')
+        .split(/all rights reserved|alle rechte vorbehalten|tous droits réservés|todos los derechos reservados|\s[|·•]\s?|\n/i)[0]
+        .replace(/\b(19|20)\d{2}\b(\s*[-–—]\s*\b(19|20)\d{2}\b|\s*[-–—]\s*present)?/gi, ' ')
+        .replace(/^\s*(by|von|par)\s+/i, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.,:;-]+|[\s,:;-]+$/g, '');
+    // Keep the dot of a suffix (Inc.) but not a sentence's full stop
+    const cleaned = LEGAL_SUFFIX_PATTERN.test(holder) ? holder : holder.replace(/\.$/, '');
+    return cleaned && cleaned.split(' ').length <= MAX_NAME_WORDS + 2 ? cleaned : null;
+}
+
+/**
+ * Reads a name out of a logo's alt text: `Acme logo`, `Go to the Acme homepage` -> `Acme`.
+ * @param {string} alt
+ * @returns {string|null}
+ */
+function cleanLogoAlt(alt) {
+    const cleaned = tidy(String(alt || '')
+        .replace(/\b(logo(type)?|logotipo|brand mark|wordmark|(go|back|return|link) to( the)?|home ?page|homepage|home|startseite)\b/gi, ' '));
+    return cleaned || null;
+}
+
+/**
+ * Resolves a company's names from everything that names it.
+ * @param {Array<{value: string, source: string, kind?: string}>} candidates - `kind` is `legal` for a
+ *   stated legal name (JSON-LD legalName), `alternate` for a stated alternate name and `title` for a page
+ *   title (og:title, twitter:title); plain names otherwise. Sources weigh as much as their provenance
+ *   confidence, page titles all as much as `<title>` and together as one source, since they repeat it.
+ * @param {object} [options]
+ * @param {string} [options.url] - URL of the site; a name matching its domain is preferred.
+ * @returns {{Name: string|null, LegalName: string|null, AlternateNames: string[], sources: object}}
+ *   `sources` maps `Name`, `LegalName` and `AlternateNames.<index>` to the source each came from.
+ */
+function resolveCompanyName(candidates, { url } = {}) {
+    const label = url ? domainLabel(url) : null;
+    const groups = new Map(); // key -> { key, score, members: [{ name, source, weight }], sources: Set }
+
+    const options = candidates
+        .filter(candidate => candidate && candidate.value)
+        .flatMap(({ value, source, kind = 'name' }) => {
+            const { names, split } = ['name', 'title'].includes(kind) ? nameOptions(value) : { names: [tidy(value)].filter(Boolean), split: false };
+            const weight = confidenceForSource(kind === 'title' ? 'title' : source) * (split ? SEGMENT_WEIGHT : 1);
+            return names.map(name => ({ name, source, kind: kind === 'title' ? 'name' : kind, weight, split, origin: kind === 'title' ? 'title' : source }));
+        });
+
+    for (const option of options) {
+        const key = nameKey(option.name);
+        if (!key) continue;
+        const group = groups.get(key) || { key, score: 0, members: [], sources: new Set() };
+        // A legal or alternate name backs up a brand name without standing in for one
+        if (option.kind === 'name' && !group.sources.has(option.origin)) {
+            group.score += option.weight;
+            group.sources.add(option.origin);
+        }
+        group.members.push(option);
+        groups.set(key, group);
+    }
+
+    const matchesDomain = (key) => Boolean(label) && label.length >= 3 && (key === label || key.startsWith(label) || label.startsWith(key));
+    const ranked = [...groups.values()]
+        .filter(group => group.members.some(member => member.kind === 'name'))
+        .map(group => ({ ...group, score: group.score + (matchesDomain(group.key) ? DOMAIN_MATCH_BONUS : 0) }))
+        .sort((a, b) => b.score - a.score
+            || a.members[0].name.split(' ').length - b.members[0].name.split(' ').length);
+
+    const winner = ranked[0];
+    if (!winner) return { Name: null, LegalName: null, AlternateNames: [], sources: {} };
+
+    // The brand as written by the most trusted source, without its legal form
+    const best = winner.members.filter(member => member.kind === 'name').sort((a, b) => b.weight - a.weight)[0];
+    const sources = { Name: best.source };
+    const name = splitLegalSuffix(best.name).base;
+
+    // A stated legal name wins; otherwise any candidate for this company that carries a legal form
+    const related = (option) => {
+        const key = nameKey(option.name);
+        return key === winner.key || key.startsWith(winner.key) || winner.key.startsWith(key);
+    };
+    const legal = options.find(option => option.kind === 'legal')
+        || options.filter(option => splitLegalSuffix(option.name).suffix && related(option)).sort((a, b) => b.weight - a.weight)[0];
+    const legalName = legal ? legal.name : null;
+    if (legal) sources.LegalName = legal.source;
+
+    // Other names the company goes by: stated alternates, and other spellings or names from trusted sources
+    const seen = new Set([name.toLowerCase(), ...(legalName ? [legalName.toLowerCase()] : [])]);
+    const alternateNames = [];
+    const addAlternate = (option) => {
+        if (alternateNames.length >= MAX_ALTERNATE_NAMES || seen.has(option.name.toLowerCase())) return;
+        seen.add(option.name.toLowerCase());
+        sources[`AlternateNames.${alternateNames.length}`] = option.source;
+        alternateNames.push(option.name);
+    };
+    options.filter(option => option.kind === 'alternate').forEach(addAlternate);
+    ranked.slice(1)
+        .filter(group => group.members.some(member => member.kind === 'name' && !member.split && member.weight >= 0.7))
+        .forEach(group => addAlternate(group.members.find(member => member.kind === 'name')));
+
+    return { Name: name, LegalName: legalName, AlternateNames: alternateNames, sources };
+}
+
+module.exports = { LEGAL_SUFFIXES, cleanLogoAlt, nameKey, parseCopyrightHolder, resolveCompanyName, splitLegalSuffix };
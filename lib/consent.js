@@ -0,0 +1,291 @@
+/**
+ * Cookie-consent banners and modal overlays: recognizes them on a loaded page and gets them out of
+ * the way, so they don't end up in colors, screenshots or images.
+ *
+ * Known consent-management platforms are handled by their own markup: their "reject" button is
+ * clicked, or their close button, or their JavaScript API is asked to reject. Anything else that
+ * looks like a consent banner or a modal (fixed, large, `role="dialog"`, cookie wording) gets the
+ * same treatment with buttons found by their text. Whatever is still visible afterwards is hidden.
+ * Consent is never given: a banner without a way to reject or close it is hidden instead.
+ */
+
+/**
+ * Consent-management platforms. `container` is the banner, `reject` and `close` its buttons (first
+ * visible one wins), `api` a global function that rejects all purposes, `hide` whatever has to go
+ * along with the banner (backdrops). `shadowHost` marks banners rendered inside a shadow root.
+ */
+const CONSENT_PLATFORMS = [
+    {
+        name: 'OneTrust',
+        container: ['#onetrust-banner-sdk', '#onetrust-pc-sdk'],
+        reject: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler'],
+        close: ['.onetrust-close-btn-handler', '#close-pc-btn-handler'],
+        api: 'OneTrust.RejectAll',
+        hide: ['.onetrust-pc-dark-filter']
+    },
+    {
+        name: 'Cookiebot',
+        container: ['#CybotCookiebotDialog'],
+        reject: ['#CybotCookiebotDialogBodyButtonDecline', '#CybotCookiebotDialogBodyLevelButtonLevelOptinDeclineAll'],
+        close: ['#CybotCookiebotDialogBodyButtonClose'],
+        api: 'Cookiebot.decline',
+        hide: ['#CybotCookiebotDialogBodyUnderlay']
+    },
+    {
+        name: 'Didomi',
+        container: ['#didomi-notice', '#didomi-popup'],
+        reject: ['#didomi-notice-disagree-button', '.didomi-continue-without-agreeing', '#didomi-popup button[aria-label*="Disagree" i]'],
+        close: ['.didomi-popup-close', '.didomi-notice-close-button'],
+        api: 'Didomi.setUserDisagreeToAll',
+        hide: ['#didomi-host']
+    },
+    {
+        name: 'Usercentrics',
+        container: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+        shadowHost: ['#usercentrics-root', '#usercentrics-cmp-ui'],
+        reject: ['[data-testid="uc-deny-all-button"]', '#deny'],
+        close: ['[data-testid="uc-close-button"]', '#close'],
+        api: 'UC_UI.denyAllConsents',
+        hide: []
+    },
+    {
+        name: 'TrustArc',
+        container: ['#truste-consent-track', '.truste_overlay', '#consent_blackbar'],
+        reject: ['#truste-consent-required'],
+        close: ['#truste-consent-close'],
+        api: null,
+        hide: ['.truste_box_overlay', '.truste_overlay']
+    },
+    {
+        name: 'Quantcast',
+        container: ['#qc-cmp2-container'],
+        reject: ['#qc-cmp2-ui button[mode="secondary"]'],
+        close: [],
+        api: null,
+        hide: []
+    },
+    {
+        name: 'CookieYes',
+        container: ['.cky-consent-container', '.cky-modal'],
+        reject: ['.cky-btn-reject'],
+        close: ['.cky-banner-btn-close'],
+        api: null,
+        hide: ['.cky-overlay']
+    },
+    {
+        name: 'Osano',
+        container: ['.osano-cm-dialog'],
+        reject: ['.osano-cm-denyAll', '.osano-cm-deny'],
+        close: ['.osano-cm-dialog__close'],
+        api: null,
+        hide: []
+    },
+    {
+        name: 'Complianz',
+        container: ['#cmplz-cookiebanner-container .cmplz-cookiebanner', '.cmplz-cookiebanner'],
+        reject: ['.cmplz-deny'],
+        close: ['.cmplz-close'],
+        api: null,
+        hide: []
+    },
+    {
+        name: 'iubenda',
+        container: ['#iubenda-cs-banner'],
+        reject: ['.iubenda-cs-reject-btn'],
+        close: ['.iubenda-cs-close-btn'],
+        api: null,
+        hide: []
+    },
+    {
+        name: 'Sourcepoint',
+        container: ['[id^="sp_message_container"]'],
+        reject: [], // The buttons live in a cross-origin iframe
+        close: [],
+        api: null,
+        hide: []
+    }
+];
+
+// Button texts, in the languages the sites we extract are most often in
+const REJECT_TEXT = /^(reject|decline|deny|refuse|disagree)( all| cookies| optional cookies)?$|^(use )?(only|strictly)? ?(necessary|essential|required)( cookies)?( only)?$|^continue without (accepting|agreeing)|^(alle )?ablehnen$|^nur (notwendige|erforderliche|essenzielle)|^(tout )?refuser( tout)?$|^continuer sans accepter|^rechazar( todo| todas)?$|^rifiuta( tutto)?$|^(alles )?weigeren$|^alleen noodzakelijke|^avvisa( alla)?$|^odrzuć( wszystkie)?$|^recusar( todos)?$/i;
+const CLOSE_TEXT = /^(close|dismiss|no,? thanks|not now|maybe later|×|✕|✖|x|schließen|fermer|cerrar|chiudi|sluiten|stäng|zamknij|fechar)$/i;
+// A fixed element talking about these is a consent banner. "Privacy" alone isn't enough: footers and
+// sticky bars link their privacy policy too.
+const CONSENT_TEXT = /cookie|consent|gdpr|einwilligung|zustimm|consentement|consentimiento|consenso|toestemming|samtycke|zgod[ay]/i;
+
+// Candidates for generic banners and modals; computing styles for every element would be too slow
+const GENERIC_SELECTORS = [
+    '[role="dialog"]', '[aria-modal="true"]', '[role="alertdialog"]',
+    '[id*="cookie" i]', '[class*="cookie" i]', '[id*="consent" i]', '[class*="consent" i]', '[class*="gdpr" i]',
+    '[class*="modal" i]', '[class*="popup" i]', '[class*="overlay" i]', '[class*="newsletter" i]', '[class*="lightbox" i]'
+];
+
+// How long to wait for a consent platform that loads after the page
+const CONSENT_WAIT_MS = 1000;
+// Time a banner gets to animate out after its button was clicked
+const SETTLE_MS = 400;
+// Generic overlays dismissed at most, so a page made of "modal" classes can't be emptied
+const MAX_GENERIC_DISMISSALS = 5;
+
+/**
+ * Dismisses consent banners and modal overlays on a loaded page. Never throws.
+ * @param {import('puppeteer').Page} page
+ * @param {object} [options]
+ * @param {number} [options.waitMs=1000] - How long to wait for a known consent platform to show up.
+ * @returns {Promise<Array<{platform: string|null, kind: string, action: string, selector: string}>>} What was dismissed:
+ *   `kind` is `consent` or `overlay`, `action` is `rejected`, `closed` or `hidden` (when no button worked).
+ */
+async function dismissOverlays(page, { waitMs = CONSENT_WAIT_MS } = {}) {
+    const knownSelectors = CONSENT_PLATFORMS.flatMap(platform => platform.container).join(', ');
+    await page.waitForSelector(knownSelectors, { visible: true, timeout: waitMs }).catch(() => {});
+
+    try {
+        const dismissed = await page.evaluate(runDismissal, {
+            platforms: CONSENT_PLATFORMS,
+            genericSelector: GENERIC_SELECTORS.join(', '),
+            rejectText: REJECT_TEXT.source,
+            closeText: CLOSE_TEXT.source,
+            consentText: CONSENT_TEXT.source,
+            settleMs: SETTLE_MS,
+            maxGeneric: MAX_GENERIC_DISMISSALS
+        });
+        if (dismissed.length > 0) {
+            console.log(`[Consent] Dismissed ${dismissed.map(entry => `${entry.platform || entry.kind} (${entry.action})`).join(', ')}`);
+        }
+        return dismissed;
+    } catch (error) {
+        // Some banners reload the page once consent is rejected
+        if (/context was destroyed|navigation/i.test(error.message)) {
+            await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }).catch(() => {});
+        }
+        console.warn('[Consent] Could not dismiss overlays:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Runs inside the page (see dismissOverlays); must not reference anything outside itself.
+ * @private
+ */
+async function runDismissal({ platforms, genericSelector, rejectText, closeText, consentText, settleMs, maxGeneric }) {
+    const rejectPattern = new RegExp(rejectText, 'i');
+    const closePattern = new RegExp(closeText, 'i');
+    const consentPattern = new RegExp(consentText, 'i');
+    const viewportArea = window.innerWidth * window.innerHeight;
+
+    const isVisible = (el) => {
+        if (!el || !el.isConnected) return false;
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0 && rect.width > 0 && rect.height > 0;
+    };
+    const hide = (el) => el.style.setProperty('display', 'none', 'important');
+    const describe = (el) => `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${!el.id && el.classList[0] ? `.${el.classList[0]}` : ''}`;
+    const settle = () => new Promise(resolve => setTimeout(resolve, settleMs));
+
+    // Looks in the document and in the shadow roots of the given hosts
+    const findVisible = (selectors, shadowHosts = []) => {
+        const roots = [document, ...shadowHosts.map(host => document.querySelector(host)?.shadowRoot).filter(Boolean)];
+        for (const root of roots) {
+            for (const selector of selectors) {
+                const match = Array.from(root.querySelectorAll(selector)).find(isVisible);
+                if (match) return { el: match, selector };
+            }
+        }
+        return null;
+    };
+    const callApi = (path) => {
+        const fn = path.split('.').reduce((node, key) => (node ? node[key] : undefined), window);
+        if (typeof fn !== 'function') return false;
+        try {
+            fn.call(path.includes('.') ? path.split('.').slice(0, -1).reduce((node, key) => node[key], window) : window);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+    // Clicking must not leave the page: no real links, no buttons submitting a form somewhere
+    const staysOnPage = (el) => {
+        if (el.tagName === 'A') return /^(#|javascript:|$)/i.test((el.getAttribute('href') || '').trim());
+        return !(el.type === 'submit' && el.form && el.form.getAttribute('action'));
+    };
+    const buttonIn = (container, pattern) => Array.from(container.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], a'))
+        .filter(button => isVisible(button) && staysOnPage(button))
+        .find(button => [button.innerText, button.value, button.getAttribute('aria-label'), button.getAttribute('title')]
+            .some(text => text && pattern.test(text.trim().replace(/\s+/g, ' '))));
+
+    const dismissed = [];
+    const pending = []; // { entry, container, isShown, extras }
+
+    for (const platform of platforms) {
+        const shadowHosts = platform.shadowHost || [];
+        const buttons = () => findVisible(platform.reject, shadowHosts) || findVisible(platform.close, shadowHosts);
+        // A shadow host has no box of its own; its banner shows through its buttons
+        const found = shadowHosts.length > 0
+            ? buttons() && shadowHosts.map(selector => ({ el: document.querySelector(selector), selector })).find(host => host.el)
+            : findVisible(platform.container);
+        if (!found) continue;
+
+        const entry = { platform: platform.name, kind: 'consent', action: 'hidden', selector: found.selector };
+        const button = buttons();
+        if (button) {
+            button.el.click();
+            entry.action = platform.reject.includes(button.selector) ? 'rejected' : 'closed';
+        } else if (platform.api && callApi(platform.api)) {
+            entry.action = 'rejected';
+        }
+        dismissed.push(entry);
+        pending.push({ entry, container: found.el, isShown: shadowHosts.length > 0 ? () => Boolean(buttons()) : () => isVisible(found.el), extras: platform.hide });
+    }
+
+    // Banners and modals nobody registered: fixed or sticky, and either about cookies or covering much of the screen
+    const classify = (el) => {
+        if (!isVisible(el) || el.matches('html, body, header, nav, main')) return null;
+        const style = window.getComputedStyle(el);
+        if (style.position !== 'fixed' && style.position !== 'sticky') return null;
+        const rect = el.getBoundingClientRect();
+        const area = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0)) *
+            Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+        if (consentPattern.test((el.innerText || '').slice(0, 2000)) && area >= viewportArea * 0.05) return 'consent';
+        const looksModal = el.matches('[role="dialog"], [aria-modal="true"], [role="alertdialog"]') || /modal|popup|overlay|newsletter|lightbox/i.test(String(el.className));
+        return looksModal && area >= viewportArea * 0.3 ? 'overlay' : null;
+    };
+    let genericCount = 0;
+    for (const el of Array.from(document.querySelectorAll(genericSelector)).slice(0, 300)) {
+        if (genericCount >= maxGeneric) break;
+        // Document order puts containers first; skip what sits inside (or around) a handled one
+        if (pending.some(item => item.container.contains(el) || el.contains(item.container))) continue;
+        const kind = classify(el);
+        if (!kind) continue;
+
+        const entry = { platform: null, kind, action: 'hidden', selector: describe(el) };
+        const button = (kind === 'consent' && buttonIn(el, rejectPattern)) || buttonIn(el, closePattern);
+        if (button) {
+            button.click();
+            entry.action = rejectPattern.test((button.innerText || button.value || '').trim()) ? 'rejected' : 'closed';
+        }
+        dismissed.push(entry);
+        pending.push({ entry, container: el, isShown: () => isVisible(el), extras: [] });
+        genericCount++;
+    }
+
+    // Whatever a click didn't remove goes away by force, with its backdrop
+    if (pending.length > 0) await settle();
+    for (const { entry, container, isShown, extras } of pending) {
+        if (isShown()) {
+            hide(container);
+            entry.action = 'hidden';
+        }
+        extras.forEach(selector => document.querySelectorAll(selector).forEach(hide));
+    }
+
+    // Modals lock scrolling while open; screenshots and lazy images need it back
+    if (dismissed.length > 0) {
+        [document.documentElement, document.body].forEach(el => {
+            if (el && window.getComputedStyle(el).overflow === 'hidden') el.style.setProperty('overflow', 'auto', 'important');
+        });
+    }
+    return dismissed;
+}
+
+module.exports = { CONSENT_PLATFORMS, dismissOverlays };
@@ -0,0 +1,372 @@
+/**
+ * Normalization and classification of contact details found on a page.
+ *
+ * The page-side collector gathers raw candidates (mailto/tel links, text matches, address
+ * blocks, schema.org PostalAddress objects) together with the text around them. This module
+ * turns those into clean values: de-obfuscated emails, E.164 phone numbers, and a `type`
+ * such as sales, support or press wherever the surrounding text makes the purpose clear.
+ */
+
+// Country calling codes, and the national trunk prefix dropped when converting to E.164
+// (US/CA dial a leading 1 nationally; most others a leading 0; some keep every digit).
+const COUNTRY_CALLING_CODES = {
+    US: { code: '1', trunk: '1' },
+    CA: { code: '1', trunk: '1' },
+    GB: { code: '44', trunk: '0' },
+    IE: { code: '353', trunk: '0' },
+    DE: { code: '49', trunk: '0' },
+    AT: { code: '43', trunk: '0' },
+    CH: { code: '41', trunk: '0' },
+    FR: { code: '33', trunk: '0' },
+    BE: { code: '32', trunk: '0' },
+    NL: { code: '31', trunk: '0' },
+    LU: { code: '352', trunk: '' },
+    ES: { code: '34', trunk: '' },
+    PT: { code: '351', trunk: '' },
+    IT: { code: '39', trunk: '' },
+    DK: { code: '45', trunk: '' },
+    NO: { code: '47', trunk: '' },
+    SE: { code: '46', trunk: '0' },
+    FI: { code: '358', trunk: '0' },
+    PL: { code: '48', trunk: '' },
+    CZ: { code: '420', trunk: '' },
+    IL: { code: '972', trunk: '0' },
+    AE: { code: '971', trunk: '0' },
+    IN: { code: '91', trunk: '0' },
+    SG: { code: '65', trunk: '' },
+    HK: { code: '852', trunk: '' },
+    JP: { code: '81', trunk: '0' },
+    KR: { code: '82', trunk: '0' },
+    CN: { code: '86', trunk: '0' },
+    AU: { code: '61', trunk: '0' },
+    NZ: { code: '64', trunk: '0' },
+    ZA: { code: '27', trunk: '0' },
+    BR: { code: '55', trunk: '0' },
+    MX: { code: '52', trunk: '' }
+};
+
+// Country-code TLDs that don't match the ISO country code
+const TLD_COUNTRIES = { uk: 'GB' };
+
+// Purpose of a contact, first match wins. Tested against the email's local part first, then the surrounding text.
+const CONTACT_TYPES = [
+    ['press', /\b(press|media|presse|prensa|stampa|newsroom|journalists?|pr)\b/i],
+    ['sales', /\b(sales|vertrieb|ventes?|ventas|vendite|buy|pricing|quotes?|demo|partnerships?|business|enterprise)\b/i],
+    ['support', /\b(support|help|hilfe|helpdesk|service|customer|kundenservice|kundendienst|technical|tech|assistance|soporte|care)\b/i],
+    ['billing', /\b(billing|invoices?|accounts|accounting|rechnungs?|finance|payments?)\b/i],
+    ['careers', /\b(careers?|jobs|hr|recruiting|recruitment|talent|karriere|bewerbung)\b/i],
+    ['privacy', /\b(privacy|datenschutz|gdpr|dpo|legal)\b/i],
+    ['headquarters', /\b(headquarters|hq|head office|hauptsitz|siège|sede)\b/i],
+    ['general', /\b(info|hello|hi|contact|kontakt|office|general|enquiries|inquiries|mail)\b/i]
+];
+
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}$/i;
+// File names like logo@2x.png look like emails
+const NOT_EMAIL_TLDS = new Set(['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'css', 'js']);
+const PLACEHOLDER_EMAIL_DOMAINS = new Set(['example.com', 'example.org', 'domain.com', 'email.com', 'yourdomain.com', 'sentry.io']);
+
+/**
+ * Classifies a contact by the first text that makes its purpose clear.
+ * @param {...string} texts - Most specific first, e.g. the email's local part, the link text, the parent's text.
+ * @returns {string|null} `sales`, `support`, `press`, `billing`, `careers`, `privacy`, `headquarters`, `general`, or null.
+ */
+function classifyContact(...texts) {
+    for (const text of texts) {
+        if (!text) continue;
+        // Treat separators in local parts (press.office, customer_care) as word boundaries
+        const words = String(text).replace(/[._-]+/g, ' ');
+        const match = CONTACT_TYPES.find(([, pattern]) => pattern.test(words));
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Cleans up an email address, rejecting file names and placeholders.
+ * @param {string} raw - Address from a mailto: link or text.
+ * @returns {string|null} The lower-cased address, or null if it isn't a usable email.
+ */
+function normalizeEmail(raw) {
+    if (!raw) return null;
+    let email = String(raw).trim().replace(/^mailto:/i, '').split('?')[0];
+    try {
+        email = decodeURIComponent(email);
+    } catch (e) { /* Keep it as written */ }
+    email = email.trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) return null;
+    const domain = email.split('@')[1];
+    if (NOT_EMAIL_TLDS.has(domain.split('.').pop()) || PLACEHOLDER_EMAIL_DOMAINS.has(domain)) return null;
+    return email;
+}
+
+/**
+ * Decodes an address hidden by Cloudflare's email protection (`data-cfemail`).
+ * @param {string} hex - The hex payload; the first byte is the XOR key.
+ * @returns {string|null}
+ */
+function decodeCloudflareEmail(hex) {
+    if (!hex || !/^([0-9a-f]{2})+$/i.test(hex)) return null;
+    const key = parseInt(hex.slice(0, 2), 16);
+    let decoded = '';
+    for (let i = 2; i < hex.length; i += 2) {
+        decoded += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+    }
+    return decoded;
+}
+
+/**
+ * Up to 40 characters of text before a match, stopping at the previous line break so a
+ * label on an earlier line ("Press: ...") isn't mistaken for this match's label.
+ * @param {string} text
+ * @param {number} index - Start of the match.
+ * @returns {string}
+ */
+function textBefore(text, index) {
+    return text.slice(Math.max(0, index - 40), index).split('\n').pop();
+}
+
+/**
+ * Finds email addresses in text, including common obfuscations such as
+ * `name [at] example [dot] com`, `name(at)example.com` or `name AT example DOT com`.
+ * @param {string} text
+ * @returns {Array<{email: string, obfuscated: boolean, context: string}>} `context` is the text just before the match.
+ */
+function findEmailsInText(text) {
+    if (!text) return [];
+    const found = [];
+    const collect = (pattern, toEmail, obfuscated) => {
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            found.push({ email: toEmail(match), obfuscated, context: textBefore(text, match.index) });
+        }
+    };
+
+    collect(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}\b/gi, match => match[0], false);
+
+    // Bracketed forms are unambiguous in any case: name [at] example [dot] com, name(at)example.com
+    const bracketDot = String.raw`\s*[\[({]\s*(?:dot|\.)\s*[\])}]\s*|\.`;
+    const bracketed = new RegExp(String.raw`([a-z0-9._%+-]+)\s*[\[({]\s*(?:at|@)\s*[\])}]\s*([a-z0-9-]+(?:(?:${bracketDot})[a-z0-9-]+)*(?:${bracketDot})[a-z]{2,24})\b`, 'gi');
+    collect(bracketed, match => `${match[1]}@${match[2].replace(new RegExp(bracketDot, 'gi'), '.')}`, true);
+
+    // Bare AT / DOT only count in upper case, so "meet us at example.com" isn't an address
+    const bare = /([A-Za-z0-9._%+-]+)\s+AT\s+([A-Za-z0-9-]+(?:(?:\s+DOT\s+|\.)[A-Za-z0-9-]+)*(?:\s+DOT\s+|\.)[A-Za-z]{2,24})\b/g;
+    collect(bare, match => `${match[1]}@${match[2].replace(/\s+DOT\s+/g, '.')}`, true);
+    return found;
+}
+
+/**
+ * Finds phone numbers in text. Numbers with an international prefix count anywhere; national
+ * numbers only right after a label such as "Tel" or "Phone", to keep dates and IDs out. Fax numbers are skipped.
+ * @param {string} text
+ * @returns {Array<{raw: string, context: string}>} `context` is the text just before the number.
+ */
+function findPhonesInText(text) {
+    if (!text) return [];
+    const found = [];
+    const patterns = [
+        /(?:\+|\b00)\d{1,3}[\d\s().\/-]{6,20}\d/g,
+        /(?:tel(?:efon|ephone)?|phone|fon|call|t[ée]l[ée]phone|t[ée]l)\.?\s*:?\s*(\(?\d[\d\s().\/-]{5,20}\d)/gi
+    ];
+    for (const pattern of patterns) {
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const raw = (match[1] || match[0]).trim();
+            const index = match.index + match[0].lastIndexOf(raw);
+            const context = textBefore(text, index);
+            if (/fax\W*$/i.test(context)) continue;
+            found.push({ raw, context });
+        }
+    }
+    return found;
+}
+
+/**
+ * Best guess at the country a site's phone numbers are local to.
+ * @param {object} hints
+ * @param {string[]} [hints.addressCountries] - Countries of addresses on the page (ISO codes or names).
+ * @param {string} [hints.lang] - The page's `<html lang>`, e.g. `en-GB`.
+ * @param {string} [hints.url] - The page URL; its country-code TLD is the last resort.
+ * @returns {string|null} ISO 3166-1 alpha-2 code with a known calling code, or null.
+ */
+function inferCountry({ addressCountries = [], lang, url } = {}) {
+    const known = (code) => (code && COUNTRY_CALLING_CODES[code.toUpperCase()] ? code.toUpperCase() : null);
+
+    for (const country of addressCountries) {
+        const code = known(String(country).trim().length === 2 ? String(country).trim() : null);
+        if (code) return code;
+    }
+
+    const region = lang && lang.split(/[-_]/)[1];
+    if (known(region)) return known(region);
+
+    try {
+        const tld = new URL(url).hostname.split('.').pop().toLowerCase();
+        return known(TLD_COUNTRIES[tld] || tld);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalizes a phone number to E.164 (`+4930123456`).
+ * @param {string} raw - Number from a tel: link or text, e.g. `+49 (0)30 123 456` or `030 123456`.
+ * @param {string|null} country - ISO code used to interpret national numbers (see inferCountry).
+ * @returns {string|null} The E.164 number, or null if it can't be normalized confidently.
+ */
+function normalizePhoneNumber(raw, country) {
+    if (!raw) return null;
+    let number = String(raw).trim().replace(/^tel:/i, '');
+    try {
+        number = decodeURIComponent(number);
+    } catch (e) { /* Keep it as written */ }
+    number = number
+        .split(/[;,]|\s*(?:ext|x|extension|durchwahl)\.?\s*\d+$/i)[0] // Drop extensions and tel: parameters
+        .replace(/\(0\)/g, ''); // "+49 (0)30" - the trunk 0 isn't dialled internationally
+
+    const international = /^\s*(\+|00)/.test(number);
+    let digits = number.replace(/\D/g, '');
+
+    if (international) {
+        if (number.trim().startsWith('00')) digits = digits.slice(2);
+    } else {
+        const dialing = country && COUNTRY_CALLING_CODES[country];
+        if (!dialing) return null; // A national number means nothing without its country
+        if (dialing.trunk && digits.startsWith(dialing.trunk) && digits.length > 7) {
+            digits = digits.slice(dialing.trunk.length);
+        }
+        digits = dialing.code + digits;
+    }
+
+    // E.164 numbers have at most 15 digits; anything under 8 is a short code or a fragment
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) return null;
+    return `+${digits}`;
+}
+
+/**
+ * Formats a schema.org PostalAddress (JSON-LD object or microdata fields) as one line.
+ * @param {object} address
+ * @returns {{value: string, streetAddress?: string, postalCode?: string, locality?: string, region?: string, country?: string}|null}
+ */
+function normalizePostalAddress(address) {
+    if (!address) return null;
+    if (typeof address === 'string') {
+        // <address> blocks often list the email and phone too; keep only the postal lines
+        const value = address.split('\n')
+            .map(line => line.replace(/\s{2,}/g, ' ').trim())
+            .filter(line => line && !/@|https?:\/\/|^(e-?mail|tel|phone|fon|fax|mobile|web)\b/i.test(line))
+            .join(', ');
+        return value ? { value } : null;
+    }
+    const country = address.addressCountry && typeof address.addressCountry === 'object'
+        ? address.addressCountry.name || address.addressCountry.identifier
+        : address.addressCountry;
+    const fields = {
+        streetAddress: address.streetAddress,
+        postalCode: address.postalCode,
+        locality: address.addressLocality,
+        region: address.addressRegion,
+        country
+    };
+    for (const key of Object.keys(fields)) {
+        if (!fields[key]) delete fields[key];
+        else fields[key] = String(fields[key]).replace(/\s+/g, ' ').trim();
+    }
+    const cityLine = [fields.postalCode, fields.locality].filter(Boolean).join(' ');
+    const value = [fields.streetAddress, cityLine, fields.region, fields.country].filter(Boolean).join(', ');
+    return value ? { value, ...fields } : null;
+}
+
+/**
+ * Turns raw candidates collected from a page into deduplicated, classified contact details.
+ * Each item keeps an internal `source` the caller records as provenance.
+ * @param {object} raw - What the page-side collector found.
+ * @param {Array<{href?: string, text?: string, cfEmail?: string, label?: string, context?: string, source: string}>} raw.emails
+ * @param {Array<{raw: string, label?: string, context?: string, source: string}>} raw.phones
+ * @param {Array<{address: string|object, label?: string, source: string}>} raw.addresses
+ * @param {{lang?: string, url: string}} page - Page language and URL, used to infer the phone country.
+ * @returns {{Emails: object[], Phones: object[], Addresses: object[]}}
+ */
+function buildContactDetails(raw, { lang, url }) {
+    const emails = new Map();
+    for (const candidate of raw.emails || []) {
+        const email = normalizeEmail(candidate.cfEmail ? decodeCloudflareEmail(candidate.cfEmail) : (candidate.href || candidate.text));
+        if (!email || emails.has(email)) continue;
+        emails.set(email, {
+            value: email,
+            type: classifyContact(email.split('@')[0], candidate.label, candidate.context),
+            source: candidate.source
+        });
+    }
+
+    const addresses = new Map();
+    for (const candidate of raw.addresses || []) {
+        const address = normalizePostalAddress(candidate.address);
+        const key = address && address.value.toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (!address || addresses.has(key)) continue;
+        addresses.set(key, { ...address, type: classifyContact(candidate.label), source: candidate.source });
+    }
+
+    const country = inferCountry({
+        addressCountries: [...addresses.values()].map(address => address.country).filter(Boolean),
+        lang,
+        url
+    });
+    const phones = new Map();
+    for (const candidate of raw.phones || []) {
+        const e164 = normalizePhoneNumber(candidate.raw, country);
+        if (!e164 || phones.has(e164)) continue;
+        phones.set(e164, {
+            value: e164,
+            raw: candidate.raw.replace(/^tel:/i, '').trim(),
+            type: classifyContact(candidate.label, candidate.context),
+            source: candidate.source
+        });
+    }
+
+    return {
+        Emails: [...emails.values()],
+        Phones: [...phones.values()],
+        Addresses: [...addresses.values()]
+    };
+}
+
+/**
+ * Identity of a contact item for de-duplication, ignoring case, spacing and punctuation.
+ * @param {{value: string}} item
+ * @returns {string}
+ */
+function contactKey(item) {
+    return String(item.value).toLowerCase().replace(/[^a-z0-9+@]/g, '');
+}
+
+/**
+ * Adds the items of `addition` that `target` doesn't have yet, e.g. details from a contact page.
+ * @param {{Emails: object[], Phones: object[], Addresses: object[]}} target - Modified in place.
+ * @param {{Emails: object[], Phones: object[], Addresses: object[]}} addition
+ * @param {function(string, number, object): void} [onAdded] - Called with the list name, new index and item.
+ */
+function mergeContactDetails(target, addition, onAdded = () => {}) {
+    for (const list of ['Emails', 'Phones', 'Addresses']) {
+        const known = new Set(target[list].map(contactKey));
+        for (const item of addition[list] || []) {
+            if (known.has(contactKey(item))) continue;
+            known.add(contactKey(item));
+            target[list].push(item);
+            onAdded(list, target[list].length - 1, item);
+        }
+    }
+    return target;
+}
+
+module.exports = {
+    classifyContact,
+    normalizeEmail,
+    decodeCloudflareEmail,
+    findEmailsInText,
+    findPhonesInText,
+    inferCountry,
+    normalizePhoneNumber,
+    normalizePostalAddress,
+    buildContactDetails,
+    mergeContactDetails
+};
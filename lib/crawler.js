@@ -0,0 +1,158 @@
+const { guardPage } = require('./network-safety');
+
+/**
+ * Bounded same-domain crawler for the pages where companies describe themselves.
+ *
+ * Homepages rarely state where a company is based, when it was founded or how big it is;
+ * that lives on about, company, contact and imprint pages. Those pages are discovered from
+ * the homepage's nav and footer links, then visited one at a time in the extraction's own
+ * browser context until the page limit or the time budget runs out.
+ */
+
+// Kinds of pages worth visiting, in the order they are preferred. Patterns match the URL path or the link text.
+const COMPANY_PAGE_KINDS = [
+    { kind: 'about', pattern: /about|who-we-are|our-story|ueber-uns|uber-uns|über uns|a-propos|à propos|quienes-somos|chi-siamo|over-ons/i },
+    { kind: 'company', pattern: /company|unternehmen|corporate|entreprise|empresa|azienda/i },
+    { kind: 'contact', pattern: /contact|kontakt|contacto|contatti/i },
+    { kind: 'imprint', pattern: /imprint|impressum|legal-notice|mentions-legales|aviso-legal/i }
+];
+
+// Don't start another page with less time than this left in the budget
+const MIN_PAGE_TIME_MS = 3000;
+
+/**
+ * Host without a leading `www.`, so example.com and www.example.com count as the same site.
+ * @param {string} urlString
+ * @returns {string|null}
+ */
+function siteHost(urlString) {
+    try {
+        return new URL(urlString).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Finds same-domain about/company/contact/imprint pages linked from a loaded page.
+ * Links in nav, header and footer areas rank above links in the body.
+ * @param {import('puppeteer').Page} page - The loaded homepage.
+ * @param {string} baseUrl - URL of that page.
+ * @param {object} [options]
+ * @param {number} [options.maxPages=4] - How many pages to return at most.
+ * @returns {Promise<Array<{url: string, kind: string, text: string}>>} Best candidates first, one per kind before repeats.
+ */
+async function discoverCompanyPages(page, baseUrl, { maxPages = 4 } = {}) {
+    const links = await page.evaluate(() => {
+        const navAreas = 'nav, header, footer, [role="navigation"], [role="contentinfo"], [class*="footer"], [class*="nav"]';
+        return Array.from(document.querySelectorAll('a[href]')).map(a => ({
+            href: a.href,
+            text: (a.textContent || '').trim().slice(0, 100),
+            inNav: Boolean(a.closest(navAreas))
+        }));
+    });
+
+    const baseHost = siteHost(baseUrl);
+    const basePath = new URL(baseUrl).pathname.replace(/\/$/, '');
+    const candidates = new Map(); // url without hash -> candidate
+
+    for (const link of links) {
+        let parsed;
+        try {
+            parsed = new URL(link.href, baseUrl);
+        } catch (e) {
+            continue;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol) || siteHost(parsed.href) !== baseHost) continue;
+        parsed.hash = '';
+        if (parsed.pathname.replace(/\/$/, '') === basePath) continue; // The page we are already on
+
+        const path = decodeURIComponent(parsed.pathname);
+        const kindIndex = COMPANY_PAGE_KINDS.findIndex(({ pattern }) => pattern.test(path) || pattern.test(link.text));
+        if (kindIndex === -1) continue;
+
+        // Prefer nav/footer links, earlier kinds and shallow paths (/about over /blog/2019/about-our-new-office)
+        const depth = path.split('/').filter(Boolean).length;
+        const score = (link.inNav ? 10 : 0) + (COMPANY_PAGE_KINDS.length - kindIndex) - depth;
+        const existing = candidates.get(parsed.href);
+        if (!existing || existing.score < score) {
+            candidates.set(parsed.href, { url: parsed.href, kind: COMPANY_PAGE_KINDS[kindIndex].kind, text: link.text, score });
+        }
+    }
+
+    const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+    // Take the best page of each kind first, then fill up with the runners-up
+    const firstOfKind = ranked.filter((candidate, index) => ranked.findIndex(other => other.kind === candidate.kind) === index);
+    const rest = ranked.filter(candidate => !firstOfKind.includes(candidate));
+    return [...firstOfKind, ...rest]
+        .slice(0, Math.max(0, maxPages))
+        .map(({ url, kind, text }) => ({ url, kind, text }));
+}
+
+/**
+ * Visits pages one after another in a leased browser context and runs an extractor on each.
+ * Every page gets the same network-safety guard as the main page; a page that redirects to
+ * another site is skipped. Never throws for a single page: failures are reported per page.
+ * @param {{newPage: function(): Promise<import('puppeteer').Page>}} lease - Browser context lease (see BrowserPool).
+ * @param {Array<{url: string, kind: string}>} pages - Pages to visit, from discoverCompanyPages.
+ * @param {object} options
+ * @param {function(import('puppeteer').Page, string): Promise<object>} options.extract - Runs on each loaded page with its final URL.
+ * @param {number} options.budgetMs - Total time the crawl may take.
+ * @param {function(import('puppeteer').HTTPRequest): boolean} [options.shouldAbort] - Requests to drop, e.g. heavy media.
+ * @param {AbortSignal} [options.signal] - Stops the crawl before the next page.
+ * @param {object} [options.headers] - Extra request headers for every page, e.g. Accept-Language.
+ * @returns {Promise<Array<{url: string, kind: string, finalUrl?: string, httpStatus?: number, data?: object, error?: string, durationMs: number}>>}
+ */
+async function crawlPages(lease, pages, { extract, budgetMs, shouldAbort, signal, headers }) {
+    const deadline = Date.now() + budgetMs;
+    const results = [];
+
+    for (const { url, kind } of pages) {
+        const remaining = deadline - Date.now();
+        if (remaining < MIN_PAGE_TIME_MS || (signal && signal.aborted)) {
+            console.log(`[Crawler] Budget exhausted, skipping ${pages.length - results.length} page(s)`);
+            break;
+        }
+
+        const startedAt = Date.now();
+        const result = { url, kind };
+        let page;
+        let timer;
+        try {
+            page = await lease.newPage();
+            const guard = await guardPage(page, { shouldAbort });
+            if (headers) await page.setExtraHTTPHeaders(headers);
+            const visit = async () => {
+                const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: remaining });
+                if (guard.blockedNavigation) throw new Error(`Blocked: ${guard.blockedNavigation.reason}`);
+                result.finalUrl = page.url();
+                result.httpStatus = response ? response.status() : null;
+                if (siteHost(result.finalUrl) !== siteHost(url)) {
+                    throw new Error(`Redirected off-site to ${result.finalUrl}`);
+                }
+                if (response && !response.ok()) {
+                    throw new Error(`HTTP ${response.status()}`);
+                }
+                result.data = await extract(page, result.finalUrl);
+            };
+            await Promise.race([
+                visit(),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Crawl budget exhausted')), remaining);
+                })
+            ]);
+            console.log(`[Crawler] Extracted ${url}`);
+        } catch (error) {
+            result.error = error.message;
+            console.warn(`[Crawler] Failed to extract ${url}:`, error.message);
+        } finally {
+            clearTimeout(timer);
+            if (page) await page.close().catch(() => {}); // The context may already be gone
+            result.durationMs = Date.now() - startedAt;
+            results.push(result);
+        }
+    }
+    return results;
+}
+
+module.exports = { discoverCompanyPages, crawlPages, COMPANY_PAGE_KINDS };
@@ -0,0 +1,211 @@
+/**
+ * Design-token export of an extraction result.
+ *
+ * The palette, fonts, type scale and logos of a result are turned into one flat list of tokens,
+ * named after the roles the result already assigns (`color.primary`, `font.family.heading`,
+ * `font.size.h1`, `logo.icon`...), and that list is rendered in the requested format.
+ */
+
+const TOKEN_FORMATS = {
+    w3c: { contentType: 'application/json', extension: 'tokens.json' },
+    'style-dictionary': { contentType: 'application/json', extension: 'json' },
+    css: { contentType: 'text/css', extension: 'css' },
+    scss: { contentType: 'text/x-scss', extension: 'scss' },
+    tailwind: { contentType: 'application/javascript', extension: 'js' }
+};
+
+// Tints and shades of a brand color map onto a 100-900 scale around the color itself (500)
+const TINT_STEPS = [400, 300, 200, 100]; // 20%, 40%, 60% and 80% white
+const SHADE_STEPS = [600, 700, 800, 900]; // 20%, 40%, 60% and 80% black
+const SCALED_ROLES = ['primary', 'secondary', 'accent'];
+
+const LOGO_TOKENS = [['Logo', 'primary'], ['Symbol', 'symbol'], ['Icon', 'icon'], ['Banner', 'banner']];
+
+/**
+ * Lowercase, dash-separated token name segment.
+ * @param {string} value
+ * @returns {string}
+ */
+function slug(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Splits a CSS font-family stack into family names.
+ * @param {string} stack - e.g. `"Inter", Helvetica, sans-serif`.
+ * @returns {string[]}
+ */
+function parseFontStack(stack) {
+    return String(stack || '').split(',').map(family => family.trim().replace(/^(['"])(.*)\1$/, '$2')).filter(Boolean);
+}
+
+/**
+ * Collects the tokens of an extraction result.
+ * @param {object} result - Extraction result in the compact shape (Colors, Fonts, Typography, Logo).
+ * @returns {Array<{path: string[], type: string, value: *, description?: string}>}
+ */
+function collectTokens(result) {
+    const tokens = [];
+    const usedColorNames = new Set();
+
+    // Colors: one token per palette color, named by its role; brand roles get a 100-900 scale
+    const neutrals = [];
+    for (const color of result.Colors || []) {
+        const hex = color.hex;
+        if (!hex) continue;
+        let name = color.role || slug(color.name || hex.replace('#', ''));
+        if (color.role === 'neutral') {
+            neutrals.push(color);
+            name = neutrals.length === 1 ? 'neutral' : `neutral-${neutrals.length}`;
+        }
+        if (usedColorNames.has(name)) continue;
+        usedColorNames.add(name);
+        tokens.push({ path: ['color', name], type: 'color', value: hex, description: color.name ? `${color.name}${color.role ? ` (${color.role})` : ''}` : undefined });
+
+        if (SCALED_ROLES.includes(color.role)) {
+            (color.tints || []).forEach((tint, index) => {
+                if (TINT_STEPS[index]) tokens.push({ path: ['color', `${name}-${TINT_STEPS[index]}`], type: 'color', value: tint });
+            });
+            (color.shades || []).forEach((shade, index) => {
+                if (SHADE_STEPS[index]) tokens.push({ path: ['color', `${name}-${SHADE_STEPS[index]}`], type: 'color', value: shade });
+            });
+        }
+    }
+
+    // Font families, named by their type (heading, body)
+    for (const font of result.Fonts || []) {
+        const stack = parseFontStack(font.stack || font.name);
+        if (!font.type || stack.length === 0) continue;
+        if (tokens.some(token => token.path.join('.') === `font.family.${font.type}`)) continue;
+        tokens.push({ path: ['font', 'family', font.type], type: 'fontFamily', value: stack });
+    }
+
+    // Type scale, named by text role (h1-h6, body, button, nav, small)
+    const scaleRoles = (result.Typography && result.Typography.scale && result.Typography.scale.roles) || {};
+    for (const [role, style] of Object.entries(scaleRoles)) {
+        if (style.fontSize) tokens.push({ path: ['font', 'size', role], type: 'dimension', value: `${style.fontSize}px` });
+        if (style.fontWeight) tokens.push({ path: ['font', 'weight', role], type: 'fontWeight', value: style.fontWeight });
+        if (style.lineHeight) tokens.push({ path: ['font', 'line-height', role], type: 'number', value: style.lineHeight });
+    }
+
+    // Logos, as URLs (inline SVG logos as data URIs)
+    const logo = result.Logo || {};
+    for (const [field, name] of LOGO_TOKENS) {
+        const url = logo[field];
+        if (url) tokens.push({ path: ['logo', name], type: 'asset', value: url });
+    }
+    return tokens;
+}
+
+/**
+ * A token's value as CSS.
+ * @param {{type: string, value: *}} token
+ * @returns {string}
+ */
+function cssValue(token) {
+    switch (token.type) {
+    case 'fontFamily':
+        return token.value.map(family => (/^[a-z-]+$/i.test(family) ? family : `"${family.replace(/"/g, '\\"')}"`)).join(', ');
+    case 'asset':
+        return `url("${token.value.replace(/"/g, '%22')}")`;
+    default:
+        return String(token.value);
+    }
+}
+
+/**
+ * Sets a value at a path in a nested object.
+ * @param {object} target
+ * @param {string[]} path
+ * @param {*} value
+ */
+function setPath(target, path, value) {
+    let node = target;
+    path.slice(0, -1).forEach(segment => { node = node[segment] = node[segment] || {}; });
+    node[path[path.length - 1]] = value;
+}
+
+const renderers = {
+    // W3C Design Tokens Community Group format; asset tokens have no standard type, so they carry none
+    w3c(tokens) {
+        const tree = {};
+        for (const token of tokens) {
+            setPath(tree, token.path, {
+                ...(token.type !== 'asset' ? { $type: token.type } : {}),
+                $value: token.value,
+                ...(token.description ? { $description: token.description } : {})
+            });
+        }
+        return JSON.stringify(tree, null, 2);
+    },
+
+    'style-dictionary'(tokens) {
+        const tree = {};
+        for (const token of tokens) {
+            setPath(tree, token.path, {
+                value: token.type === 'fontFamily' ? cssValue(token) : token.value,
+                type: token.type,
+                ...(token.description ? { comment: token.description } : {})
+            });
+        }
+        return JSON.stringify(tree, null, 2);
+    },
+
+    css(tokens) {
+        const lines = tokens.map(token => `  --${token.path.join('-')}: ${cssValue(token)};`);
+        return `:root {\n${lines.join('\n')}\n}\n`;
+    },
+
+    scss(tokens) {
+        return tokens.map(token => `$${token.path.join('-')}: ${cssValue(token)};`).join('\n') + '\n';
+    },
+
+    // A Tailwind config to merge into `theme.extend`; brand colors nest their scale under the role
+    tailwind(tokens) {
+        const extend = {};
+        const section = (name) => (extend[name] = extend[name] || {});
+        for (const token of tokens) {
+            const [group, kind, role] = token.path;
+            if (group === 'color') {
+                const scaleMatch = kind.match(/^(.*)-(\d00)$/);
+                if (scaleMatch && SCALED_ROLES.includes(scaleMatch[1])) {
+                    section('colors')[scaleMatch[1]] = { ...section('colors')[scaleMatch[1]], [scaleMatch[2]]: token.value };
+                } else if (SCALED_ROLES.includes(kind)) {
+                    section('colors')[kind] = { ...section('colors')[kind], DEFAULT: token.value };
+                } else {
+                    section('colors')[kind] = token.value;
+                }
+            } else if (group === 'font' && kind === 'family') {
+                section('fontFamily')[role] = token.value;
+            } else if (group === 'font' && kind === 'size') {
+                const lineHeight = tokens.find(other => other.path.join('.') === `font.line-height.${role}`);
+                const fontWeight = tokens.find(other => other.path.join('.') === `font.weight.${role}`);
+                const details = {
+                    ...(lineHeight ? { lineHeight: String(lineHeight.value) } : {}),
+                    ...(fontWeight ? { fontWeight: String(fontWeight.value) } : {})
+                };
+                section('fontSize')[role] = Object.keys(details).length ? [token.value, details] : token.value;
+            } else if (group === 'logo') {
+                section('backgroundImage')[`logo-${kind}`] = cssValue(token);
+            }
+        }
+        return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};\n`;
+    }
+};
+
+/**
+ * Renders the design tokens of an extraction result.
+ * @param {object} result - Extraction result in the compact shape.
+ * @param {string} format - One of the keys of TOKEN_FORMATS.
+ * @returns {{body: string, contentType: string, extension: string}}
+ * @throws {RangeError} For an unknown format.
+ */
+function renderDesignTokens(result, format) {
+    const key = String(format || '').toLowerCase();
+    if (!TOKEN_FORMATS[key]) {
+        throw new RangeError(`Unknown token format "${format}". Supported formats: ${Object.keys(TOKEN_FORMATS).join(', ')}`);
+    }
+    return { body: renderers[key](collectTokens(result)), ...TOKEN_FORMATS[key] };
+}
+
+module.exports = { TOKEN_FORMATS, collectTokens, renderDesignTokens };
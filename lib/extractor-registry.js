@@ -0,0 +1,183 @@
+/**
+ * Extractor registry: the data points an extraction can produce, and the order they run in.
+ *
+ * Each extractor declares its name, the extractors it depends on, a default timeout and the key
+ * of the result its output is stored under. A request can then ask for a subset of the fields;
+ * only the selected extractors and their dependencies run. Independent extractors run in
+ * parallel, each one starting as soon as its dependencies have finished.
+ */
+
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = new Map(); // name -> spec, in registration order
+    }
+
+    /**
+     * Registers an extractor.
+     * @param {object} spec
+     * @param {string} spec.name - Field name callers select it by, and the progress stage it reports as.
+     * @param {string} spec.outputKey - Dotted path of the result the output is stored under, e.g. `Company.Contact`.
+     * @param {string[]} [spec.dependsOn=[]] - Extractors whose output it needs; it starts once they have finished.
+     * @param {string[]} [spec.uses=[]] - Extractors it reads while running, through `context.resultOf`;
+     *   selected along with it, but not waited for before it starts.
+     * @param {string[]} [spec.augments=[]] - Extractors whose output it completes (e.g. with what it finds on
+     *   further pages); it is selected whenever one of them is.
+     * @param {number|null} [spec.timeoutMs=null] - Default timeout; null for extractors that keep their own budget.
+     * @param {function(Error): *} spec.fallback - Output used when the extractor fails or times out.
+     * @param {function(object, object, object): Promise<*>} spec.run - `(context, inputs, sources)`: `inputs` holds
+     *   the output of each dependency by name, `sources` is filled with the provenance of the output.
+     * @param {function(object, *, object): void} [spec.record] - `(context, output, sources)`: records provenance;
+     *   only called for output that made it into the result, i.e. not for a fallback.
+     * @param {function(object, *, object): void} [spec.apply] - `(result, output, context)`: merges the output into
+     *   the assembled result instead of storing it under `outputKey`.
+     * @param {string[]} [spec.additionalOutputKeys=[]] - Other result paths `apply` writes to: top-level keys,
+     *   or dotted paths for values it adds to another extractor's output (e.g. `Logo.LinkedInLogo`).
+     * @returns {ExtractorRegistry} This registry, for chaining.
+     */
+    register(spec) {
+        if (this.extractors.has(spec.name)) throw new Error(`Extractor "${spec.name}" is already registered`);
+        for (const dependency of [...(spec.dependsOn || []), ...(spec.uses || []), ...(spec.augments || [])]) {
+            if (!this.extractors.has(dependency)) {
+                throw new Error(`Extractor "${spec.name}" depends on "${dependency}", which must be registered first`);
+            }
+        }
+        this.extractors.set(spec.name, { dependsOn: [], uses: [], augments: [], timeoutMs: null, additionalOutputKeys: [], ...spec });
+        return this;
+    }
+
+    /**
+     * @returns {string[]} The registered extractor names, in registration order.
+     */
+    names() {
+        return [...this.extractors.keys()];
+    }
+
+    /**
+     * Resolves requested fields to the extractors that have to run.
+     * @param {string[]} [fields] - Extractor names; all extractors when missing or empty. Case-insensitive.
+     * @returns {string[]} The selected extractors, everything they depend on and the extractors augmenting
+     *   them, in registration order.
+     * @throws {RangeError} For an unknown field.
+     */
+    resolve(fields) {
+        if (!fields || fields.length === 0) return this.names();
+
+        const byLowerCase = new Map(this.names().map(name => [name.toLowerCase(), name]));
+        const selected = new Set();
+        const add = (name) => {
+            if (selected.has(name)) return;
+            selected.add(name);
+            const spec = this.extractors.get(name);
+            [...spec.dependsOn, ...spec.uses].forEach(add);
+        };
+        for (const field of fields) {
+            const name = byLowerCase.get(String(field).toLowerCase());
+            if (!name) throw new RangeError(`Unknown field "${field}". Supported fields: ${this.names().join(', ')}`);
+            add(name);
+        }
+        // Augmenting extractors bring their own dependencies, which may be augmented in turn
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const [name, spec] of this.extractors) {
+                if (!selected.has(name) && spec.augments.some(target => selected.has(target))) {
+                    add(name);
+                    grew = true;
+                }
+            }
+        }
+        return this.names().filter(name => selected.has(name));
+    }
+
+    /**
+     * The result paths the given extractors write to.
+     * @param {string[]} names - Resolved extractor names.
+     * @returns {string[]} For each extractor its `outputKey`, then its `additionalOutputKeys`.
+     */
+    outputPaths(names) {
+        return [...new Set(names.flatMap(name => {
+            const spec = this.extractors.get(name);
+            return [spec.outputKey, ...spec.additionalOutputKeys];
+        }))];
+    }
+
+    /**
+     * The top-level result keys the given extractors write to. A key they only add values to (a
+     * dotted `additionalOutputKeys` path) belongs to another extractor and isn't included.
+     * @param {string[]} names - Resolved extractor names.
+     * @returns {string[]}
+     */
+    outputKeys(names) {
+        return [...new Set(names.flatMap(name => {
+            const spec = this.extractors.get(name);
+            return [spec.outputKey.split('.')[0], ...spec.additionalOutputKeys.filter(key => !key.includes('.'))];
+        }))];
+    }
+
+    /**
+     * Runs the selected extractors. Never throws: a failed extractor is logged and yields its fallback.
+     * @param {object} context - Passed to every extractor (page, url, lease, provenance...). Gets a
+     *   `resultOf(name)` method resolving to the output of another selected extractor (null if not selected).
+     * @param {object} options
+     * @param {string[]} options.names - Extractors to run, from resolve().
+     * @param {function(string, function(): Promise<*>): Promise<*>} [options.trackStage] - Wraps each run to report progress.
+     * @returns {Promise<object>} The output of each extractor, by name.
+     */
+    async run(context, { names, trackStage = (stage, task) => task() }) {
+        const pending = new Map();
+        context.resultOf = (name) => pending.get(name) || Promise.resolve(null);
+
+        for (const name of names) {
+            const spec = this.extractors.get(name);
+            const { timeoutMs } = spec;
+            pending.set(name, Promise.all(spec.dependsOn.map(dependency => pending.get(dependency))).then(async (outputs) => {
+                const inputs = Object.fromEntries(spec.dependsOn.map((dependency, index) => [dependency, outputs[index]]));
+                const sources = {};
+                let timer;
+                try {
+                    const output = await trackStage(name, () => Promise.race([
+                        spec.run(context, inputs, sources),
+                        ...(timeoutMs ? [new Promise((_, reject) => {
+                            timer = setTimeout(() => reject(new Error(`${name} extraction timeout after ${timeoutMs / 1000}s`)), timeoutMs);
+                        })] : [])
+                    ]));
+                    if (spec.record) spec.record(context, output, sources);
+                    return output;
+                } catch (error) {
+                    console.warn(`[Extractors] ${name} failed:`, error.message);
+                    return spec.fallback(error);
+                } finally {
+                    clearTimeout(timer);
+                }
+            }));
+        }
+
+        const outputs = await Promise.all(names.map(name => pending.get(name)));
+        return Object.fromEntries(names.map((name, index) => [name, outputs[index]]));
+    }
+
+    /**
+     * Builds a result from extractor outputs, in registration order: each output is stored under
+     * its `outputKey`, or merged by the extractor's `apply` step.
+     * @param {object} outputs - From run().
+     * @param {object} context - The context the extractors ran with.
+     * @returns {object}
+     */
+    assemble(outputs, context) {
+        const result = {};
+        for (const name of this.names().filter(candidate => candidate in outputs)) {
+            const spec = this.extractors.get(name);
+            if (spec.apply) {
+                spec.apply(result, outputs[name], context);
+                continue;
+            }
+            const path = spec.outputKey.split('.');
+            let node = result;
+            path.slice(0, -1).forEach(segment => { node = node[segment] = node[segment] || {}; });
+            node[path[path.length - 1]] = outputs[name];
+        }
+        return result;
+    }
+}
+
+module.exports = { ExtractorRegistry };
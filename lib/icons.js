@@ -0,0 +1,152 @@
+const { guardPage } = require('./network-safety');
+
+/**
+ * Icon-set discovery: every icon a site declares, from its `<link>` tags and its Web App Manifest.
+ *
+ * The first `link[rel=icon]` is often a 16x16 favicon while a 512x512 icon sits in the manifest,
+ * so all of them are listed with their dimensions and purpose, and the largest general-purpose
+ * one is picked as the site's icon. The manifest is downloaded in a page of the extraction's
+ * browser context, so the network-safety guard applies to it like to any other request.
+ */
+
+const MAX_MANIFEST_BYTES = 512 * 1024;
+
+// Apple assumes this size for a touch icon that doesn't declare one
+const APPLE_TOUCH_ICON_SIZE = 180;
+
+/**
+ * Parses a `sizes` value such as `"16x16 32x32"` or `"any"`.
+ * @param {string} [sizes]
+ * @returns {{width: number|null, height: number|null, scalable: boolean}} The largest declared size.
+ */
+function parseIconSizes(sizes) {
+    const result = { width: null, height: null, scalable: false };
+    for (const token of String(sizes || '').toLowerCase().split(/\s+/).filter(Boolean)) {
+        if (token === 'any') {
+            result.scalable = true;
+            continue;
+        }
+        const match = token.match(/^(\d+)x(\d+)$/);
+        if (match && Number(match[1]) * Number(match[2]) > (result.width || 0) * (result.height || 0)) {
+            result.width = Number(match[1]);
+            result.height = Number(match[2]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Downloads and parses a Web App Manifest in a new page of a leased browser context.
+ * @param {{newPage: function(): Promise<import('puppeteer').Page>}} lease - Browser context lease (see BrowserPool).
+ * @param {string} manifestUrl - Absolute URL of the manifest.
+ * @returns {Promise<object>} The manifest JSON.
+ * @throws If the manifest can't be downloaded or isn't JSON.
+ */
+async function fetchManifest(lease, manifestUrl) {
+    const page = await lease.newPage();
+    try {
+        const guard = await guardPage(page);
+        const response = await page.goto(manifestUrl, { waitUntil: 'domcontentloaded', timeout: 10000 });
+        if (guard.blockedNavigation) throw new Error(`Blocked: ${guard.blockedNavigation.reason}`);
+        if (!response || !response.ok()) throw new Error(`HTTP ${response ? response.status() : 'no response'}`);
+
+        const buffer = await response.buffer();
+        if (buffer.length > MAX_MANIFEST_BYTES) throw new Error(`Manifest too large (${buffer.length} bytes)`);
+        const manifest = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) throw new Error('Manifest is not a JSON object');
+        return manifest;
+    } finally {
+        await page.close().catch(() => {}); // The context may already be gone
+    }
+}
+
+/**
+ * Lists a site's icons from its `<link>` tags, its manifest and the conventional `/favicon.ico`.
+ * Icons are de-duplicated by URL; the first declaration with a known size wins.
+ * @param {object} input
+ * @param {Array<{href: string, rel: string, sizes?: string, type?: string, color?: string, selector: string}>} input.links - Icon links found in the page, with absolute hrefs.
+ * @param {object} [input.manifest] - Parsed Web App Manifest.
+ * @param {string} [input.manifestUrl] - URL the manifest was loaded from; its icon URLs are relative to it.
+ * @param {string} input.baseUrl - URL of the page.
+ * @returns {Array<{url: string, rel: string, purpose: string, sizes: string|null, width: number|null, height: number|null, type: string|null, color?: string, source: string}>}
+ */
+function buildIconSet({ links = [], manifest = null, manifestUrl = null, baseUrl }) {
+    const icons = [];
+    const add = (icon) => {
+        const existing = icons.find(other => other.url === icon.url);
+        if (!existing) {
+            icons.push(icon);
+        } else if (!existing.width && icon.width) {
+            icons[icons.indexOf(existing)] = icon;
+        }
+    };
+
+    for (const link of links) {
+        if (!link.href) continue;
+        const rel = link.rel.toLowerCase();
+        const size = parseIconSizes(link.sizes);
+        const isAppleTouch = rel.includes('apple-touch-icon');
+        add({
+            url: link.href,
+            rel,
+            // Safari's pinned-tab icon is a single-color mask, the same idea as a manifest "monochrome" icon
+            purpose: rel === 'mask-icon' ? 'monochrome' : 'any',
+            sizes: link.sizes || null,
+            width: size.width || (isAppleTouch ? APPLE_TOUCH_ICON_SIZE : null),
+            height: size.height || (isAppleTouch ? APPLE_TOUCH_ICON_SIZE : null),
+            type: link.type || null,
+            ...(link.color ? { color: link.color } : {}),
+            source: link.selector
+        });
+    }
+
+    if (manifest && Array.isArray(manifest.icons)) {
+        for (const icon of manifest.icons) {
+            if (!icon || typeof icon.src !== 'string') continue;
+            let url;
+            try {
+                url = new URL(icon.src, manifestUrl || baseUrl).href;
+            } catch (e) {
+                continue;
+            }
+            const size = parseIconSizes(icon.sizes);
+            add({
+                url,
+                rel: 'manifest',
+                purpose: typeof icon.purpose === 'string' && icon.purpose.trim() ? icon.purpose.trim().toLowerCase() : 'any',
+                sizes: icon.sizes || null,
+                width: size.width,
+                height: size.height,
+                type: icon.type || null,
+                source: 'manifest:icons'
+            });
+        }
+    }
+
+    // Browsers request /favicon.ico when nothing else is declared, so most sites still serve one
+    const faviconUrl = new URL('/favicon.ico', baseUrl).href;
+    add({ url: faviconUrl, rel: 'icon', purpose: 'any', sizes: null, width: null, height: null, type: 'image/x-icon', source: 'favicon.ico' });
+
+    return icons;
+}
+
+/**
+ * Picks the highest-resolution general-purpose icon. A scalable icon (`sizes="any"` or SVG)
+ * counts as the largest; maskable icons are only used when there is nothing else, and
+ * monochrome masks never.
+ * @param {Array<object>} icons - From buildIconSet.
+ * @returns {object|null}
+ */
+function pickBestIcon(icons) {
+    const resolution = (icon) => {
+        if (parseIconSizes(icon.sizes).scalable || icon.type === 'image/svg+xml') return Infinity;
+        return (icon.width || 0) * (icon.height || 0);
+    };
+    const purposes = (icon) => icon.purpose.split(/\s+/);
+    const general = icons.filter(icon => purposes(icon).includes('any'));
+    const candidates = general.length ? general : icons.filter(icon => !purposes(icon).includes('monochrome'));
+    // Stable: among equally large icons the one declared first wins
+    return candidates.reduce((best, icon) => (!best || resolution(icon) > resolution(best) ? icon : best), null);
+}
+
+module.exports = { buildIconSet, fetchManifest, parseIconSizes, pickBestIcon };
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+
+const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+});
+
+const FINISHED_STATUSES = new Set([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+/**
+ * In-memory queue of asynchronous extraction jobs.
+ *
+ * Jobs move through queued -> running -> succeeded/failed (or cancelled). At most
+ * `concurrency` jobs run at once; the rest wait in FIFO order. Finished jobs are kept
+ * for `retentionMs` so callers can poll for the result, then swept.
+ */
+class JobManager {
+    /**
+     * @param {object} options
+     * @param {function(string, {signal: AbortSignal, onProgress: function(object): void}): Promise<object>} options.runner - Performs the extraction for a URL.
+     *   Also receives the options the job was created with.
+     * @param {number} [options.concurrency=1] - Maximum number of jobs running at the same time.
+     * @param {number} [options.retentionMs=3600000] - How long finished jobs are kept (defaults to 1 hour).
+     */
+    constructor({ runner, concurrency = 1, retentionMs = 60 * 60 * 1000 }) {
+        this.runner = runner;
+        this.concurrency = Math.max(1, concurrency);
+        this.retentionMs = retentionMs;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+
+        // Sweep expired jobs; unref'd so the timer never keeps the process alive
+        this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.retentionMs, 60 * 1000));
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Queues a new extraction job.
+     * @param {string} url - The normalized URL to extract.
+     * @param {object} [options] - Extra options passed through to the runner.
+     * @returns {object} The public view of the created job.
+     */
+    create(url, options = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            url,
+            options,
+            status: JOB_STATUS.QUEUED,
+            stage: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        console.log(`[Jobs] Queued job ${job.id} for ${url} (${this.queue.length} waiting, ${this.running} running)`);
+        this._pump();
+        return this.toJSON(job);
+    }
+
+    /**
+     * @param {string} id - Job id.
+     * @returns {object|null} The public view of the job, or null if it is unknown or expired.
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toJSON(job) : null;
+    }
+
+    /**
+     * Cancels a queued or running job. A running job's browser context is closed by the runner
+     * when the abort signal fires.
+     * @param {string} id - Job id.
+     * @returns {{found: boolean, cancelled: boolean, job: object|null}}
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return { found: false, cancelled: false, job: null };
+        if (FINISHED_STATUSES.has(job.status)) {
+            return { found: true, cancelled: false, job: this.toJSON(job) };
+        }
+
+        if (job.status === JOB_STATUS.QUEUED) {
+            this.queue = this.queue.filter(queued => queued !== job);
+        } else {
+            // The runner rejects once it sees the abort; _run ignores the outcome of finished jobs
+            job.controller.abort();
+        }
+        this._finish(job, JOB_STATUS.CANCELLED);
+        console.log(`[Jobs] Cancelled job ${job.id}`);
+        return { found: true, cancelled: true, job: this.toJSON(job) };
+    }
+
+    /**
+     * Removes finished jobs older than the retention period.
+     */
+    sweep() {
+        const cutoff = Date.now() - this.retentionMs;
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Serializable view of a job: internal fields are hidden, the result only appears once succeeded.
+     * @param {object} job
+     * @returns {object}
+     */
+    toJSON(job) {
+        const view = {
+            id: job.id,
+            url: job.url,
+            status: job.status,
+            stage: job.stage,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+        if (job.finishedAt) {
+            view.expiresAt = new Date(Date.parse(job.finishedAt) + this.retentionMs).toISOString();
+        }
+        if (job.status === JOB_STATUS.SUCCEEDED) view.result = job.result;
+        if (job.status === JOB_STATUS.FAILED) view.error = job.error;
+        return view;
+    }
+
+    /** @private */
+    _pump() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this._run(job);
+        }
+    }
+
+    /** @private */
+    async _run(job) {
+        this.running++;
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = new Date().toISOString();
+        console.log(`[Jobs] Running job ${job.id}`);
+
+        try {
+            const result = await this.runner(job.url, {
+                ...job.options,
+                signal: job.controller.signal,
+                onProgress: (event) => {
+                    // Several stages run in parallel; the job reports the most recently started one
+                    if (event && event.status === 'started' && !FINISHED_STATUSES.has(job.status)) {
+                        job.stage = event.stage;
+                    }
+                }
+            });
+            if (!FINISHED_STATUSES.has(job.status)) {
+                job.result = result;
+                this._finish(job, JOB_STATUS.SUCCEEDED);
+            }
+        } catch (error) {
+            if (!FINISHED_STATUSES.has(job.status)) {
+                job.error = { message: error.message, name: error.name };
+                this._finish(job, JOB_STATUS.FAILED);
+                console.warn(`[Jobs] Job ${job.id} failed:`, error.message);
+            }
+        } finally {
+            this.running--;
+            this._pump();
+        }
+    }
+
+    /** @private */
+    _finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+    }
+}
+
+module.exports = { JobManager, JOB_STATUS };
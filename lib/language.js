@@ -0,0 +1,209 @@
+/**
+ * Language detection and locale handling.
+ *
+ * A page's language is what it declares (`html[lang]`, the `Content-Language` header or meta tag),
+ * checked against its text: templates often keep `lang="en"` on translated pages, so a text that
+ * clearly reads as another language wins. Translations a site links with `hreflang` are reported as
+ * alternates, and a requested locale is matched against them.
+ */
+
+// Frequent, fairly distinctive words per language. Detection counts how many words of a text are in each list.
+const STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'for', 'with', 'that', 'on', 'are', 'you', 'your', 'our', 'we', 'this', 'from', 'have', 'more', 'about', 'all'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'für', 'von', 'auf', 'ein', 'eine', 'wir', 'zu', 'im', 'dem', 'des', 'ihre', 'sich', 'auch', 'oder', 'über'],
+    fr: ['le', 'les', 'et', 'est', 'pour', 'une', 'dans', 'du', 'que', 'nous', 'vous', 'sur', 'avec', 'au', 'aux', 'par', 'plus', 'vos', 'nos', 'qui'],
+    es: ['el', 'los', 'las', 'y', 'que', 'para', 'con', 'una', 'por', 'es', 'del', 'nuestro', 'nuestros', 'sus', 'más', 'como', 'su', 'tu', 'nuestra'],
+    it: ['il', 'di', 'che', 'per', 'con', 'una', 'della', 'non', 'sono', 'gli', 'dei', 'nostro', 'più', 'nostri', 'delle', 'alla', 'anche', 'nel'],
+    pt: ['o', 'os', 'que', 'do', 'da', 'em', 'para', 'com', 'uma', 'não', 'dos', 'das', 'nosso', 'mais', 'seu', 'sua', 'você', 'nossa', 'são'],
+    nl: ['het', 'een', 'en', 'van', 'op', 'te', 'voor', 'met', 'zijn', 'niet', 'dat', 'wij', 'ons', 'onze', 'uw', 'je', 'ook', 'bij', 'naar'],
+    sv: ['och', 'att', 'det', 'som', 'är', 'på', 'för', 'med', 'av', 'till', 'vi', 'inte', 'har', 'vår', 'våra', 'dig', 'eller', 'från'],
+    da: ['og', 'at', 'det', 'som', 'er', 'på', 'for', 'med', 'af', 'til', 'vi', 'ikke', 'har', 'vores', 'jeres', 'eller', 'fra', 'kan'],
+    pl: ['i', 'w', 'na', 'z', 'się', 'nie', 'do', 'że', 'jest', 'dla', 'jak', 'oraz', 'przez', 'nasz', 'nasze', 'czy', 'od', 'już'],
+    tr: ['ve', 'bir', 'bu', 'için', 'ile', 'olarak', 'daha', 'çok', 'gibi', 'olan', 'sizin', 'bizim', 'değil', 'her', 'kadar']
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+
+// Scripts that identify a language on their own (Chinese, Japanese and Cyrillic are told apart below)
+const SCRIPTS = [
+    ['ko', /\p{Script=Hangul}/u],
+    ['ar', /\p{Script=Arabic}/u],
+    ['he', /\p{Script=Hebrew}/u],
+    ['el', /\p{Script=Greek}/u],
+    ['th', /\p{Script=Thai}/u],
+    ['hi', /\p{Script=Devanagari}/u]
+];
+
+// Fewer stopword hits than this is too little text to tell
+const MIN_STOPWORD_HITS = 3;
+// The best language needs this many times the hits of the runner-up
+const MIN_STOPWORD_LEAD = 1.5;
+// Share of letters in a script that marks a text as written in it
+const MIN_SCRIPT_SHARE = 0.3;
+
+/**
+ * Canonicalizes a BCP 47 language tag: `de_de` -> `de-DE`, `EN` -> `en`.
+ * @param {string} value
+ * @returns {string}
+ * @throws {RangeError} For a value that isn't a language tag.
+ */
+function normalizeLocale(value) {
+    const tag = String(value || '').trim().replace(/_/g, '-');
+    if (!tag) throw new RangeError('Locale must not be empty');
+    try {
+        return Intl.getCanonicalLocales(tag)[0];
+    } catch (error) {
+        throw new RangeError(`Invalid locale "${value}". Use a BCP 47 language tag such as "de" or "pt-BR"`);
+    }
+}
+
+/**
+ * Like normalizeLocale, but returns null instead of throwing; for tags declared by pages.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseLanguageTag(value) {
+    try {
+        // Headers and meta tags may list several languages: "de, en"
+        return normalizeLocale(String(value || '').split(',')[0]);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The language subtag of a locale: `pt-BR` -> `pt`.
+ * @param {string|null} locale
+ * @returns {string|null}
+ */
+function baseLanguage(locale) {
+    return locale ? locale.split('-')[0].toLowerCase() : null;
+}
+
+/**
+ * The Accept-Language header for a locale, falling back to its base language: `de-CH,de;q=0.9`.
+ * @param {string} locale - A normalized locale.
+ * @returns {string}
+ */
+function acceptLanguageHeader(locale) {
+    const base = baseLanguage(locale);
+    return base === locale.toLowerCase() ? locale : `${locale},${base};q=0.9`;
+}
+
+/**
+ * Detects the language of a text from its script or, for Latin script, its most frequent words.
+ * @param {string} text
+ * @returns {{language: string, confidence: number}|null} Null when the text is too short or ambiguous.
+ */
+function detectTextLanguage(text) {
+    const letters = String(text || '').match(/\p{L}/gu) || [];
+    if (letters.length === 0) return null;
+
+    const shareOf = (pattern) => letters.filter(letter => pattern.test(letter)).length / letters.length;
+    const scriptResult = (language, share) => ({ language, confidence: Math.round(Math.min(1, 0.5 + share) * 100) / 100 });
+
+    // Japanese mixes kanji with kana; Han characters alone are Chinese
+    const kana = shareOf(/[\p{Script=Hiragana}\p{Script=Katakana}]/u);
+    const han = shareOf(/\p{Script=Han}/u);
+    if (kana + han >= MIN_SCRIPT_SHARE) return scriptResult(kana >= 0.05 ? 'ja' : 'zh', kana + han);
+    // Ukrainian has letters Russian doesn't
+    const cyrillic = shareOf(/\p{Script=Cyrillic}/u);
+    if (cyrillic >= MIN_SCRIPT_SHARE) return scriptResult(/[іїєґ]/iu.test(text) ? 'uk' : 'ru', cyrillic);
+    for (const [language, pattern] of SCRIPTS) {
+        const share = shareOf(pattern);
+        if (share >= MIN_SCRIPT_SHARE) return scriptResult(language, share);
+    }
+
+    const words = (String(text).toLowerCase().match(/\p{L}+/gu) || []).slice(0, 2000);
+    const hits = Object.entries(STOPWORD_SETS)
+        .map(([language, set]) => ({ language, count: words.filter(word => set.has(word)).length }))
+        .sort((a, b) => b.count - a.count);
+    const [best, runnerUp] = hits;
+    if (best.count < MIN_STOPWORD_HITS || best.count < runnerUp.count * MIN_STOPWORD_LEAD) return null;
+    return { language: best.language, confidence: Math.round(Math.min(1, best.count / (best.count + runnerUp.count)) * 100) / 100 };
+}
+
+/**
+ * Works out the language of a page from what it declares and what its text reads as.
+ * @param {object} signals
+ * @param {string|null} signals.htmlLang - The `lang` attribute of the html element.
+ * @param {string|null} signals.contentLanguage - The Content-Language response header.
+ * @param {string|null} signals.metaLanguage - The content of `meta[http-equiv="content-language"]`.
+ * @param {string} signals.text - Visible text of the page.
+ * @returns {{Code: string|null, Source: string|null, Declared: object, Detected: string|null}}
+ *   `Code` is a BCP 47 tag, `Detected` the base language read from the text.
+ */
+function resolvePageLanguage({ htmlLang, contentLanguage, metaLanguage, text }) {
+    const declared = [
+        [parseLanguageTag(htmlLang), 'html[lang]'],
+        [parseLanguageTag(contentLanguage), 'header:content-language'],
+        [parseLanguageTag(metaLanguage), 'meta[http-equiv="content-language"]']
+    ].find(([tag]) => tag) || [null, null];
+    const detected = detectTextLanguage(text);
+
+    const [code, source] = detected && baseLanguage(declared[0]) !== detected.language
+        ? [detected.language, 'text'] // No declaration, or one the text contradicts
+        : declared;
+    return {
+        Code: code,
+        Source: source,
+        Declared: { HtmlLang: htmlLang || null, ContentLanguage: contentLanguage || metaLanguage || null },
+        Detected: detected ? detected.language : null
+    };
+}
+
+/**
+ * Reads the language signals and `hreflang` alternates of a loaded page.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{htmlLang: string|null, metaLanguage: string|null, text: string, alternates: Array<{locale: string, url: string}>}>}
+ *   Alternates keep the page's own `hreflang` values; `x-default` included.
+ */
+async function readPageLanguageSignals(page) {
+    return page.evaluate(() => {
+        const alternates = [];
+        const seen = new Set();
+        for (const link of Array.from(document.querySelectorAll('link[rel~="alternate"][hreflang][href]')).slice(0, 200)) {
+            let url;
+            try { url = new URL(link.getAttribute('href'), document.baseURI).href; } catch (e) { continue; }
+            const locale = link.getAttribute('hreflang').trim();
+            if (!locale || seen.has(`${locale.toLowerCase()} ${url}`)) continue;
+            seen.add(`${locale.toLowerCase()} ${url}`);
+            alternates.push({ locale, url });
+        }
+        const main = document.querySelector('main, [role="main"], article') || document.body;
+        return {
+            htmlLang: document.documentElement.getAttribute('lang') || document.documentElement.getAttribute('xml:lang') || null,
+            metaLanguage: document.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content') || null,
+            text: ((main && main.innerText) || '').slice(0, 20000),
+            alternates
+        };
+    });
+}
+
+/**
+ * Picks the alternate for a locale: the exact locale, else its base language (`de` for `de-AT`),
+ * else the same language for another region (`de-DE` for `de-AT` or `de`).
+ * @param {Array<{locale: string, url: string}>} alternates - From readPageLanguageSignals.
+ * @param {string} locale - A normalized locale.
+ * @returns {{locale: string, url: string}|null}
+ */
+function pickAlternate(alternates, locale) {
+    const candidates = alternates
+        .map(alternate => ({ ...alternate, tag: parseLanguageTag(alternate.locale) }))
+        .filter(alternate => alternate.tag && alternate.locale.toLowerCase() !== 'x-default');
+    const wanted = locale.toLowerCase();
+    const base = baseLanguage(locale);
+    const match = candidates.find(alternate => alternate.tag.toLowerCase() === wanted)
+        || candidates.find(alternate => alternate.tag.toLowerCase() === base)
+        || candidates.find(alternate => baseLanguage(alternate.tag) === base);
+    return match ? { locale: match.locale, url: match.url } : null;
+}
+
+module.exports = {
+    acceptLanguageHeader,
+    baseLanguage,
+    detectTextLanguage,
+    normalizeLocale,
+    pickAlternate,
+    readPageLanguageSignals,
+    resolvePageLanguage
+};
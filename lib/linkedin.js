@@ -0,0 +1,98 @@
+/**
+ * Helpers for LinkedIn organization pages: which URLs point at one, and how to read the values
+ * scraped from it. The scraping itself runs in a page of the LinkedIn browser pool (see index.js).
+ */
+
+// Companies, their showcase pages (sub-brands, product lines) and schools share one page layout
+const LINKEDIN_PAGE_KINDS = ['company', 'showcase', 'school'];
+
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Whether a URL points at a LinkedIn company, showcase or school page.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLinkedInOrganizationUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+    const host = parsed.hostname.toLowerCase();
+    if (host !== 'linkedin.com' && !host.endsWith('.linkedin.com')) return false;
+    const [kind, slug] = parsed.pathname.split('/').filter(Boolean);
+    return LINKEDIN_PAGE_KINDS.includes(kind) && Boolean(slug);
+}
+
+/**
+ * Reads a count as LinkedIn prints it: `12,345 followers`, `1.2K followers`, `See all 87 employees`.
+ * @param {string|number|null} text
+ * @returns {number|null}
+ */
+function parseLinkedInCount(text) {
+    if (typeof text === 'number') return Number.isFinite(text) ? Math.round(text) : null;
+    if (!text) return null;
+    const match = String(text).match(/(\d[\d,.\s ]*)\s*([kmb])?\b/i);
+    if (!match) return null;
+
+    const suffix = match[2] ? COUNT_SUFFIXES[match[2].toLowerCase()] : 1;
+    const digits = match[1].replace(/[\s ]/g, '');
+    // With a suffix the separator is a decimal point (1.2K); without one it groups thousands (12,345)
+    const value = suffix === 1
+        ? Number(digits.replace(/[,.]/g, ''))
+        : Number(digits.replace(',', '.'));
+    return Number.isFinite(value) ? Math.round(value * suffix) : null;
+}
+
+/**
+ * The destination of a link on a LinkedIn page. Outbound links go through
+ * `linkedin.com/redir/redirect?url=...`; anything else is returned as is.
+ * @param {string|null} href
+ * @returns {string|null}
+ */
+function unwrapLinkedInRedirect(href) {
+    if (!href) return null;
+    try {
+        const parsed = new URL(href);
+        if (/(^|\.)linkedin\.com$/i.test(parsed.hostname) && parsed.pathname.startsWith('/redir/')) {
+            return parsed.searchParams.get('url') || null;
+        }
+    } catch (e) {
+        // Not a URL, e.g. the website printed as plain text
+    }
+    return href;
+}
+
+/**
+ * Host of a website as a LinkedIn page or a site states it, without a leading `www.`.
+ * Scheme-less values such as `example.com/en` are accepted.
+ * @param {string|null} website
+ * @returns {string|null}
+ */
+function websiteHost(website) {
+    if (!website) return null;
+    const value = String(website).trim();
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Whether the website a LinkedIn page links to is one of the given site URLs. Hosts have to be
+ * equal apart from `www.`: a subdomain can be another tenant of a shared host (acme.wordpress.com)
+ * and a parent domain another company of the same group.
+ * @param {string} website - The "Website" of the LinkedIn page.
+ * @param {string[]} siteUrls - The URL the extraction started from, and where it ended up.
+ * @returns {boolean}
+ */
+function websiteMatchesSite(website, siteUrls) {
+    const linkedInHost = websiteHost(unwrapLinkedInRedirect(website));
+    if (!linkedInHost) return false;
+    return siteUrls.map(websiteHost).includes(linkedInHost);
+}
+
+module.exports = { LINKEDIN_PAGE_KINDS, isLinkedInOrganizationUrl, parseLinkedInCount, unwrapLinkedInRedirect, websiteMatchesSite };
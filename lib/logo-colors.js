@@ -0,0 +1,158 @@
+const { guardPage } = require('./network-safety');
+
+/**
+ * Dominant colors of a logo, read from its pixels.
+ *
+ * The image is downloaded through a page of the extraction's browser context (so the
+ * network-safety guard applies), handed back to that page as a data URI, and drawn onto a
+ * small canvas. A data URI never taints the canvas, so its pixels can be read whatever
+ * origin the logo came from. The pixels are then quantized here: similar colors are bucketed
+ * and merged, and the background is dropped before the colors are ranked by share.
+ */
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const SAMPLE_SIZE = 64; // Longest side of the canvas the image is scaled down to
+
+/**
+ * Works out an image's MIME type from its first bytes, for servers that send a generic content type.
+ * @param {Buffer} buffer
+ * @param {string} [declaredType] - The Content-Type header.
+ * @returns {string|null} The MIME type, or null if the bytes don't look like a supported image.
+ */
+function sniffImageType(buffer, declaredType) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x00000100) return 'image/x-icon';
+    if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('ascii', 8, 12))) return 'image/avif';
+    if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM' && buffer.readUInt32LE(2) === buffer.length) return 'image/bmp';
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).trimStart();
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+    const type = (declaredType || '').split(';')[0].trim().toLowerCase();
+    return type.startsWith('image/') ? type : null;
+}
+
+/**
+ * Finds the dominant colors in RGBA pixel data. Transparent pixels are ignored, and so is the
+ * background: the color filling most of the image's border, if the border is mostly one color.
+ * @param {ArrayLike<number>} pixels - RGBA bytes, row by row.
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.maxColors=5] - How many colors to return at most.
+ * @param {number} [options.minShare=0.02] - Ignore colors covering less than this share of the logo.
+ * @returns {Array<{r: number, g: number, b: number, share: number}>} Most dominant first; `share` is relative to the non-background pixels.
+ */
+function quantizePixels(pixels, width, height, { maxColors = 5, minShare = 0.02 } = {}) {
+    // 4 bits per channel: close enough to merge anti-aliasing noise, fine enough to keep brand hues apart
+    const bucketKey = (i) => ((pixels[i] >> 4) << 8) | ((pixels[i + 1] >> 4) << 4) | (pixels[i + 2] >> 4);
+    const buckets = new Map();
+    const borderCounts = new Map();
+    let borderPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const onBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+            if (onBorder) borderPixels++;
+            if (pixels[i + 3] < 128) continue; // Transparent
+
+            const key = bucketKey(i);
+            const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+            bucket.r += pixels[i];
+            bucket.g += pixels[i + 1];
+            bucket.b += pixels[i + 2];
+            bucket.count++;
+            buckets.set(key, bucket);
+            if (onBorder) borderCounts.set(key, (borderCounts.get(key) || 0) + 1);
+        }
+    }
+
+    const distance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+    const average = (bucket) => ({
+        r: Math.round(bucket.r / bucket.count),
+        g: Math.round(bucket.g / bucket.count),
+        b: Math.round(bucket.b / bucket.count),
+        count: bucket.count
+    });
+
+    // A mostly uniform opaque border is the logo's background, not part of the mark
+    let background = null;
+    const [borderKey, borderCount] = [...borderCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    if (borderKey !== undefined && borderCount >= borderPixels * 0.6) {
+        background = average(buckets.get(borderKey));
+    }
+
+    // Merge neighbouring buckets into clusters, most common first
+    const clusters = [];
+    for (const color of [...buckets.values()].map(average).sort((a, b) => b.count - a.count)) {
+        if (background && distance(color, background) < 48) continue;
+        const cluster = clusters.find(existing => distance(existing, color) < 40);
+        if (cluster) {
+            cluster.count += color.count;
+        } else {
+            clusters.push({ ...color });
+        }
+    }
+
+    const total = clusters.reduce((sum, cluster) => sum + cluster.count, 0);
+    if (total === 0) return [];
+    return clusters
+        .map(({ r, g, b, count }) => ({ r, g, b, share: Math.round((count / total) * 1000) / 1000 }))
+        .filter(color => color.share >= minShare)
+        .slice(0, maxColors);
+}
+
+/**
+ * Downloads an image in a new page of a leased browser context and returns its dominant colors.
+ * Supports whatever the browser can decode: PNG, JPEG, GIF, WebP, ICO and SVG.
+ * @param {{newPage: function(): Promise<import('puppeteer').Page>}} lease - Browser context lease (see BrowserPool).
+ * @param {string} imageUrl - Absolute URL (or data URI) of the logo.
+ * @param {object} [options] - See quantizePixels.
+ * @returns {Promise<Array<{r: number, g: number, b: number, share: number}>>}
+ * @throws If the image can't be downloaded or decoded.
+ */
+async function extractImageColors(lease, imageUrl, options = {}) {
+    const page = await lease.newPage();
+    try {
+        let dataUri = imageUrl;
+        if (!imageUrl.startsWith('data:')) {
+            const guard = await guardPage(page);
+            const response = await page.goto(imageUrl, { waitUntil: 'load', timeout: 15000 });
+            if (guard.blockedNavigation) throw new Error(`Blocked: ${guard.blockedNavigation.reason}`);
+            if (!response || !response.ok()) throw new Error(`HTTP ${response ? response.status() : 'no response'}`);
+
+            const buffer = await response.buffer();
+            if (buffer.length > MAX_IMAGE_BYTES) throw new Error(`Image too large (${buffer.length} bytes)`);
+            const type = sniffImageType(buffer, response.headers()['content-type']);
+            if (!type) throw new Error('Not an image');
+            dataUri = `data:${type};base64,${buffer.toString('base64')}`;
+        }
+
+        const { width, height, data } = await page.evaluate((src, sampleSize) => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                // SVGs without width/height have no intrinsic size; draw them at the sample size
+                const naturalWidth = img.naturalWidth || sampleSize;
+                const naturalHeight = img.naturalHeight || sampleSize;
+                const scale = Math.min(1, sampleSize / Math.max(naturalWidth, naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+                canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+                const context = canvas.getContext('2d');
+                context.drawImage(img, 0, 0, canvas.width, canvas.height);
+                const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+                resolve({ width: canvas.width, height: canvas.height, data: Array.from(imageData.data) });
+            };
+            img.onerror = () => reject(new Error('The image could not be decoded'));
+            img.src = src;
+        }), dataUri, SAMPLE_SIZE);
+
+        return quantizePixels(data, width, height, options);
+    } finally {
+        await page.close().catch(() => {}); // The context may already be gone
+    }
+}
+
+module.exports = { extractImageColors, quantizePixels, sniffImageType };
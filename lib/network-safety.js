@@ -0,0 +1,302 @@
+const dns = require('dns').promises;
+const http = require('http');
+const net = require('net');
+
+/**
+ * Network-safety layer guarding against SSRF.
+ *
+ * User-supplied URLs are loaded by a real browser, so without checks a caller could make it
+ * fetch cloud metadata endpoints (169.254.169.254), localhost, or anything on the private
+ * network - directly, through a redirect, or through a subresource of a public page.
+ * Every URL must use an allowed scheme and port and resolve only to public addresses.
+ */
+
+/**
+ * Thrown when a URL is rejected by the network-safety checks. Carries the HTTP status to respond with.
+ */
+class UrlRejectedError extends Error {
+    /**
+     * @param {string} message - Why the URL was rejected.
+     * @param {string} url - The rejected URL.
+     */
+    constructor(message, url) {
+        super(message);
+        this.name = 'UrlRejectedError';
+        this.url = url;
+        this.statusCode = 400;
+    }
+}
+
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:']);
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+const ALLOWED_PORTS = new Set(
+    (process.env.ALLOWED_PORTS || '80,443')
+        .split(',')
+        .map(port => parseInt(port.trim(), 10))
+        .filter(Number.isFinite)
+);
+
+// URLs that never touch the network and are always safe to let the browser load
+const LOCAL_SCHEMES = new Set(['data:', 'blob:', 'about:']);
+
+// Private, loopback, link-local and otherwise reserved ranges (IPv4-mapped IPv6 addresses are matched by the IPv4 rules)
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8],         // "This" network
+    ['10.0.0.0', 8],        // RFC1918
+    ['100.64.0.0', 10],     // Carrier-grade NAT
+    ['127.0.0.0', 8],       // Loopback
+    ['169.254.0.0', 16],    // Link-local, incl. cloud metadata endpoints
+    ['172.16.0.0', 12],     // RFC1918
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // TEST-NET-1
+    ['192.88.99.0', 24],    // 6to4 relay anycast
+    ['192.168.0.0', 16],    // RFC1918
+    ['198.18.0.0', 15],     // Benchmarking
+    ['198.51.100.0', 24],   // TEST-NET-2
+    ['203.0.113.0', 24],    // TEST-NET-3
+    ['224.0.0.0', 4],       // Multicast
+    ['240.0.0.0', 4]        // Reserved, incl. broadcast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],            // Unspecified
+    ['::1', 128],           // Loopback
+    ['::', 96],             // IPv4-compatible (deprecated, e.g. ::127.0.0.1)
+    ['64:ff9b::', 96],      // NAT64 (can embed private IPv4 addresses)
+    ['100::', 64],          // Discard-only
+    ['2001:db8::', 32],     // Documentation
+    ['2002::', 16],         // 6to4 (can embed private IPv4 addresses)
+    ['fc00::', 7],          // Unique local
+    ['fe80::', 10],         // Link-local
+    ['fec0::', 10],         // Site-local (deprecated)
+    ['ff00::', 8]           // Multicast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+// Short-lived DNS cache so subresource checks don't resolve the same host over and over
+const DNS_CACHE_TTL = 60 * 1000;
+const dnsCache = new Map();
+
+/**
+ * Checks whether an IP address is private, loopback, link-local or otherwise reserved.
+ * @param {string} address - IPv4 or IPv6 address.
+ * @returns {boolean} True if the address must not be contacted. Anything that isn't an IP counts as private.
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolves a hostname to all of its addresses, with a short-lived cache.
+ * @param {string} hostname
+ * @returns {Promise<string[]>}
+ */
+async function resolveAddresses(hostname) {
+    const cached = dnsCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.addresses;
+
+    const records = await dns.lookup(hostname, { all: true, verbatim: true });
+    const addresses = records.map(record => record.address);
+    dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL });
+    if (dnsCache.size > 1000) {
+        dnsCache.delete(dnsCache.keys().next().value); // Drop the oldest lookup
+    }
+    return addresses;
+}
+
+/**
+ * Validates a URL's scheme and port, and that its host resolves only to public addresses.
+ * @param {string} urlString - The URL to check.
+ * @returns {Promise<string[]>} The addresses the host resolves to, all of them public.
+ * @throws {UrlRejectedError} If the URL must not be loaded.
+ */
+async function assertUrlAllowed(urlString) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(urlString);
+    } catch (e) {
+        throw new UrlRejectedError('Invalid URL', urlString);
+    }
+
+    if (!ALLOWED_PROTOCOLS.has(parsedUrl.protocol)) {
+        throw new UrlRejectedError(`Scheme "${parsedUrl.protocol.replace(/:$/, '')}" is not allowed`, urlString);
+    }
+
+    const port = parsedUrl.port ? parseInt(parsedUrl.port, 10) : DEFAULT_PORTS[parsedUrl.protocol];
+    if (!ALLOWED_PORTS.has(port)) {
+        throw new UrlRejectedError(`Port ${port} is not allowed`, urlString);
+    }
+
+    // The WHATWG parser already normalizes numeric forms like 0x7f.1 or 2130706433 to dotted IPv4
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = await resolveAddresses(hostname);
+        } catch (e) {
+            throw new UrlRejectedError(`Host ${hostname} could not be resolved`, urlString);
+        }
+    }
+
+    // Reject if ANY address is private - the browser may pick whichever one it likes
+    const privateAddress = addresses.find(isPrivateAddress);
+    if (privateAddress) {
+        throw new UrlRejectedError(`Host ${hostname} resolves to a private or reserved address (${privateAddress})`, urlString);
+    }
+    return addresses;
+}
+
+/**
+ * Non-throwing variant for request interceptors.
+ * @param {string} urlString - URL of a navigation, redirect or subresource request.
+ * @returns {Promise<string|null>} The rejection reason, or null if the request may proceed.
+ */
+async function getRequestBlockReason(urlString) {
+    try {
+        if (LOCAL_SCHEMES.has(new URL(urlString).protocol)) return null;
+    } catch (e) {
+        return 'Invalid URL';
+    }
+    try {
+        await assertUrlAllowed(urlString);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Enables request interception on a page and re-checks every request against the safety rules:
+ * the initial navigation, each redirect hop, and every subresource. Service workers are bypassed
+ * so their fetches can't escape interception. WebSocket handshakes never reach request interception,
+ * so `ws:` and `wss:` URLs are blocked outright through the DevTools protocol; extractions don't need them.
+ * @param {import('puppeteer').Page} page
+ * @param {object} [options]
+ * @param {function(import('puppeteer').HTTPRequest): boolean} [options.shouldAbort] - Extra rule for requests
+ *   to drop without a safety check, e.g. heavy media or trackers.
+ * @returns {Promise<{blockedNavigation: {url: string, reason: string}|null}>} Live state; `blockedNavigation`
+ *   is set when a main-frame navigation (or one of its redirects) was rejected.
+ */
+async function guardPage(page, { shouldAbort = () => false } = {}) {
+    const state = { blockedNavigation: null };
+    await page.setBypassServiceWorker(true);
+    const client = await page.createCDPSession();
+    await client.send('Network.enable');
+    await client.send('Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] });
+    await page.setRequestInterception(true);
+    page.on('request', async (req) => {
+        try {
+            if (shouldAbort(req)) {
+                await req.abort();
+                return;
+            }
+            const url = req.url();
+            const reason = await getRequestBlockReason(url);
+            if (reason) {
+                if (req.isNavigationRequest() && req.frame() === page.mainFrame()) {
+                    state.blockedNavigation = { url, reason };
+                }
+                console.warn(`[Network Safety] Blocked request to ${url}: ${reason}`);
+                await req.abort('accessdenied');
+                return;
+            }
+            await req.continue();
+        } catch (e) {
+            // The page or request went away while we were checking it
+        }
+    });
+    return state;
+}
+
+/**
+ * Starts a local HTTP proxy for the browsers to send all their traffic through. The request
+ * interceptor checks a host before Chromium connects, but Chromium then resolves the host again
+ * itself, so a DNS answer that changes in between (DNS rebinding) could still reach a private
+ * address. The proxy checks every connection the same way and connects to the address it checked.
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} The proxy URL, for Chromium's `--proxy-server`.
+ */
+async function startSafeProxy() {
+    const checkTarget = async (urlString) => {
+        try {
+            return (await assertUrlAllowed(urlString))[0];
+        } catch (error) {
+            console.warn(`[Network Safety] Proxy refused ${urlString}: ${error.message}`);
+            return null;
+        }
+    };
+
+    // Plain HTTP: the request line carries the absolute URL
+    const server = http.createServer(async (req, res) => {
+        const address = await checkTarget(req.url);
+        if (!address) {
+            res.writeHead(403).end();
+            return;
+        }
+        const target = new URL(req.url);
+        const headers = { ...req.headers };
+        delete headers['proxy-connection'];
+        const upstream = http.request({
+            host: address,
+            port: target.port || DEFAULT_PORTS['http:'],
+            method: req.method,
+            path: target.pathname + target.search,
+            headers
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.rawHeaders);
+            upstreamRes.pipe(res);
+        });
+        upstream.on('error', () => res.destroy());
+        req.pipe(upstream);
+    });
+
+    // HTTPS: a CONNECT tunnel to `host:port`, TLS stays between Chromium and the site
+    server.on('connect', async (req, clientSocket, head) => {
+        clientSocket.on('error', () => {});
+        const target = new URL(`https://${req.url}`);
+        const address = await checkTarget(target.href);
+        if (!address) {
+            clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        const upstream = net.connect(parseInt(target.port, 10) || DEFAULT_PORTS['https:'], address, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+        });
+        upstream.on('error', () => clientSocket.destroy());
+        clientSocket.on('close', () => upstream.destroy());
+    });
+
+    // Tracked so close() can end keep-alive connections and open tunnels
+    const sockets = new Set();
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    server.unref();
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.close(() => resolve());
+            sockets.forEach(socket => socket.destroy());
+        })
+    };
+}
+
+module.exports = {
+    UrlRejectedError,
+    isPrivateAddress,
+    assertUrlAllowed,
+    getRequestBlockReason,
+    guardPage,
+    startSafeProxy
+};
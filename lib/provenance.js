@@ -0,0 +1,146 @@
+/**
+ * Field-level provenance for extraction results.
+ *
+ * While extracting, every field records where its value came from (a CSS selector, a JSON-LD
+ * path, a LinkedIn label...) in a flat map keyed by field path, e.g.
+ * `{ 'Company.Name': { source: 'json-ld:Organization.name', confidence: 0.9 } }`.
+ * The map travels with the result as `_provenance` and is either stripped from the response
+ * or folded into the opt-in verbose shape, where every field becomes `{ value, source, confidence }`.
+ */
+
+// Heuristic confidence per kind of source, first match wins. Structured data the site
+// publishes about itself ranks highest, DOM fallbacks lowest.
+const CONFIDENCE_RULES = [
+    [/^json-ld:.*\.(keywords|knowsAbout)$/, 0.4], // Keywords only stand in for a missing industry
+    [/^json-ld:/, 0.9],
+    [/^meta\[property="og:/, 0.85],
+    [/^link\[rel="canonical"\]/, 0.85],
+    [/^linkedin:dt\[/, 0.85],
+    [/^(font-face:|document\.fonts$)/, 0.85],
+    [/^(a\[href\^="(mailto|tel):"\]|\[data-cfemail\])/, 0.85],
+    [/^microdata:/, 0.8],
+    [/^manifest:/, 0.8],
+    [/^logo-pixels/, 0.8],
+    [/^meta\[itemprop=/, 0.8],
+    [/^img\[itemprop="logo"\]/, 0.8],
+    [/^linkedin:/, 0.75],
+    [/^meta\[name="(description|application-name)"\]/, 0.75],
+    [/^link\[/, 0.75],
+    [/^(footer|header) a\[/, 0.8], // Social profiles listed in the site's own footer or header
+    [/^a\[href\*=/, 0.75],
+    [/^meta\[name="twitter:/, 0.7],
+    [/^img\[(alt|class|id)\*="logo"/, 0.7],
+    [/^css-variable:.*(brand|primary|accent)/i, 0.7],
+    [/^computed-style:/, 0.6],
+    [/^meta/, 0.6],
+    [/^css-variable:/, 0.55],
+    [/^svg/, 0.55],
+    [/^address$/, 0.55],
+    [/^title$/, 0.5],
+    [/^(header|a\[href="\/"\]|div\[class\*="logo"i\]) img/, 0.5],
+    [/^a\[aria-label/, 0.5],
+    [/^css:/, 0.45],
+    [/^text:/, 0.45],
+    [/^input:/, 0.4],
+    [/^(h1|\.site-title|header)/, 0.4]
+];
+
+/**
+ * Heuristic confidence (0-1) for a kind of source.
+ * @param {string} source - Source descriptor, e.g. `meta[property="og:site_name"]`.
+ * @returns {number}
+ */
+function confidenceForSource(source) {
+    if (!source) return 0;
+    for (const [pattern, confidence] of CONFIDENCE_RULES) {
+        if (pattern.test(source)) return confidence;
+    }
+    return 0.5;
+}
+
+/**
+ * Creates a recorder that collects provenance entries into a flat map.
+ * @returns {{entries: object, record: function(string, string, object=): void, remove: function(string): void}}
+ */
+function createProvenance() {
+    const entries = {};
+    return {
+        entries,
+        /**
+         * @param {string} path - Field path, e.g. `Company.Name` or `Colors.0`.
+         * @param {string} source - Where the value came from.
+         * @param {object} [details]
+         * @param {number} [details.confidence] - Overrides the heuristic confidence for the source.
+         * @param {string} [details.page] - URL of the page the value was found on, when it isn't the requested page.
+         */
+        record(path, source, { confidence, page } = {}) {
+            if (!source) return;
+            entries[path] = {
+                source,
+                confidence: confidence !== undefined ? confidence : confidenceForSource(source)
+            };
+            if (page) entries[path].page = page;
+        },
+        /**
+         * @param {string} path - Field path to forget, e.g. after the value was discarded.
+         */
+        remove(path) {
+            delete entries[path];
+        }
+    };
+}
+
+/**
+ * Removes the provenance map from a result (the default, compact response shape).
+ * @param {object} result - Extraction result, possibly with `_provenance`.
+ * @returns {object}
+ */
+function stripProvenance(result) {
+    if (!result || !result._provenance) return result;
+    const { _provenance, ...rest } = result;
+    return rest;
+}
+
+/**
+ * Builds the verbose response shape: every provenance-tracked scalar becomes
+ * `{ value, source, confidence }`, and array items / objects that are themselves a
+ * tracked field get `source` and `confidence` properties added.
+ * @param {object} result - Extraction result with `_provenance`.
+ * @returns {object}
+ */
+function toVerboseShape(result) {
+    if (!result) return result;
+    const provenance = result._provenance || {};
+    const unknown = { source: null, confidence: 0 };
+
+    const wrap = (value, path) => {
+        const entry = provenance[path];
+        if (Array.isArray(value)) {
+            return value.map((item, index) => wrap(item, `${path}.${index}`));
+        }
+        if (value && typeof value === 'object') {
+            // A tracked object (e.g. one color) is a single value; untracked ones are containers
+            if (entry) return { ...value, ...entry };
+            const wrapped = {};
+            for (const [key, child] of Object.entries(value)) {
+                wrapped[key] = wrap(child, `${path}.${key}`);
+            }
+            return wrapped;
+        }
+        return { value, ...(entry || unknown) };
+    };
+
+    const verbose = {};
+    for (const [key, value] of Object.entries(stripProvenance(result))) {
+        // Metadata such as _performance or _cached is passed through untouched
+        verbose[key] = key.startsWith('_') ? value : wrap(value, key);
+    }
+    return verbose;
+}
+
+module.exports = {
+    confidenceForSource,
+    createProvenance,
+    stripProvenance,
+    toVerboseShape
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { readImageDimensions } = require('./assets');
+
+/**
+ * Screenshot capture: visual evidence of the page an extraction read.
+ *
+ * Three shots can be taken of a loaded page: the first viewport ("above the fold"), the whole
+ * page, and the header / logo region cropped out of it. The images are kept in their own store,
+ * keyed by a random id, and results only carry small descriptors pointing at them; a full-page
+ * PNG easily weighs several megabytes, far too much to inline as base64.
+ */
+
+const SCREENSHOT_FORMATS = {
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+const VIEWPORT_LIMITS = { width: [320, 2560], height: [240, 2000] };
+const DEFAULT_WEBP_QUALITY = 80;
+
+// Chrome can't paint taller surfaces in one go; longer pages are cut off at this height
+const MAX_FULL_PAGE_HEIGHT = 16384;
+
+const SCREENSHOT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Validates and fills in screenshot options. Viewport sizes are clamped to sane limits.
+ * @param {object} [input]
+ * @param {string} [input.format='png'] - `png` or `webp`.
+ * @param {number|string} [input.quality] - 1-100, WebP only (PNG is lossless).
+ * @param {boolean|string} [input.fullPage=false] - Also capture the whole page.
+ * @param {number|string} [input.width] - Viewport width in CSS pixels.
+ * @param {number|string} [input.height] - Viewport height in CSS pixels.
+ * @returns {{format: string, quality: number|null, fullPage: boolean, viewport: {width: number, height: number}}}
+ * @throws {RangeError} For an unknown format or a quality outside 1-100.
+ */
+function normalizeScreenshotOptions(input = {}) {
+    const format = String(input.format || 'png').toLowerCase();
+    if (!SCREENSHOT_FORMATS[format]) {
+        throw new RangeError(`Unknown screenshot format "${input.format}". Supported formats: ${Object.keys(SCREENSHOT_FORMATS).join(', ')}`);
+    }
+
+    let quality = null;
+    if (format !== 'png') {
+        quality = input.quality === undefined || input.quality === '' ? DEFAULT_WEBP_QUALITY : Number(input.quality);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            throw new RangeError(`Screenshot quality must be an integer between 1 and 100, got "${input.quality}"`);
+        }
+    }
+
+    const dimension = (value, name) => {
+        const parsed = parseInt(value, 10);
+        if (!Number.isFinite(parsed)) return DEFAULT_VIEWPORT[name];
+        const [min, max] = VIEWPORT_LIMITS[name];
+        return Math.min(Math.max(parsed, min), max);
+    };
+
+    return {
+        format,
+        quality,
+        fullPage: input.fullPage === true || input.fullPage === 'true',
+        viewport: { width: dimension(input.width, 'width'), height: dimension(input.height, 'height') }
+    };
+}
+
+/**
+ * Locates the header of a page, or failing that the area around its logo, in document coordinates.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{x: number, y: number, width: number, height: number, source: string}|null>}
+ */
+async function findHeaderRegion(page) {
+    return page.evaluate(() => {
+        window.scrollTo(0, 0);
+        const viewportWidth = window.innerWidth;
+        const isVisible = (el) => {
+            const style = window.getComputedStyle(el);
+            return style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
+        };
+
+        // A site header spans most of the width, starts near the top and isn't a full-screen hero
+        const headerSelectors = ['header', '[role="banner"]', '#header', '#masthead', '.site-header', '.header', '[class*="header" i]'];
+        for (const selector of headerSelectors) {
+            for (const el of document.querySelectorAll(selector)) {
+                const rect = el.getBoundingClientRect();
+                if (!isVisible(el) || rect.top > 200 || rect.height < 30 || rect.height > 400 || rect.width < viewportWidth * 0.5) continue;
+                return {
+                    x: Math.max(0, rect.left),
+                    y: Math.max(0, rect.top + window.scrollY),
+                    width: Math.min(rect.width, viewportWidth - Math.max(0, rect.left)),
+                    height: rect.height,
+                    source: selector
+                };
+            }
+        }
+
+        // No header element: crop around the logo with some padding
+        const logoSelectors = ['img[alt*="logo" i]', 'img[class*="logo" i]', 'img[src*="logo" i]', 'svg[class*="logo" i]', '[class*="logo" i]', 'a[href="/"] img', 'a[href="/"] svg'];
+        for (const selector of logoSelectors) {
+            for (const el of document.querySelectorAll(selector)) {
+                const rect = el.getBoundingClientRect();
+                if (!isVisible(el) || rect.width < 16 || rect.height < 8 || rect.top > 600) continue;
+                const padding = 24;
+                const x = Math.max(0, rect.left - padding);
+                const y = Math.max(0, rect.top + window.scrollY - padding);
+                return {
+                    x,
+                    y,
+                    width: Math.min(rect.width + padding * 2, viewportWidth - x),
+                    height: rect.height + padding * 2,
+                    source: selector
+                };
+            }
+        }
+        return null;
+    });
+}
+
+/**
+ * Captures the screenshots of a loaded page. The page is scrolled back to the top first.
+ * @param {import('puppeteer').Page} page
+ * @param {object} options - From normalizeScreenshotOptions.
+ * @returns {Promise<Array<{kind: string, buffer: Buffer, contentType: string, format: string, width: number|null, height: number|null, region?: object, truncated?: boolean}>>}
+ *   `kind` is `viewport`, `fullPage` or `header`; the header shot is missing when no header or logo was found.
+ */
+async function captureScreenshots(page, options) {
+    const { format, quality, fullPage } = options;
+    const base = { type: format, ...(quality ? { quality } : {}) };
+    const describe = (kind, buffer, extra = {}) => {
+        const dimensions = readImageDimensions(buffer, SCREENSHOT_FORMATS[format]);
+        return {
+            kind,
+            buffer,
+            contentType: SCREENSHOT_FORMATS[format],
+            format,
+            width: dimensions ? dimensions.width : null,
+            height: dimensions ? dimensions.height : null,
+            ...extra
+        };
+    };
+
+    const region = await findHeaderRegion(page).catch(() => null);
+    const shots = [describe('viewport', Buffer.from(await page.screenshot(base)))];
+
+    if (fullPage) {
+        const { width, height } = await page.evaluate(() => ({
+            width: document.documentElement.clientWidth,
+            height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0)
+        }));
+        const truncated = height > MAX_FULL_PAGE_HEIGHT;
+        const buffer = truncated
+            ? await page.screenshot({ ...base, clip: { x: 0, y: 0, width, height: MAX_FULL_PAGE_HEIGHT }, captureBeyondViewport: true })
+            : await page.screenshot({ ...base, fullPage: true });
+        shots.push(describe('fullPage', Buffer.from(buffer), truncated ? { truncated: true } : {}));
+    }
+
+    if (region && region.width > 0 && region.height > 0) {
+        const { source, ...clip } = region;
+        const buffer = await page.screenshot({ ...base, clip, captureBeyondViewport: true });
+        shots.push(describe('header', Buffer.from(buffer), { region: { ...clip, source } }));
+    }
+    return shots;
+}
+
+/**
+ * Keeps screenshot images, base64-encoded, in one of the cache backing stores (see lib/cache).
+ */
+class ScreenshotStore {
+    /**
+     * @param {object} options
+     * @param {{get: Function, set: Function, delete: Function}} options.store - Backing store.
+     * @param {number} options.ttlMs - How long a screenshot is kept.
+     */
+    constructor({ store, ttlMs }) {
+        this.store = store;
+        this.ttlMs = ttlMs;
+    }
+
+    /**
+     * Stores a screenshot.
+     * @param {object} shot - One entry of captureScreenshots.
+     * @param {object} meta - `{pageUrl, capturedAt}`, stored with the image.
+     * @returns {Promise<object>} The descriptor reported in responses: the shot without its bytes, plus `id` and `bytes`.
+     */
+    async save(shot, meta) {
+        const id = crypto.randomUUID();
+        const { buffer, ...details } = shot;
+        const descriptor = { id, ...details, bytes: buffer.length, ...meta };
+        await this.store.set(this._key(id), { ...descriptor, data: buffer.toString('base64') }, this.ttlMs);
+        return descriptor;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>} The descriptor with the image as `buffer`, or null if unknown or expired.
+     */
+    async get(id) {
+        if (!SCREENSHOT_ID_PATTERN.test(String(id))) return null;
+        const entry = await this.store.get(this._key(id));
+        if (!entry) return null;
+        const { data, ...descriptor } = entry;
+        return { ...descriptor, buffer: Buffer.from(data, 'base64') };
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async has(id) {
+        return SCREENSHOT_ID_PATTERN.test(String(id)) && Boolean(await this.store.get(this._key(id)));
+    }
+
+    /** @private */
+    _key(id) {
+        return `screenshot::${id}`;
+    }
+}
+
+module.exports = { SCREENSHOT_FORMATS, DEFAULT_VIEWPORT, ScreenshotStore, captureScreenshots, findHeaderRegion, normalizeScreenshotOptions };
@@ -0,0 +1,264 @@
+/**
+ * Social profile links: which platform a URL belongs to, whether it points at a profile (rather
+ * than a share button, a post or a hashtag), and its canonical form.
+ *
+ * Pages link to social sites for many reasons: share and intent buttons, embedded posts, hashtag
+ * campaigns. Only links shaped like a profile are kept, and of several candidates for a platform
+ * the one in the site's footer or header wins, since that is where companies list their own accounts.
+ */
+
+// Well-known Mastodon servers; other servers are only recognized through `rel="me"` links
+const MASTODON_HOSTS = ['mastodon.social', 'mastodon.online', 'mstdn.social', 'mas.to', 'fosstodon.org', 'hachyderm.io', 'infosec.exchange', 'techhub.social', 'mastodon.world', 'social.vivaldi.net'];
+
+const segmentsOf = (url) => url.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+const isReserved = (segment, reserved) => reserved.includes(segment.toLowerCase());
+
+/**
+ * Platform rules. `hosts` match the hostname (and its subdomains); `profile` receives the parsed
+ * URL and its path segments and returns `{ url, preference? }` with the canonical profile URL, or
+ * null for any other kind of link. A `preference` below 0 marks a weaker shape, e.g. a repository
+ * instead of an organization.
+ */
+const SOCIAL_PLATFORMS = [
+    {
+        name: 'LinkedIn',
+        hosts: ['linkedin.com'],
+        profile: (url, [kind, slug]) => {
+            if (['company', 'school', 'showcase'].includes(kind) && slug) return { url: `https://www.linkedin.com/${kind}/${slug.toLowerCase()}` };
+            // A personal profile only stands in when no company page is linked
+            if (kind === 'in' && slug) return { url: `https://www.linkedin.com/in/${slug.toLowerCase()}`, preference: -1 };
+            return null;
+        }
+    },
+    {
+        // X, formerly Twitter; reported as `Twitter` so existing clients keep working
+        name: 'Twitter',
+        hosts: ['x.com', 'twitter.com'],
+        profile: (url, segments) => {
+            const [handle] = segments;
+            if (segments.length !== 1 || !/^[A-Za-z0-9_]{1,15}$/.test(handle)) return null; // Posts live under /<handle>/status/<id>
+            if (isReserved(handle, ['intent', 'share', 'home', 'search', 'hashtag', 'i', 'explore', 'notifications', 'messages', 'settings', 'login', 'signup', 'tos', 'privacy', 'compose'])) return null;
+            return { url: `https://x.com/${handle.toLowerCase()}` }; // Handles are case-insensitive
+        }
+    },
+    {
+        name: 'Facebook',
+        hosts: ['facebook.com', 'fb.com', 'fb.me'],
+        profile: (url, segments) => {
+            if (segments[0] === 'profile.php') {
+                const id = url.searchParams.get('id');
+                return id && /^\d+$/.test(id) ? { url: `https://www.facebook.com/profile.php?id=${id}` } : null;
+            }
+            if (segments[0] === 'pages' && segments.length >= 2) return { url: `https://www.facebook.com/${segments.slice(0, 3).join('/')}` };
+            const [name] = segments;
+            if (segments.length !== 1 || !/^[A-Za-z0-9.\-]+$/.test(name) || name.endsWith('.php')) return null;
+            if (isReserved(name, ['sharer', 'share', 'dialog', 'plugins', 'tr', 'events', 'groups', 'hashtag', 'watch', 'login', 'help', 'policies', 'privacy', 'legal', 'business', 'ads', 'gaming', 'marketplace', 'home'])) return null;
+            return { url: `https://www.facebook.com/${name}` };
+        }
+    },
+    {
+        name: 'YouTube',
+        hosts: ['youtube.com'],
+        profile: (url, [first, second]) => {
+            if (first && first.startsWith('@') && first.length > 1) return { url: `https://www.youtube.com/${first.toLowerCase()}` };
+            if (['channel', 'c', 'user'].includes(first) && second) return { url: `https://www.youtube.com/${first}/${second}` };
+            return null; // Videos, shorts, playlists, embeds and searches
+        }
+    },
+    {
+        name: 'Instagram',
+        hosts: ['instagram.com'],
+        profile: (url, segments) => {
+            const [username] = segments;
+            if (segments.length !== 1 || !/^[A-Za-z0-9._]{1,30}$/.test(username)) return null;
+            if (isReserved(username, ['p', 'reel', 'reels', 'explore', 'stories', 'accounts', 'tv', 'direct', 'about', 'legal', 'developer'])) return null;
+            return { url: `https://www.instagram.com/${username.toLowerCase()}` };
+        }
+    },
+    {
+        name: 'TikTok',
+        hosts: ['tiktok.com'],
+        profile: (url, segments) => {
+            const [handle] = segments;
+            // Videos live under /@<user>/video/<id>
+            return segments.length === 1 && /^@[A-Za-z0-9._]{2,24}$/.test(handle) ? { url: `https://www.tiktok.com/${handle.toLowerCase()}` } : null;
+        }
+    },
+    {
+        name: 'GitHub',
+        hosts: ['github.com'],
+        profile: (url, segments) => {
+            const owner = segments[0] === 'orgs' ? segments[1] : segments[0];
+            if (!owner || !/^[A-Za-z0-9-]{1,39}$/.test(owner)) return null;
+            if (isReserved(owner, ['features', 'about', 'pricing', 'login', 'join', 'marketplace', 'sponsors', 'topics', 'collections', 'settings', 'enterprise', 'explore', 'security', 'site', 'contact', 'apps', 'search', 'readme', 'customer-stories', 'team', 'trending', 'events'])) return null;
+            // A repository link still names the organization, but less reliably than a link to it
+            const isOwnerPage = segments[0] === 'orgs' ? segments.length <= 3 : segments.length === 1;
+            return { url: `https://github.com/${owner.toLowerCase()}`, ...(isOwnerPage ? {} : { preference: -1 }) };
+        }
+    },
+    {
+        name: 'Pinterest',
+        hosts: ['pinterest.com', 'pinterest.co.uk', 'pinterest.ca', 'pinterest.de', 'pinterest.fr', 'pinterest.es', 'pinterest.it', 'pinterest.com.au', 'pinterest.jp'],
+        profile: (url, segments) => {
+            const [user] = segments;
+            if (!user || !/^[A-Za-z0-9_]{3,30}$/.test(user) || segments.length > 2) return null;
+            if (isReserved(user, ['pin', 'search', 'ideas', 'today', 'explore', 'business', 'settings', 'login', 'about', 'categories', 'topics'])) return null;
+            // A board link names the account too
+            return { url: `https://www.pinterest.com/${user.toLowerCase()}`, ...(segments.length === 1 ? {} : { preference: -1 }) };
+        }
+    },
+    {
+        name: 'Threads',
+        hosts: ['threads.net', 'threads.com'],
+        profile: (url, segments) => {
+            const [handle] = segments;
+            // Posts live under /@<user>/post/<id>
+            return segments.length === 1 && /^@[A-Za-z0-9._]{1,30}$/.test(handle) ? { url: `https://www.threads.net/${handle.toLowerCase()}` } : null;
+        }
+    },
+    {
+        name: 'Mastodon',
+        hosts: MASTODON_HOSTS,
+        anyHostWithRelMe: true,
+        profile: (url, segments) => {
+            // /users/<name> is the ActivityPub form of /@<name>; posts live under /@<name>/<id>
+            const handle = segments[0] === 'users' && segments[1] ? `@${segments[1]}` : segments[0];
+            const isProfile = segments[0] === 'users' ? segments.length === 2 : segments.length === 1;
+            return isProfile && /^@[A-Za-z0-9_]{1,30}$/.test(handle || '') ? { url: `https://${url.hostname}/${handle.toLowerCase()}` } : null;
+        }
+    },
+    {
+        name: 'Bluesky',
+        hosts: ['bsky.app'],
+        profile: (url, segments) => {
+            const [kind, handle] = segments;
+            // Posts live under /profile/<handle>/post/<id>
+            return kind === 'profile' && handle && segments.length === 2 && /^(did:[a-z0-9:]+|[A-Za-z0-9.-]+\.[A-Za-z]{2,})$/.test(handle)
+                ? { url: `https://bsky.app/profile/${handle.toLowerCase()}` }
+                : null;
+        }
+    },
+    {
+        name: 'Discord',
+        hosts: ['discord.gg', 'discord.com', 'discordapp.com'],
+        profile: (url, segments) => {
+            // Server invites are a community's public address; invite codes are case-sensitive
+            const code = url.hostname.endsWith('discord.gg') ? segments[0] : (segments[0] === 'invite' ? segments[1] : null);
+            const isInvite = url.hostname.endsWith('discord.gg') ? segments.length === 1 : segments.length === 2;
+            return isInvite && code && /^[A-Za-z0-9-]{2,32}$/.test(code) ? { url: `https://discord.gg/${code}` } : null;
+        }
+    },
+    {
+        name: 'Medium',
+        hosts: ['medium.com'],
+        profile: (url, segments) => {
+            // Publications on their own subdomain, e.g. https://engineering.example-company.medium.com
+            if (url.hostname !== 'medium.com' && url.hostname !== 'www.medium.com') {
+                return segments.length === 0 ? { url: `https://${url.hostname}` } : null;
+            }
+            const [name] = segments;
+            if (segments.length !== 1 || !/^@?[A-Za-z0-9._-]{1,50}$/.test(name)) return null; // Stories live under /<name>/<slug>
+            if (isReserved(name, ['tag', 'topic', 'topics', 'search', 'membership', 'about', 'creators', 'plans', 'm', 'p', 'me', 'policy', 'jobs-at-medium'])) return null;
+            return { url: `https://medium.com/${name.toLowerCase()}` };
+        }
+    },
+    {
+        name: 'Crunchbase',
+        hosts: ['crunchbase.com'],
+        profile: (url, [kind, slug]) => (kind === 'organization' && slug && /^[a-z0-9-]+$/i.test(slug)
+            ? { url: `https://www.crunchbase.com/organization/${slug.toLowerCase()}` }
+            : null)
+    },
+    {
+        name: 'Glassdoor',
+        hosts: ['glassdoor.com', 'glassdoor.co.uk', 'glassdoor.ca', 'glassdoor.de', 'glassdoor.fr', 'glassdoor.com.au', 'glassdoor.co.in'],
+        profile: (url, segments) => {
+            // Employer pages carry the employer id, e.g. /Overview/Working-at-Example-EI_IE12345.11,18.htm
+            const path = segments.join('/');
+            if (!/^(Overview|Reviews|Salaries|Benefits|Interview|Photos)\//.test(path) || !/-(EI_IE|E)\d+/.test(path)) return null;
+            return { url: `https://www.glassdoor.com/${path}` };
+        }
+    }
+];
+
+/**
+ * Finds the platform of a URL and, if it points at a profile, its canonical form.
+ * @param {string} href - Absolute URL.
+ * @param {object} [options]
+ * @param {boolean} [options.relMe=false] - The link carries `rel="me"`, which identifies Mastodon profiles on any server.
+ * @returns {{platform: string, url: string, preference: number}|null} Null for other sites and non-profile links.
+ */
+function matchSocialProfile(href, { relMe = false } = {}) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch (e) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    url.hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+
+    for (const platform of SOCIAL_PLATFORMS) {
+        const hostMatches = platform.hosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+        if (!hostMatches && !(platform.anyHostWithRelMe && relMe)) continue;
+        let segments;
+        try {
+            segments = segmentsOf(url);
+        } catch (e) {
+            return null; // Malformed percent-encoding
+        }
+        const profile = platform.profile(url, segments);
+        return profile ? { platform: platform.name, url: profile.url, preference: profile.preference || 0 } : null;
+    }
+    return null;
+}
+
+// Where a candidate was found; companies list their own accounts in the footer or header
+const REGION_RANK = { footer: 3, header: 3, 'json-ld': 2, meta: 2, body: 1 };
+
+/**
+ * Picks one profile per platform from the social links found in a page.
+ * Candidates are ranked by profile shape, then by where they were found (footer and header first),
+ * then by how often the same profile is linked, then by document order.
+ * @param {Array<{href: string, region: string, source: string, relMe?: boolean}>} candidates - In document order;
+ *   `region` is `footer`, `header`, `json-ld`, `meta` or `body`.
+ * @returns {{links: object, sources: object}} Canonical profile URL and source by platform name.
+ */
+function pickSocialLinks(candidates) {
+    const profiles = new Map(); // canonical URL -> best candidate and link count
+    candidates.forEach((candidate, order) => {
+        const match = matchSocialProfile(candidate.href, { relMe: candidate.relMe });
+        if (!match) return;
+        const rank = REGION_RANK[candidate.region] || REGION_RANK.body;
+        const existing = profiles.get(match.url);
+        if (!existing) {
+            profiles.set(match.url, { ...match, rank, order, count: 1, source: candidate.source });
+            return;
+        }
+        existing.count++;
+        if (rank > existing.rank) Object.assign(existing, { rank, source: candidate.source });
+    });
+
+    const best = {};
+    for (const profile of profiles.values()) {
+        const current = best[profile.platform];
+        const better = !current
+            || profile.preference > current.preference
+            || (profile.preference === current.preference && (profile.rank > current.rank
+                || (profile.rank === current.rank && (profile.count > current.count
+                    || (profile.count === current.count && profile.order < current.order)))));
+        if (better) best[profile.platform] = profile;
+    }
+
+    const links = {};
+    const sources = {};
+    // Report platforms in a stable order
+    for (const platform of SOCIAL_PLATFORMS) {
+        if (!best[platform.name]) continue;
+        links[platform.name] = best[platform.name].url;
+        sources[platform.name] = best[platform.name].source;
+    }
+    return { links, sources };
+}
+
+module.exports = { SOCIAL_PLATFORMS, matchSocialProfile, pickSocialLinks };
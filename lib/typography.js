@@ -0,0 +1,397 @@
+/**
+ * Font inventory: every font family a page loads or renders with, where it is served from,
+ * which weights and styles it comes in, and whether visible text actually uses it.
+ *
+ * The page supplies the raw material (see getFontInventory in index.js): `@font-face` rules read
+ * from the CSSOM, the text of cross-origin font stylesheets, the FontFace objects in
+ * `document.fonts`, the stylesheet links, and the family each visible text element renders with.
+ * This module parses and merges it.
+ */
+
+const PROVIDERS = {
+    google: 'google-fonts',
+    adobe: 'adobe-fonts',
+    selfHosted: 'self-hosted',
+    thirdParty: 'third-party',
+    system: 'system',
+    unknown: 'unknown' // Declared by a stylesheet that couldn't be read
+};
+
+// Generic families and platform aliases that always resolve to a font installed on the device
+const SYSTEM_FAMILIES = /^(serif|sans-serif|monospace|cursive|fantasy|system-ui|ui-serif|ui-sans-serif|ui-monospace|ui-rounded|math|emoji|fangsong|-apple-system|blinkmacsystemfont)$/i;
+
+const FONT_WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+
+/**
+ * Removes quotes and extra whitespace from a family name.
+ * @param {string} family
+ * @returns {string}
+ */
+function cleanFamilyName(family) {
+    return String(family || '').trim().replace(/^(['"])(.*)\1$/, '$2').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Host without a leading `www.`.
+ * @param {string} urlString
+ * @returns {string|null}
+ */
+function hostOf(urlString) {
+    try {
+        return new URL(urlString).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Which provider serves a font file or font stylesheet.
+ * @param {string} url - URL of the font file or stylesheet.
+ * @param {string} pageUrl - URL of the page, to recognize self-hosted files.
+ * @returns {string|null} `google-fonts`, `adobe-fonts`, `self-hosted` or `third-party`; null for an unparseable URL.
+ */
+function fontProviderForUrl(url, pageUrl) {
+    if (url.startsWith('data:')) return PROVIDERS.selfHosted; // Inlined into the site's own CSS
+    const host = hostOf(url);
+    if (!host) return null;
+    if (/(^|\.)(fonts\.googleapis\.com|fonts\.gstatic\.com)$/.test(host)) return PROVIDERS.google;
+    if (/(^|\.)typekit\.(net|com)$/.test(host)) return PROVIDERS.adobe;
+    const pageHost = hostOf(pageUrl);
+    // Subdomains (static.example.com) count as self-hosted
+    return pageHost && (host === pageHost || host.endsWith(`.${pageHost}`)) ? PROVIDERS.selfHosted : PROVIDERS.thirdParty;
+}
+
+/**
+ * Parses a CSS `font-weight` descriptor.
+ * @param {string} value - e.g. `400`, `bold` or a variable-font range `100 900`.
+ * @returns {{min: number, max: number}}
+ */
+function parseFontWeight(value) {
+    const parts = String(value || 'normal').trim().toLowerCase().split(/\s+/)
+        .map(part => FONT_WEIGHT_KEYWORDS[part] || parseFloat(part))
+        .filter(Number.isFinite);
+    if (parts.length === 0) return { min: 400, max: 400 };
+    return { min: Math.min(...parts), max: Math.max(...parts) };
+}
+
+/**
+ * Parses the `src` descriptor of an `@font-face` rule into its font file URLs.
+ * `local()` sources are skipped.
+ * @param {string} src
+ * @param {string} baseUrl - URL of the stylesheet the rule came from.
+ * @returns {Array<{url: string, format: string|null, inline?: boolean}>}
+ */
+function parseFontSrc(src, baseUrl) {
+    const files = [];
+    const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)(?:\s*format\(\s*(['"]?)([^'")]+)\3\s*\))?/g;
+    for (const match of String(src || '').matchAll(pattern)) {
+        try {
+            // Fonts inlined as data URIs are reported by their header only, without the payload
+            const inline = match[2].startsWith('data:');
+            const url = inline ? match[2].split(',')[0] : new URL(match[2], baseUrl).href;
+            const format = match[4] || (url.match(/\.(woff2?|ttf|otf|eot|svg)(?:[?#]|$)/i) || [])[1] || null;
+            files.push({
+                url,
+                format: format ? format.toLowerCase().replace(/^ttf$/, 'truetype').replace(/^otf$/, 'opentype') : null,
+                ...(inline ? { inline: true } : {})
+            });
+        } catch (e) { /* Unresolvable URL */ }
+    }
+    return files;
+}
+
+/**
+ * Splits a declaration block on the semicolons that end declarations, not those inside
+ * `url(data:...;base64,...)` or quoted strings.
+ * @param {string} block
+ * @returns {string[]}
+ */
+function splitDeclarations(block) {
+    const declarations = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+    for (const char of block) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (char === ';' && depth === 0) {
+            declarations.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    declarations.push(current);
+    return declarations.filter(declaration => declaration.trim());
+}
+
+/**
+ * Extracts the `@font-face` rules from stylesheet text, for stylesheets the page can't read
+ * through the CSSOM because they are cross-origin.
+ * @param {string} cssText
+ * @returns {Array<{family: string, src: string, weight: string, style: string, unicodeRange: string|null}>}
+ */
+function parseFontFaceRules(cssText) {
+    const rules = [];
+    const withoutComments = String(cssText || '').replace(/\/\*[\s\S]*?\*\//g, '');
+    for (const block of withoutComments.matchAll(/@font-face\s*\{([^}]*)\}/gi)) {
+        const descriptors = {};
+        for (const declaration of splitDeclarations(block[1])) {
+            const colon = declaration.indexOf(':');
+            if (colon > 0) descriptors[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim();
+        }
+        const descriptor = (name) => descriptors[name] || null;
+        const family = descriptor('font-family');
+        if (!family) continue;
+        rules.push({
+            family,
+            src: descriptor('src') || '',
+            weight: descriptor('font-weight') || 'normal',
+            style: descriptor('font-style') || 'normal',
+            unicodeRange: descriptor('unicode-range')
+        });
+    }
+    return rules;
+}
+
+/**
+ * Reads the families (and weights, when listed) requested by a Google Fonts stylesheet URL,
+ * for both the `css` (`family=Inter:400,700|Roboto`) and `css2` (`family=Inter:wght@400;700`) APIs.
+ * @param {string} href
+ * @returns {Array<{family: string, weights: number[], styles: string[]}>}
+ */
+function parseGoogleFontsUrl(href) {
+    let url;
+    try {
+        url = new URL(href);
+    } catch (e) {
+        return [];
+    }
+    if (!/fonts\.googleapis\.com$/i.test(url.hostname)) return [];
+
+    const specs = url.pathname.startsWith('/css2')
+        ? url.searchParams.getAll('family')
+        : (url.searchParams.get('family') || '').split('|');
+    return specs.filter(Boolean).map(spec => {
+        const [name, variants = ''] = spec.split(':');
+        const weights = new Set();
+        const styles = new Set(['normal']);
+        if (variants.includes('@')) {
+            // css2: "ital,wght@0,400;1,700" or "wght@400;700" or a range "wght@100..900"
+            const [axes, values] = variants.split('@');
+            const axisNames = axes.split(',');
+            for (const tuple of values.split(';')) {
+                tuple.split(',').forEach((value, index) => {
+                    if (axisNames[index] === 'wght') value.split('..').forEach(weight => weights.add(Number(weight)));
+                    if (axisNames[index] === 'ital' && value === '1') styles.add('italic');
+                });
+            }
+        } else {
+            // css: "400,700italic" or "regular,bold"
+            for (const variant of variants.split(',').filter(Boolean)) {
+                const weight = parseInt(variant, 10) || FONT_WEIGHT_KEYWORDS[variant.replace(/italic$/, '') || 'normal'] || 400;
+                weights.add(weight);
+                if (/italic|i$/.test(variant)) styles.add('italic');
+            }
+        }
+        return {
+            family: cleanFamilyName(name.replace(/\+/g, ' ')),
+            weights: [...weights].filter(Number.isFinite).sort((a, b) => a - b),
+            styles: [...styles]
+        };
+    });
+}
+
+/**
+ * Builds the font inventory from what the page reported.
+ * @param {object} raw
+ * @param {Array<{family: string, src: string, weight: string, style: string, unicodeRange: string|null, sheetUrl: string}>} raw.faces - `@font-face` rules, from the CSSOM or parsed stylesheet text.
+ * @param {Array<{family: string, weight: string, style: string, status: string}>} raw.documentFonts - FontFace objects in `document.fonts`.
+ * @param {string[]} raw.stylesheets - URLs of the page's stylesheets.
+ * @param {Object<string, {family: string, textLength: number, weights: number[], styles: string[]}>} raw.usage - Visible text per rendered family, keyed by lowercased family.
+ * @param {string} pageUrl
+ * @returns {Array<{family: string, provider: string, weights: number[], styles: string[], variable?: {min: number, max: number},
+ *   files: Array<{url: string, format: string|null, weight: string, style: string, inline?: boolean}>, loaded: boolean, used: boolean, textLength: number, source: string}>}
+ *   Used families first, by amount of text.
+ */
+function buildFontInventory({ faces = [], documentFonts = [], stylesheets = [], usage = {} }, pageUrl) {
+    const families = new Map(); // lowercased family -> entry
+
+    const entryFor = (rawFamily, source) => {
+        const family = cleanFamilyName(rawFamily);
+        if (!family) return null;
+        const key = family.toLowerCase();
+        if (!families.has(key)) {
+            families.set(key, {
+                family,
+                providers: new Set(),
+                weights: new Set(),
+                styles: new Set(),
+                variable: null,
+                files: [],
+                loaded: false,
+                declared: false,
+                source
+            });
+        }
+        return families.get(key);
+    };
+    const addWeight = (entry, weightValue) => {
+        const { min, max } = parseFontWeight(weightValue);
+        if (min !== max) {
+            entry.variable = { min: Math.min(min, entry.variable ? entry.variable.min : min), max: Math.max(max, entry.variable ? entry.variable.max : max) };
+        } else {
+            entry.weights.add(min);
+        }
+    };
+
+    for (const face of faces) {
+        const entry = entryFor(face.family, face.sheetUrl ? `font-face:${face.sheetUrl}` : 'font-face:inline');
+        if (!entry) continue;
+        entry.declared = true;
+        addWeight(entry, face.weight);
+        entry.styles.add(String(face.style || 'normal').split(/\s+/)[0].toLowerCase());
+        for (const file of parseFontSrc(face.src, face.sheetUrl || pageUrl)) {
+            const described = { ...file, weight: String(face.weight || 'normal'), style: String(face.style || 'normal') };
+            if (entry.files.some(existing => existing.url === described.url && existing.weight === described.weight && existing.style === described.style)) continue;
+            entry.files.push(described);
+            const provider = fontProviderForUrl(file.url, pageUrl);
+            if (provider) entry.providers.add(provider);
+        }
+        if (face.sheetUrl && entry.providers.size === 0) {
+            const provider = fontProviderForUrl(face.sheetUrl, pageUrl);
+            if (provider) entry.providers.add(provider);
+        }
+    }
+
+    for (const fontFace of documentFonts) {
+        const entry = entryFor(fontFace.family, 'document.fonts');
+        if (!entry) continue;
+        entry.declared = true;
+        addWeight(entry, fontFace.weight);
+        entry.styles.add(String(fontFace.style || 'normal').split(/\s+/)[0].toLowerCase());
+        if (fontFace.status === 'loaded') entry.loaded = true;
+    }
+
+    // Google Fonts stylesheets name their families in the URL, even when their CSS couldn't be read
+    for (const href of stylesheets) {
+        for (const requested of parseGoogleFontsUrl(href)) {
+            const entry = entryFor(requested.family, 'link[rel="stylesheet"]');
+            if (!entry) continue;
+            entry.declared = true;
+            entry.providers.add(PROVIDERS.google);
+            requested.weights.forEach(weight => entry.weights.add(weight));
+            requested.styles.forEach(style => entry.styles.add(style));
+        }
+    }
+
+    // Families that render visible text without being declared are installed on the device
+    for (const used of Object.values(usage)) {
+        const entry = entryFor(used.family, 'computed-style:font-family');
+        if (!entry) continue;
+        if (!entry.declared) {
+            entry.providers.add(PROVIDERS.system);
+            entry.loaded = true;
+            used.weights.forEach(weight => entry.weights.add(weight));
+            used.styles.forEach(style => entry.styles.add(style));
+        }
+    }
+
+    const providerOrder = [PROVIDERS.google, PROVIDERS.adobe, PROVIDERS.thirdParty, PROVIDERS.selfHosted, PROVIDERS.system];
+    return [...families.entries()]
+        .map(([key, entry]) => {
+            const textLength = usage[key] ? usage[key].textLength : 0;
+            return {
+                family: entry.family,
+                // A family served from several places is reported by its most specific provider
+                provider: providerOrder.find(provider => entry.providers.has(provider)) || (SYSTEM_FAMILIES.test(entry.family) ? PROVIDERS.system : PROVIDERS.unknown),
+                weights: [...entry.weights].sort((a, b) => a - b),
+                styles: [...entry.styles].sort(),
+                ...(entry.variable ? { variable: entry.variable } : {}),
+                files: entry.files,
+                loaded: entry.loaded,
+                used: textLength > 0,
+                textLength,
+                source: entry.source
+            };
+        })
+        .sort((a, b) => b.textLength - a.textLength);
+}
+
+// Text roles of a type scale, in output order
+const TYPE_SCALE_ROLES = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body', 'button', 'nav', 'small'];
+
+/**
+ * Merges the computed text styles of the page's roles into a type scale. Font sizes within 1px
+ * or 4% of each other become one step; the step takes the size of the role with the most text.
+ * @param {Object<string, {fontSize: number, lineHeight: number|null, fontWeight: number, letterSpacing: number,
+ *   textTransform: string, fontFamily: string, textLength: number, samples: number}>} roleStyles - Most common style per role, sizes in px.
+ * @returns {{baseFontSize: number|null, ratio: number|null, steps: Array<{fontSize: number, lineHeight: number|null, roles: string[]}>,
+ *   roles: Object<string, object>}} Steps largest first; line heights are unitless ratios, letter spacing is in em.
+ */
+function buildTypeScale(roleStyles) {
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    const roles = {};
+    for (const role of TYPE_SCALE_ROLES) {
+        const style = roleStyles[role];
+        if (!style || !(style.fontSize > 0)) continue;
+        roles[role] = {
+            fontSize: round(style.fontSize, 2),
+            lineHeight: style.lineHeight ? round(style.lineHeight / style.fontSize, 2) : null, // null for "normal"
+            fontWeight: style.fontWeight,
+            letterSpacing: round((style.letterSpacing || 0) / style.fontSize, 3),
+            textTransform: style.textTransform || 'none',
+            fontFamily: style.fontFamily || null,
+            textLength: style.textLength,
+            samples: style.samples
+        };
+    }
+
+    // Largest first, so each step starts at its biggest size and near sizes below join it
+    const steps = [];
+    for (const role of Object.keys(roles).sort((a, b) => roles[b].fontSize - roles[a].fontSize)) {
+        const { fontSize } = roles[role];
+        const step = steps.find(existing => existing.maxSize - fontSize <= Math.max(1, existing.maxSize * 0.04));
+        if (step) {
+            step.roles.push(role);
+        } else {
+            steps.push({ maxSize: fontSize, roles: [role] });
+        }
+    }
+
+    const scaleSteps = steps.map((step, index) => {
+        const leading = step.roles.reduce((best, role) => (roles[role].textLength > roles[best].textLength ? role : best));
+        step.roles.forEach(role => { roles[role].step = index; });
+        return { fontSize: roles[leading].fontSize, lineHeight: roles[leading].lineHeight, roles: step.roles };
+    });
+
+    // The typical ratio between neighbouring steps, as in "a 1.25 modular scale"
+    const ratios = scaleSteps.slice(1).map((step, index) => scaleSteps[index].fontSize / step.fontSize).sort((a, b) => a - b);
+    const ratio = ratios.length ? round(ratios[Math.floor(ratios.length / 2)], 3) : null;
+
+    return {
+        baseFontSize: roles.body ? roles.body.fontSize : null,
+        ratio,
+        steps: scaleSteps,
+        roles
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    SYSTEM_FAMILIES,
+    TYPE_SCALE_ROLES,
+    buildFontInventory,
+    buildTypeScale,
+    cleanFamilyName,
+    fontProviderForUrl,
+    parseFontFaceRules,
+    parseFontSrc,
+    parseGoogleFontsUrl
+};
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyAuth, hashKey } = require('../lib/api-keys');
+
+/**
+ * Runs the middleware for one request.
+ * @returns {{status: number, headers: object, next: boolean, req: object, finish: function(number): void}}
+ */
+function call(auth, { key = 'secret', method = 'POST', path: requestPath = '/extract-company-details' } = {}) {
+    const headers = key ? { 'x-api-key': key } : {};
+    const req = { method, path: requestPath, get: (name) => headers[name.toLowerCase()] };
+    const outcome = { status: 200, headers: {}, next: false, req };
+    const listeners = [];
+    const res = {
+        statusCode: 200,
+        set(name, value) {
+            Object.assign(outcome.headers, typeof name === 'object' ? name : { [name]: value });
+            return this;
+        },
+        status(code) {
+            outcome.status = this.statusCode = code;
+            return this;
+        },
+        json() { return this; },
+        on(event, listener) { if (event === 'finish') listeners.push(listener); }
+    };
+    outcome.finish = (code) => {
+        res.statusCode = code;
+        listeners.forEach(listener => listener());
+    };
+    auth.middleware()(req, res, () => { outcome.next = true; });
+    return outcome;
+}
+
+describe('ApiKeyAuth', () => {
+    let auth;
+    beforeEach(() => {
+        auth = new ApiKeyAuth({
+            keys: [{ name: 'acme', key: 'secret', rateLimitPerMinute: 100, monthlyQuota: 3 }],
+            quotaCost: (req) => (req.method === 'POST' ? 1 : 0)
+        });
+    });
+
+    it('rejects missing and unknown keys', () => {
+        assert.equal(call(auth, { key: null }).status, 401);
+        assert.equal(call(auth, { key: 'wrong' }).status, 401);
+    });
+
+    it('charges the quota up front and stops at the limit', () => {
+        for (let i = 0; i < 3; i++) assert.equal(call(auth).next, true);
+        const rejected = call(auth);
+        assert.equal(rejected.status, 429);
+        assert.equal(rejected.next, false);
+        assert.equal(rejected.headers['X-Quota-Remaining'], '0');
+    });
+
+    it('only charges requests with a cost', () => {
+        const outcome = call(auth, { method: 'GET', path: '/usage' });
+        assert.equal(outcome.req.quotaCharge, undefined);
+        assert.equal(outcome.headers['X-Quota-Remaining'], '3');
+    });
+
+    it('refunds a charge once, and never more than was charged', () => {
+        const { req } = call(auth);
+        call(auth);
+        auth.refund(req.quotaCharge);
+        auth.refund(req.quotaCharge);
+        assert.equal(auth.getUsage(auth.keysByHash.get(hashKey('secret'))).quota.used, 1);
+        auth.refund(undefined);
+    });
+
+    it('refunds requests answered with a 4xx', () => {
+        call(auth).finish(400);
+        call(auth).finish(500);
+        call(auth).finish(200);
+        assert.equal(auth.getUsage(auth.keysByHash.get(hashKey('secret'))).quota.used, 2);
+    });
+
+    it('starts a new quota every month, and ignores refunds of last month', (t) => {
+        let now = Date.UTC(2025, 0, 31, 23, 59);
+        t.mock.method(Date, 'now', () => now);
+        const { req: januaryReq } = call(auth);
+        call(auth);
+        call(auth);
+        assert.equal(call(auth).status, 429);
+
+        now = Date.UTC(2025, 1, 1, 0, 1);
+        const { req: februaryReq } = call(auth);
+        assert.equal(februaryReq.quotaCharge.month, '2025-02');
+        auth.refund(januaryReq.quotaCharge);
+        const { period, used, resetAt } = auth.getUsage(februaryReq.quotaCharge.record).quota;
+        assert.deepEqual({ period, used, resetAt }, { period: '2025-02', used: 1, resetAt: '2025-03-01T00:00:00.000Z' });
+    });
+
+    it('counts keys that share a name separately', () => {
+        auth = new ApiKeyAuth({ keys: [{ name: 'team', key: 'one', monthlyQuota: 1 }, { name: 'team', key: 'two', monthlyQuota: 1 }] });
+        assert.equal(call(auth, { key: 'one' }).next, true);
+        assert.equal(call(auth, { key: 'two' }).next, true);
+        assert.equal(call(auth, { key: 'one' }).status, 429);
+    });
+
+    it('persists usage by key hash and loads it back', async () => {
+        const usageFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-')), 'usage.json');
+        const keys = [{ name: 'acme', key: 'secret', monthlyQuota: 3 }];
+        const first = new ApiKeyAuth({ keys, usageFile });
+        call(first);
+        await first.flush();
+        assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(usageFile, 'utf8'))), [hashKey('secret')]);
+
+        const second = new ApiKeyAuth({ keys, usageFile });
+        assert.equal(second.getUsage(second.keysByHash.get(hashKey('secret'))).quota.used, 1);
+        fs.rmSync(path.dirname(usageFile), { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExtractorRegistry } = require('../lib/extractor-registry');
+
+const noop = () => null;
+
+/**
+ * A registry shaped like the app's: `logo` and `contact` have dependents, `crawl` augments `contact`.
+ */
+function createRegistry() {
+    return new ExtractorRegistry()
+        .register({ name: 'logo', outputKey: 'Logo', fallback: noop, run: async () => ({ Logo: 'logo.svg' }) })
+        .register({ name: 'colors', outputKey: 'Colors', additionalOutputKeys: ['Palette'], dependsOn: ['logo'], fallback: noop, run: noop })
+        .register({ name: 'companyInfo', outputKey: 'Company', fallback: noop, run: noop })
+        .register({ name: 'contact', outputKey: 'Company.Contact', fallback: noop, run: noop })
+        .register({ name: 'crawl', outputKey: '_crawl', dependsOn: ['companyInfo', 'contact'], augments: ['contact'], fallback: noop, run: noop })
+        .register({ name: 'linkedin', outputKey: 'Company', additionalOutputKeys: ['Logo.LinkedInLogo'], uses: ['contact'], fallback: noop, run: noop });
+}
+
+describe('ExtractorRegistry', () => {
+    it('refuses duplicate names and dependencies registered later', () => {
+        const registry = createRegistry();
+        assert.throws(() => registry.register({ name: 'logo', outputKey: 'Logo', fallback: noop, run: noop }), /already registered/);
+        assert.throws(() => registry.register({ name: 'fonts', outputKey: 'Fonts', dependsOn: ['typography'], fallback: noop, run: noop }), /must be registered first/);
+    });
+
+    describe('resolve', () => {
+        it('selects everything when no fields are given', () => {
+            const registry = createRegistry();
+            assert.deepEqual(registry.resolve(), registry.names());
+            assert.deepEqual(registry.resolve([]), registry.names());
+        });
+
+        it('adds dependencies, in registration order', () => {
+            assert.deepEqual(createRegistry().resolve(['colors']), ['logo', 'colors']);
+        });
+
+        it('adds the extractors augmenting a selected one, and their dependencies', () => {
+            assert.deepEqual(createRegistry().resolve(['contact']), ['companyInfo', 'contact', 'crawl']);
+            assert.deepEqual(createRegistry().resolve(['linkedin', 'logo']), ['logo', 'companyInfo', 'contact', 'crawl', 'linkedin']);
+        });
+
+        it('matches fields case-insensitively and rejects unknown ones', () => {
+            assert.deepEqual(createRegistry().resolve(['LOGO']), ['logo']);
+            assert.throws(() => createRegistry().resolve(['logo', 'weather']), RangeError);
+        });
+    });
+
+    it('lists output keys and paths', () => {
+        const registry = createRegistry();
+        assert.deepEqual(registry.outputKeys(['colors', 'contact', 'linkedin']), ['Colors', 'Palette', 'Company']);
+        assert.deepEqual(registry.outputPaths(['colors', 'contact', 'linkedin']), ['Colors', 'Palette', 'Company.Contact', 'Company', 'Logo.LinkedInLogo']);
+    });
+
+    it('runs extractors with their dependencies and falls back on failure or timeout', async () => {
+        const registry = new ExtractorRegistry()
+            .register({ name: 'logo', outputKey: 'Logo', fallback: noop, run: async () => 'logo.svg' })
+            .register({ name: 'colors', outputKey: 'Colors', dependsOn: ['logo'], fallback: noop, run: async (context, { logo }) => [`from ${logo}`] })
+            .register({ name: 'fonts', outputKey: 'Fonts', fallback: () => [], run: async () => { throw new Error('boom'); } })
+            .register({ name: 'slow', outputKey: 'Slow', timeoutMs: 10, fallback: (error) => error.message, run: () => new Promise(resolve => setTimeout(resolve, 1000, 'late')) });
+
+        const outputs = await registry.run({}, { names: registry.names() });
+        assert.deepEqual(outputs, { logo: 'logo.svg', colors: ['from logo.svg'], fonts: [], slow: 'slow extraction timeout after 0.01s' });
+    });
+
+    it('assembles outputs under their keys, or through apply', () => {
+        const registry = new ExtractorRegistry()
+            .register({ name: 'companyInfo', outputKey: 'Company', fallback: noop, run: noop })
+            .register({ name: 'contact', outputKey: 'Company.Contact', fallback: noop, run: noop })
+            .register({ name: 'linkedin', outputKey: 'Company', fallback: noop, run: noop, apply: (result, output) => { result.Company.Industry = output; } });
+
+        const result = registry.assemble({ linkedin: 'Software', contact: { Email: 'hi@example.com' }, companyInfo: { Name: 'Example' } }, {});
+        assert.deepEqual(result, { Company: { Name: 'Example', Contact: { Email: 'hi@example.com' }, Industry: 'Software' } });
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../lib/cache/file-store');
+
+describe('FileStore', () => {
+    let directory;
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-test-'));
+    });
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const entryFiles = () => fs.readdirSync(directory).filter(name => name.endsWith('.json'));
+
+    it('stores values until they expire', async (t) => {
+        const store = new FileStore({ directory });
+        await store.set('https://example.com/', { name: 'Example' }, 1000);
+        assert.deepEqual(await store.get('https://example.com/'), { name: 'Example' });
+        assert.equal(await store.get('https://other.example/'), null);
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + 1000);
+        assert.equal(await store.get('https://example.com/'), null);
+        assert.deepEqual(entryFiles(), []); // Deleted on read
+    });
+
+    it('ignores corrupt files', async () => {
+        const store = new FileStore({ directory });
+        await store.set('key', 'value', 1000);
+        fs.writeFileSync(path.join(directory, entryFiles()[0]), '{"expiresAt":');
+        assert.equal(await store.get('key'), null);
+    });
+
+    it('sweeps expired entries and abandoned temporary files', async () => {
+        const store = new FileStore({ directory });
+        await store.set('fresh', 1, 60000);
+        await store.set('expired', 2, 1);
+        fs.writeFileSync(path.join(directory, 'corrupt.json'), 'not json');
+        const staleTemp = path.join(directory, 'abandoned.json.1.tmp');
+        const recentTemp = path.join(directory, 'writing.json.1.tmp');
+        fs.writeFileSync(staleTemp, '');
+        fs.writeFileSync(recentTemp, '');
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(staleTemp, twoHoursAgo, twoHoursAgo);
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.deepEqual(await store.sweep(), { expired: 2, evicted: 0 });
+        assert.equal(await store.get('fresh'), 1);
+        assert.equal(fs.existsSync(staleTemp), false);
+        assert.equal(fs.existsSync(recentTemp), true);
+    });
+
+    it('evicts the least recently written entries beyond maxEntries', async () => {
+        const store = new FileStore({ directory, maxEntries: 2 });
+        for (const [index, key] of ['oldest', 'middle', 'newest'].entries()) {
+            await store.set(key, key, 60000);
+            const writtenAt = new Date(Date.now() - (3 - index) * 1000);
+            fs.utimesSync(store._pathFor(key), writtenAt, writtenAt);
+        }
+
+        assert.deepEqual(await store.sweep(), { expired: 0, evicted: 1 });
+        assert.equal(await store.get('oldest'), null);
+        assert.equal(await store.get('middle'), 'middle');
+        assert.equal(await store.get('newest'), 'newest');
+    });
+
+    it('sweeps in the background of writes, at most once per interval', async (t) => {
+        const store = new FileStore({ directory, sweepIntervalMs: 60000 });
+        const sweep = t.mock.method(store, 'sweep', async () => ({ expired: 0, evicted: 0 }));
+        await store.set('a', 1, 1000);
+        await store.set('b', 2, 1000);
+        assert.equal(sweep.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIconSizes, pickBestIcon } = require('../lib/icons');
+
+const icon = (url, { sizes = null, width = null, height = null, purpose = 'any', type = 'image/png' } = {}) => ({ url, sizes, width, height, purpose, type });
+
+describe('parseIconSizes', () => {
+    it('returns the largest declared size', () => {
+        assert.deepEqual(parseIconSizes('16x16 32x32 24x24'), { width: 32, height: 32, scalable: false });
+        assert.deepEqual(parseIconSizes('192X192'), { width: 192, height: 192, scalable: false });
+    });
+
+    it('flags scalable icons', () => {
+        assert.deepEqual(parseIconSizes('any'), { width: null, height: null, scalable: true });
+        assert.deepEqual(parseIconSizes('48x48 any'), { width: 48, height: 48, scalable: true });
+    });
+
+    it('ignores missing and malformed values', () => {
+        assert.deepEqual(parseIconSizes(undefined), { width: null, height: null, scalable: false });
+        assert.deepEqual(parseIconSizes('  big 10x x20 '), { width: null, height: null, scalable: false });
+    });
+});
+
+describe('pickBestIcon', () => {
+    it('picks the highest resolution', () => {
+        const icons = [icon('/16.png', { width: 16, height: 16 }), icon('/180.png', { width: 180, height: 180 }), icon('/32.png', { width: 32, height: 32 })];
+        assert.equal(pickBestIcon(icons).url, '/180.png');
+    });
+
+    it('prefers scalable icons', () => {
+        const icons = [icon('/512.png', { width: 512, height: 512 }), icon('/logo.svg', { type: 'image/svg+xml' })];
+        assert.equal(pickBestIcon(icons).url, '/logo.svg');
+        assert.equal(pickBestIcon([icon('/512.png', { width: 512, height: 512 }), icon('/any.png', { sizes: 'any' })]).url, '/any.png');
+    });
+
+    it('keeps the first of equally large icons', () => {
+        assert.equal(pickBestIcon([icon('/a.png', { width: 64, height: 64 }), icon('/b.png', { width: 64, height: 64 })]).url, '/a.png');
+    });
+
+    it('only falls back to maskable icons, and never to monochrome ones', () => {
+        const maskable = icon('/maskable.png', { width: 512, height: 512, purpose: 'maskable' });
+        const monochrome = icon('/mono.png', { width: 1024, height: 1024, purpose: 'monochrome' });
+        assert.equal(pickBestIcon([maskable, icon('/small.png', { width: 32, height: 32 })]).url, '/small.png');
+        assert.equal(pickBestIcon([maskable, monochrome]).url, '/maskable.png');
+        assert.equal(pickBestIcon([monochrome]), null);
+        assert.equal(pickBestIcon([]), null);
+    });
+});
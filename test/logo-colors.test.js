@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { quantizePixels, sniffImageType } = require('../lib/logo-colors');
+
+/**
+ * RGBA pixels of a width x height image, colored by position.
+ * @param {function(number, number): number[]} colorAt - `(x, y)` to `[r, g, b, a]`.
+ */
+function image(width, height, colorAt) {
+    const pixels = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) pixels.push(...colorAt(x, y));
+    }
+    return pixels;
+}
+
+describe('sniffImageType', () => {
+    it('recognizes images by their first bytes', () => {
+        assert.equal(sniffImageType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 'image/png');
+        assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+        assert.equal(sniffImageType(Buffer.from([0x00, 0x00, 0x01, 0x00, 0x01, 0x00])), 'image/x-icon');
+        assert.equal(sniffImageType(Buffer.from('GIF89a')), 'image/gif');
+        assert.equal(sniffImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+    });
+
+    it('recognizes SVG after an XML declaration, comments and a doctype', () => {
+        assert.equal(sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'image/svg+xml');
+        assert.equal(sniffImageType(Buffer.from('\n<?xml version="1.0"?>\n<!-- logo -->\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN">\n<svg>')), 'image/svg+xml');
+    });
+
+    it('falls back to a declared image type, and rejects anything else', () => {
+        assert.equal(sniffImageType(Buffer.from('????'), 'image/jxl; charset=binary'), 'image/jxl');
+        assert.equal(sniffImageType(Buffer.from('<html><body>Not found</body></html>'), 'text/html'), null);
+        assert.equal(sniffImageType(Buffer.from('<html>'), undefined), null);
+    });
+});
+
+describe('quantizePixels', () => {
+    it('drops a uniform border as the background', () => {
+        const pixels = image(10, 10, (x, y) => (x >= 3 && x < 7 && y >= 3 && y < 7 ? [200, 30, 40, 255] : [255, 255, 255, 255]));
+        assert.deepEqual(quantizePixels(pixels, 10, 10), [{ r: 200, g: 30, b: 40, share: 1 }]);
+    });
+
+    it('ignores transparent pixels', () => {
+        const pixels = image(4, 4, (x) => (x < 2 ? [0, 80, 200, 255] : [255, 0, 0, 0]));
+        assert.deepEqual(quantizePixels(pixels, 4, 4), [{ r: 0, g: 80, b: 200, share: 1 }]);
+    });
+
+    it('merges close shades and ranks colors by share', () => {
+        // Left half two shades of blue, right quarter orange, the rest green
+        const pixels = image(8, 4, (x, y) => {
+            if (x < 4) return y % 2 ? [10, 60, 200, 255] : [14, 64, 204, 255];
+            return x < 6 ? [250, 140, 0, 255] : [20, 180, 60, 255];
+        });
+        const colors = quantizePixels(pixels, 8, 4);
+        assert.deepEqual(colors.map(color => color.share), [0.5, 0.25, 0.25]);
+        assert.ok(colors[0].b > 190 && colors[0].r < 20);
+    });
+
+    it('applies maxColors and minShare', () => {
+        // 60% dark grey, 40% yellow; neither fills enough of the border to count as the background
+        const pixels = image(10, 10, (x) => (x < 6 ? [30, 30, 30, 255] : [250, 250, 0, 255]));
+        assert.deepEqual(quantizePixels(pixels, 10, 10, { minShare: 0.5 }), [{ r: 30, g: 30, b: 30, share: 0.6 }]);
+        assert.equal(quantizePixels(pixels, 10, 10, { maxColors: 1 }).length, 1);
+        assert.equal(quantizePixels(pixels, 10, 10).length, 2);
+    });
+
+    it('returns nothing for a fully transparent image', () => {
+        assert.deepEqual(quantizePixels(image(3, 3, () => [0, 0, 0, 0]), 3, 3), []);
+    });
+});
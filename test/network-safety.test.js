@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { UrlRejectedError, assertUrlAllowed, isPrivateAddress } = require('../lib/network-safety');
+
+describe('isPrivateAddress', () => {
+    it('blocks private, loopback, link-local and reserved IPv4 ranges', () => {
+        for (const address of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    it('blocks private and reserved IPv6 ranges, including embedded IPv4 addresses', () => {
+        for (const address of ['::', '::1', '::127.0.0.1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::a00:1', '2002:a00:1::', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'fec0::1', 'ff02::1']) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    it('allows public addresses', () => {
+        for (const address of ['1.1.1.1', '8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+
+    it('treats anything that is not an IP address as private', () => {
+        assert.equal(isPrivateAddress('example.com'), true);
+        assert.equal(isPrivateAddress(''), true);
+    });
+});
+
+describe('assertUrlAllowed', () => {
+    it('rejects other schemes and ports', async () => {
+        await assert.rejects(assertUrlAllowed('ftp://1.1.1.1/'), /Scheme "ftp" is not allowed/);
+        await assert.rejects(assertUrlAllowed('file:///etc/passwd'), UrlRejectedError);
+        await assert.rejects(assertUrlAllowed('http://1.1.1.1:8080/'), /Port 8080 is not allowed/);
+        await assert.rejects(assertUrlAllowed('not a url'), /Invalid URL/);
+    });
+
+    it('rejects private addresses, however they are written', async () => {
+        for (const url of ['http://127.0.0.1/', 'http://2130706433/', 'http://0x7f.1/', 'http://[::1]/', 'http://[::ffff:169.254.169.254]/']) {
+            await assert.rejects(assertUrlAllowed(url), /private or reserved address/, url);
+        }
+    });
+
+    it('returns the checked addresses of an allowed URL', async () => {
+        assert.deepEqual(await assertUrlAllowed('https://1.1.1.1/'), ['1.1.1.1']);
+    });
+});